@@ -0,0 +1,254 @@
+/**
+ * 批量任务模块
+ * 并发执行大量 search / fetch 任务，结果以 NDJSON 流式写入，支持中断后继续
+ */
+
+import { promises as fs, createWriteStream } from 'fs';
+import { ValidationError } from './errors.js';
+
+const BATCH_COMMANDS = ['search', 'fetch'];
+
+/**
+ * 令牌桶限速器，多个 worker 共享
+ */
+export class TokenBucket {
+  /**
+   * @param {Object} options - 限速选项
+   * @param {number} options.ratePerMinute - 每分钟补充的令牌数
+   * @param {number} options.capacity - 桶容量，即允许的突发请求数 (默认: 1)
+   */
+  constructor(options = {}) {
+    this.ratePerMs = options.ratePerMinute / 60000;
+    this.capacity = options.capacity || 1;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 补充令牌
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.ratePerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * 获取一个令牌，没有可用令牌时等待
+   * @returns {Promise<void>}
+   */
+  take() {
+    // 串行化等待，保证先到先得
+    const turn = this.queue.then(async () => {
+      this._refill();
+      if (this.tokens < 1) {
+        const waitMs = Math.ceil((1 - this.tokens) / this.ratePerMs);
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+        this._refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn;
+    return turn;
+  }
+}
+
+/**
+ * 解析任务文件
+ * 支持 JSONL（每行一个 {"command": "search", "query": "..."} 对象）和纯文本（每行一个 URL 或查询）
+ * @param {string} text - 任务文件内容
+ * @returns {Array<{id: string, command: string, params: Object, error?: string}>} 任务列表
+ */
+export function parseJobs(text) {
+  const jobs = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const lineNumber = index + 1;
+
+    if (line.startsWith('{')) {
+      let job;
+      try {
+        job = JSON.parse(line);
+      } catch (e) {
+        jobs.push({ id: `line-${lineNumber}`, command: null, params: {}, error: `Invalid JSON: ${e.message}` });
+        return;
+      }
+
+      const { id, command, params, ...rest } = job;
+      const jobParams = params && typeof params === 'object' ? params : rest;
+      const jobCommand = command || (jobParams.url ? 'fetch' : 'search');
+
+      jobs.push({
+        id: id !== undefined ? String(id) : `line-${lineNumber}`,
+        command: jobCommand,
+        params: jobParams,
+        ...(!BATCH_COMMANDS.includes(jobCommand) && { error: `Unsupported batch command: ${jobCommand}` })
+      });
+      return;
+    }
+
+    // 纯文本：URL 视为 fetch，其余视为 search
+    const isUrl = /^https?:\/\//i.test(line);
+    jobs.push({
+      id: `line-${lineNumber}`,
+      command: isUrl ? 'fetch' : 'search',
+      params: isUrl ? { url: line } : { query: line }
+    });
+  });
+
+  return jobs;
+}
+
+/**
+ * 读取已有输出文件中成功完成的任务 ID
+ * 中断时可能留下不完整的最后一行，validLength 为最后一个换行符之后的字节偏移，续写前需截断到该位置
+ * @private
+ * @returns {Promise<{completed: Set<string>, size: number, validLength: number}>}
+ */
+async function readResumeState(outputPath) {
+  const completed = new Set();
+  let content;
+  try {
+    content = await fs.readFile(outputPath);
+  } catch (e) {
+    return { completed, size: 0, validLength: 0 };
+  }
+
+  const validLength = content.lastIndexOf(0x0a) + 1;
+
+  for (const line of content.subarray(0, validLength).toString('utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record.success) {
+        completed.add(record.id);
+      }
+    } catch (e) {
+      // 跳过无法解析的行，对应的任务会重新执行
+    }
+  }
+
+  return { completed, size: content.length, validLength };
+}
+
+/**
+ * 失败任务的错误记录，保留类型化错误的 code / status / retryable 便于排查
+ * @private
+ */
+function describeError(error) {
+  return {
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && error.status !== null && { status: error.status }),
+    ...(error.retryable !== undefined && { retryable: error.retryable })
+  };
+}
+
+/**
+ * 执行批量任务
+ * @param {GeminiSearchSkill} skill - 用于执行任务的 skill 实例
+ * @param {Object} options - 批量选项
+ * @param {string} options.input - 任务文件路径
+ * @param {string} options.output - NDJSON 输出文件路径
+ * @param {number} options.concurrency - 并发数 (默认: 4)
+ * @param {number} options.ratePerMinute - 每分钟最多发起的任务数 (默认: 60)
+ * @param {boolean} options.resume - 跳过输出文件中已成功的任务并追加写入
+ * @param {Function} options.onProgress - 每个任务完成后调用，参数为当前统计
+ * @returns {Promise<Object>} 执行统计
+ */
+export async function runBatch(skill, options) {
+  const {
+    input,
+    output,
+    concurrency = 4,
+    ratePerMinute = 60,
+    resume = false,
+    onProgress
+  } = options;
+
+  const jobs = parseJobs(await fs.readFile(input, 'utf8'));
+
+  const ids = new Set();
+  for (const job of jobs) {
+    if (ids.has(job.id)) {
+      throw new Error(`Duplicate job id in batch file: ${job.id}`);
+    }
+    ids.add(job.id);
+  }
+
+  const resumeState = resume ? await readResumeState(output) : null;
+  const completed = resumeState ? resumeState.completed : new Set();
+  const pending = jobs.filter(job => !completed.has(job.id));
+
+  const stats = {
+    input,
+    output,
+    total: jobs.length,
+    skipped: jobs.length - pending.length,
+    succeeded: 0,
+    failed: 0
+  };
+
+  // 去掉中断时写了一半的最后一行，避免续写的第一条记录接在它后面
+  if (resumeState && resumeState.validLength < resumeState.size) {
+    await fs.truncate(output, resumeState.validLength);
+  }
+
+  const stream = createWriteStream(output, { flags: resume ? 'a' : 'w' });
+  const writeRecord = (record) => new Promise((resolve, reject) => {
+    stream.write(`${JSON.stringify(record)}\n`, error => (error ? reject(error) : resolve()));
+  });
+
+  const bucket = new TokenBucket({ ratePerMinute, capacity: Math.max(1, concurrency) });
+  let next = 0;
+
+  const runJob = async (job) => {
+    const startedAt = new Date();
+    let outcome;
+
+    try {
+      if (job.error) {
+        throw new ValidationError(job.error);
+      }
+      await bucket.take();
+      outcome = { success: true, result: await skill.execute(job.command, job.params) };
+      stats.succeeded++;
+    } catch (error) {
+      outcome = { success: false, error: describeError(error) };
+      stats.failed++;
+    }
+
+    await writeRecord({
+      id: job.id,
+      command: job.command,
+      params: job.params,
+      ...outcome,
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime()
+    });
+
+    if (onProgress) {
+      onProgress({ ...stats, done: stats.skipped + stats.succeeded + stats.failed });
+    }
+  };
+
+  const worker = async () => {
+    while (next < pending.length) {
+      const job = pending[next++];
+      await runJob(job);
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  } finally {
+    await new Promise(resolve => stream.end(resolve));
+  }
+
+  return stats;
+}
@@ -0,0 +1,222 @@
+/**
+ * 响应缓存模块
+ * 将 search / fetch 的结果缓存到本地磁盘，按命令设置过期时间
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// 各命令的默认缓存时间 (秒)
+const DEFAULT_TTL = {
+  search: 3600,
+  fetch: 86400
+};
+
+/**
+ * 规范化搜索查询：去除首尾空白、折叠连续空白并转为小写
+ * @private
+ */
+function normalizeQuery(query) {
+  return String(query || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * 规范化 URL：统一大小写与默认端口，去除 hash
+ * @private
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  } catch (e) {
+    return String(url || '').trim();
+  }
+}
+
+/**
+ * 规范化域名过滤列表：接受数组或逗号分隔的字符串，去除 www. 前缀后去重排序
+ * @private
+ */
+function normalizeDomains(domains) {
+  if (!domains) return [];
+  const items = Array.isArray(domains) ? domains : String(domains).split(',');
+  const normalized = items
+    .map(domain => String(domain).trim().toLowerCase().replace(/^www\./, ''))
+    .filter(Boolean);
+  return [...new Set(normalized)].sort();
+}
+
+/**
+ * 生成缓存键
+ * @param {string} command - 命令名称 (search 或 fetch)
+ * @param {Object} params - 参与缓存键计算的参数
+ * @returns {string} sha256 缓存键
+ */
+export function buildCacheKey(command, params) {
+  const keyData = command === 'search'
+    ? {
+        command,
+        query: normalizeQuery(params.query),
+        model: params.model,
+        temperature: params.temperature ?? null,
+        numResults: parseInt(params.numResults) || 10,
+        timeRange: params.timeRange || null,
+        includeDomains: normalizeDomains(params.includeDomains),
+        excludeDomains: normalizeDomains(params.excludeDomains),
+        language: params.language ? String(params.language).toLowerCase() : null,
+        region: params.region ? String(params.region).toUpperCase() : null,
+        json: params.json !== false,
+        expand: parseInt(params.expand) || 0
+      }
+    : {
+        command,
+        url: normalizeUrl(params.url),
+        model: params.model,
+        temperature: params.temperature ?? null,
+        prompt: String(params.prompt || '').trim(),
+        format: params.format || 'markdown'
+      };
+
+  return createHash('sha256').update(JSON.stringify(keyData)).digest('hex');
+}
+
+class ResponseCache {
+  /**
+   * @param {Object} options - 缓存选项
+   * @param {string} options.dir - 缓存目录 (默认: ~/.cache/gemini-search)
+   * @param {Object} options.ttl - 各命令的缓存时间 (秒), 如 { search: 3600, fetch: 86400 }
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(os.homedir(), '.cache', 'gemini-search');
+    this.ttl = { ...DEFAULT_TTL, ...(options.ttl || {}) };
+  }
+
+  /**
+   * 判断命令是否支持缓存
+   * @param {string} command - 命令名称
+   */
+  supports(command) {
+    return Object.prototype.hasOwnProperty.call(this.ttl, command);
+  }
+
+  /**
+   * 缓存文件路径
+   * @private
+   */
+  _filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * 读取缓存
+   * @param {string} command - 命令名称
+   * @param {Object} params - 命令参数
+   * @returns {Promise<{value: Object, createdAt: string, age: number}|null>} 命中的缓存，过期或不存在时返回 null
+   */
+  async get(command, params) {
+    const filePath = this._filePath(buildCacheKey(command, params));
+
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (e) {
+      return null;
+    }
+
+    if (Date.now() >= entry.expiresAt) {
+      await fs.rm(filePath, { force: true });
+      return null;
+    }
+
+    return {
+      value: entry.value,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      age: Math.floor((Date.now() - entry.createdAt) / 1000)
+    };
+  }
+
+  /**
+   * 写入缓存
+   * @param {string} command - 命令名称
+   * @param {Object} params - 命令参数
+   * @param {Object} value - 要缓存的结果
+   */
+  async set(command, params, value) {
+    const key = buildCacheKey(command, params);
+    const now = Date.now();
+    const entry = {
+      command,
+      createdAt: now,
+      expiresAt: now + this.ttl[command] * 1000,
+      value
+    };
+
+    await fs.mkdir(this.dir, { recursive: true });
+
+    // 先写临时文件再重命名，避免并发读取到不完整的内容
+    const tmpPath = `${this._filePath(key)}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(entry), 'utf8');
+    await fs.rename(tmpPath, this._filePath(key));
+  }
+
+  /**
+   * 列出缓存文件
+   * @private
+   */
+  async _entries() {
+    try {
+      const names = await fs.readdir(this.dir);
+      return names.filter(name => name.endsWith('.json'));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * 清空缓存
+   * @returns {Promise<number>} 删除的条目数
+   */
+  async clear() {
+    const names = await this._entries();
+    await Promise.all(names.map(name => fs.rm(path.join(this.dir, name), { force: true })));
+    return names.length;
+  }
+
+  /**
+   * 缓存统计信息
+   * @returns {Promise<Object>} 条目数、占用空间、过期条目数及按命令分类的数量
+   */
+  async stats() {
+    const names = await this._entries();
+    const stats = {
+      dir: this.dir,
+      ttl: this.ttl,
+      entries: 0,
+      expired: 0,
+      bytes: 0,
+      commands: {}
+    };
+
+    for (const name of names) {
+      try {
+        const content = await fs.readFile(path.join(this.dir, name), 'utf8');
+        const entry = JSON.parse(content);
+        stats.entries++;
+        stats.bytes += Buffer.byteLength(content);
+        stats.commands[entry.command] = (stats.commands[entry.command] || 0) + 1;
+        if (Date.now() >= entry.expiresAt) {
+          stats.expired++;
+        }
+      } catch (e) {
+        // 忽略损坏或正在写入的文件
+      }
+    }
+
+    return stats;
+  }
+}
+
+export default ResponseCache;
@@ -0,0 +1,669 @@
+/**
+ * 命令行模块
+ * 按命令定义解析参数 (基于 util.parseArgs)、生成各命令的帮助信息，并加载配置文件与 profile
+ * 配置优先级：命令行参数 > 环境变量 > 配置文件 (profile) > 默认值
+ */
+
+import { parseArgs } from 'util';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ValidationError } from './errors.js';
+import { OUTPUT_FORMATS } from './format.js';
+import { fixtureOptionsFromEnv } from './fixtures.js';
+import { parseInterval } from './watch.js';
+import { parseDomainList } from './url-policy.js';
+
+/**
+ * 生成整数参数的解析函数
+ * @private
+ */
+function integer(min = -Infinity, max = Infinity) {
+  return (value, flag) => {
+    const parsed = Number(value);
+    if (value === '' || !Number.isInteger(parsed) || parsed < min || parsed > max) {
+      const range = Number.isFinite(min) && Number.isFinite(max) ? ` between ${min} and ${max}` : '';
+      throw new ValidationError(`${flag} must be an integer${range}`);
+    }
+    return parsed;
+  };
+}
+
+/**
+ * 生成数值参数的解析函数
+ * @private
+ */
+function number(min, max) {
+  return (value, flag) => {
+    const parsed = Number(value);
+    if (value === '' || isNaN(parsed) || parsed < min || parsed > max) {
+      throw new ValidationError(`${flag} must be a number between ${min} and ${max}`);
+    }
+    return parsed;
+  };
+}
+
+/**
+ * 正数参数的解析函数
+ * @private
+ */
+function positiveNumber(value, flag) {
+  const parsed = Number(value);
+  if (value === '' || isNaN(parsed) || parsed <= 0) {
+    throw new ValidationError(`${flag} must be a positive number`);
+  }
+  return parsed;
+}
+
+/**
+ * 生成枚举参数的解析函数
+ * @private
+ */
+function oneOf(values) {
+  return (value, flag) => {
+    if (!values.includes(value)) {
+      throw new ValidationError(`${flag} must be one of: ${values.join(', ')}`);
+    }
+    return value;
+  };
+}
+
+/**
+ * 布尔设置的解析函数：接受布尔值或 1 / 0、true / false、on / off、yes / no
+ * @private
+ */
+function boolean(value, flag) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).toLowerCase();
+  if (['1', 'true', 'on', 'yes'].includes(text)) return true;
+  if (['0', 'false', 'off', 'no'].includes(text)) return false;
+  throw new ValidationError(`${flag} must be a boolean (true or false)`);
+}
+
+// 所有命令共用的选项
+const COMMON_OPTIONS = {
+  help: { type: 'boolean', short: 'h', description: '显示该命令的帮助' },
+  profile: { type: 'string', value: '<name>', description: '使用配置文件中的 profile (也可用 GEMINI_PROFILE)' },
+  config: { type: 'string', value: '<file>', description: '配置文件路径 (也可用 GEMINI_SEARCH_CONFIG)' }
+};
+
+// 调用模型的命令共用的选项
+const MODEL_OPTIONS = {
+  model: { type: 'string', value: '<name>', description: '模型名称 (也可用 GEMINI_MODEL)' },
+  provider: { type: 'string', value: '<name>', description: '后端协议 (openai 或 gemini, 默认: openai)' },
+  timeout: { type: 'string', value: '<ms>', parse: integer(1000, 600000), description: '请求超时 (毫秒, 默认: 30000)' },
+  retries: { type: 'string', value: '<n>', parse: integer(0, 10), description: '失败后的最多重试次数 (0-10, 默认: 2)' },
+  temperature: { type: 'string', value: '<t>', parse: number(0, 2), description: '采样温度 (0-2, 默认: 0.7)' },
+  usage: { type: 'boolean', description: '结束后将 token 用量和估算费用汇总输出到 stderr' }
+};
+
+// 录制 / 回放选项
+const FIXTURE_OPTIONS = {
+  record: { type: 'string', value: '<dir>', description: '将模型请求、响应和下载的网页录制为 fixture 保存到目录' },
+  replay: { type: 'string', value: '<dir>', description: '从目录中的 fixture 回放响应，不访问后端' },
+  strict: { type: 'boolean', description: '回放时没有匹配的 fixture 则报错 (默认: 改为访问网络)' }
+};
+
+const FORMAT_OPTION = {
+  format: {
+    type: 'string',
+    short: 'f',
+    value: '<format>',
+    parse: oneOf(OUTPUT_FORMATS),
+    description: `输出格式 (${OUTPUT_FORMATS.join('、')}, 默认: json)`
+  }
+};
+
+const OUTPUT_OPTIONS = {
+  output: { type: 'string', short: 'o', value: '<file>', description: '将结果写入文件而不是 stdout' },
+  ...FORMAT_OPTION
+};
+
+const SESSION_OPTION = {
+  session: { type: 'string', value: '<id>', description: '将请求与结果写入该会话，之后可用 ask 追问' }
+};
+
+// 搜索过滤选项
+const SEARCH_FILTER_OPTIONS = {
+  num: { type: 'string', short: 'n', value: '<n>', parse: integer(1, 100), description: '搜索结果数量 (1-100, 默认: 10)' },
+  time: { type: 'string', short: 't', value: '<range>', description: '时间范围 (如: 12h, 7d, 1m, 2025-01-01..2025-03-31, since:2025-06-01)' },
+  site: { type: 'string', multiple: true, value: '<domain>', description: '只搜索指定域名，可重复或用逗号分隔' },
+  'exclude-site': { type: 'string', multiple: true, value: '<domain>', description: '排除指定域名，可重复或用逗号分隔' },
+  lang: { type: 'string', value: '<code>', description: '结果语言 (如: en, zh-CN)' },
+  region: { type: 'string', value: '<code>', description: '结果国家/地区 (如: US, CN)' }
+};
+
+const CACHE_OPTIONS = {
+  'no-cache': { type: 'boolean', description: '不读取也不写入缓存' },
+  refresh: { type: 'boolean', description: '忽略已有缓存，重新请求并更新缓存' }
+};
+
+/**
+ * 各命令的定义
+ * positionals 为位置参数 (name、required、choices)，options 为该命令特有的选项，
+ * groups 为附加的公共选项组
+ */
+export const COMMANDS = {
+  search: {
+    description: '使用 Google 搜索网络内容',
+    positionals: [{ name: 'query', required: true }],
+    options: {
+      ...SEARCH_FILTER_OPTIONS,
+      expand: { type: 'string', value: '<n>', parse: integer(0, 5), description: '生成 n 个改写查询 (含中英互译) 并发搜索，合并排序结果 (0-5, 默认: 0)' },
+      raw: { type: 'boolean', description: '只输出模型生成的原始文本，不要求 JSON 结构' },
+      stream: { type: 'boolean', description: '流式输出模型生成的原始文本' },
+      ...SESSION_OPTION,
+      ...CACHE_OPTIONS
+    },
+    groups: [OUTPUT_OPTIONS, MODEL_OPTIONS, FIXTURE_OPTIONS],
+    examples: [
+      'node index.js search "人工智能最新发展" --num 5',
+      'node index.js search "fetch API" --site developer.mozilla.org --lang en',
+      'node index.js search "向量数据库选型" --expand 3',
+      'node index.js search "向量数据库" --format csv -o results.csv',
+      'node index.js search -- "--help 参数的用法"'
+    ]
+  },
+  fetch: {
+    description: '获取并分析网页内容',
+    positionals: [{ name: 'url', required: true }, { name: 'prompt', required: false }],
+    options: {
+      raw: { type: 'boolean', description: '只输出模型的分析文本，不输出 JSON 结构' },
+      stream: { type: 'boolean', description: '流式输出模型生成的文本' },
+      ...SESSION_OPTION,
+      ...CACHE_OPTIONS
+    },
+    groups: [OUTPUT_OPTIONS, MODEL_OPTIONS, FIXTURE_OPTIONS],
+    examples: [
+      'node index.js fetch "https://example.com" "总结主要内容"',
+      'node index.js fetch "https://example.com" --format markdown'
+    ]
+  },
+  extract: {
+    description: '按 JSON Schema 从网页提取结构化数据',
+    positionals: [{ name: 'url', required: true }, { name: 'instructions', required: false }],
+    options: {
+      schema: { type: 'string', value: '<json|file>', required: true, description: 'JSON Schema，可直接写 JSON 或指定文件路径 (必需)' },
+      attempts: { type: 'string', value: '<n>', parse: integer(1, 5), description: '校验失败时的最多尝试次数 (1-5, 默认: 3)' },
+      ...SESSION_OPTION
+    },
+    groups: [OUTPUT_OPTIONS, MODEL_OPTIONS, FIXTURE_OPTIONS],
+    examples: ['node index.js extract "https://example.com/product" --schema product.schema.json']
+  },
+  research: {
+    description: '多步调研：搜索、获取网页并生成带编号引用的报告',
+    positionals: [{ name: 'question', required: true }],
+    options: {
+      depth: { type: 'string', value: '<n>', parse: integer(1, 3), description: '规划轮数 (1-3, 默认: 1)' },
+      queries: { type: 'string', value: '<n>', parse: integer(1, 10), description: '每轮最多子查询数 (1-10, 默认: 3)' },
+      pages: { type: 'string', value: '<n>', parse: integer(1, 20), description: '最多获取的网页数 (1-20, 默认: 5)' },
+      'max-tokens': { type: 'string', value: '<n>', parse: integer(1), description: 'token 预算 (默认: 100000)' },
+      ...SESSION_OPTION
+    },
+    groups: [OUTPUT_OPTIONS, MODEL_OPTIONS, FIXTURE_OPTIONS],
+    examples: ['node index.js research "2025 年主流向量数据库的性能对比" --depth 2']
+  },
+  ask: {
+    description: '基于会话中之前的搜索和网页结果追问',
+    positionals: [{ name: 'question', required: true }],
+    options: {
+      session: { type: 'string', value: '<id>', required: true, description: '会话 ID (必需)' },
+      'history-tokens': { type: 'string', value: '<n>', parse: integer(1000, 1000000), description: '发送的历史 token 预算，超出时丢弃最早的轮次 (默认: 32000)' },
+      'no-search': { type: 'boolean', description: '只根据会话历史回答，不使用 Google 搜索' }
+    },
+    groups: [OUTPUT_OPTIONS, MODEL_OPTIONS, FIXTURE_OPTIONS],
+    examples: [
+      'node index.js search "向量数据库对比" --session db',
+      'node index.js ask "详细介绍第 3 条结果" --session db'
+    ]
+  },
+  sessions: {
+    description: '管理会话 (list 列出, show 查看历史, delete 删除)',
+    positionals: [{ name: 'action', required: true, choices: ['list', 'show', 'delete'] }, { name: 'id', required: false }],
+    options: {},
+    groups: [OUTPUT_OPTIONS],
+    examples: ['node index.js sessions list', 'node index.js sessions show db --format markdown']
+  },
+  watch: {
+    description: '监控搜索结果或网页，只报告与上一次检查相比的变化 (有变化时退出码为 2)',
+    positionals: [{ name: 'target', required: true }],
+    options: {
+      interval: { type: 'string', value: '<duration>', parse: value => parseInterval(value), description: '按间隔持续检查 (如: 90, 30s, 15m, 2h)，默认只检查一次，适合 cron' },
+      state: { type: 'string', value: '<file>', description: '状态文件 (默认: ~/.local/share/gemini-search/watch/<id>.json)' },
+      summarize: { type: 'boolean', description: '网页有变化时由模型总结变化内容' },
+      webhook: { type: 'string', value: '<url>', description: '有变化时将变化报告以 JSON POST 到该 URL' },
+      exec: { type: 'string', value: '<command>', description: '有变化时执行的 shell 命令，变化报告以 JSON 写入其 stdin' },
+      ...SEARCH_FILTER_OPTIONS
+    },
+    groups: [OUTPUT_OPTIONS, MODEL_OPTIONS, FIXTURE_OPTIONS],
+    examples: [
+      'node index.js watch "gemini api release notes" --time 7d',
+      'node index.js watch "https://example.com/pricing" --summarize --webhook https://hooks.example.com/notify',
+      'node index.js watch "向量数据库 benchmark" --interval 1h --exec "notify-send 有新结果"'
+    ]
+  },
+  batch: {
+    description: '并发执行 JSONL 或纯文本文件中的 search / fetch 任务',
+    positionals: [{ name: 'file', required: true }],
+    options: {
+      output: { type: 'string', short: 'o', value: '<file>', description: 'NDJSON 结果文件 (默认: <file>.results.ndjson)' },
+      concurrency: { type: 'string', value: '<n>', parse: integer(1, 50), description: '并发数 (1-50, 默认: 4)' },
+      rate: { type: 'string', value: '<n>', parse: positiveNumber, description: '每分钟最多发起的请求数 (默认: 60)' },
+      resume: { type: 'boolean', description: '跳过结果文件中已成功的任务并继续执行' }
+    },
+    groups: [FORMAT_OPTION, MODEL_OPTIONS, FIXTURE_OPTIONS],
+    examples: ['node index.js batch queries.jsonl --concurrency 8 --resume']
+  },
+  cache: {
+    description: '管理本地响应缓存 (clear 清空, stats 查看统计)',
+    positionals: [{ name: 'action', required: true, choices: ['clear', 'stats'] }],
+    options: {},
+    groups: [OUTPUT_OPTIONS],
+    examples: ['node index.js cache stats']
+  },
+  mcp: {
+    description: '以 MCP stdio 服务方式运行，提供 search / fetch 等工具',
+    positionals: [],
+    options: {},
+    groups: [MODEL_OPTIONS, FIXTURE_OPTIONS],
+    examples: ['node index.js mcp --profile work']
+  },
+  serve: {
+    description: '启动 HTTP API 服务 (POST /search, POST /fetch, GET /info, GET /health)',
+    positionals: [],
+    options: {
+      port: { type: 'string', value: '<port>', parse: integer(0, 65535), description: '监听端口 (默认: 8787)' },
+      host: { type: 'string', value: '<host>', description: '监听地址 (默认: 127.0.0.1)' },
+      token: { type: 'string', value: '<token>', description: '要求 Bearer Token 认证 (也可用 GEMINI_SEARCH_TOKEN)' },
+      'max-concurrency': { type: 'string', value: '<n>', parse: integer(1), description: '每个客户端的最大并发请求数 (默认: 4)' }
+    },
+    groups: [MODEL_OPTIONS, FIXTURE_OPTIONS],
+    examples: ['node index.js serve --port 8787 --token shared-secret']
+  }
+};
+
+/**
+ * 可以写入配置文件的设置项及对应的环境变量
+ */
+export const SETTINGS = {
+  baseUrl: { env: 'GEMINI_BASE_URL' },
+  apiKey: { env: 'GEMINI_API_KEY' },
+  model: { env: 'GEMINI_MODEL', flag: 'model' },
+  provider: { env: 'GEMINI_PROVIDER', flag: 'provider' },
+  timeout: { env: 'GEMINI_TIMEOUT', flag: 'timeout', parse: integer(1000, 600000) },
+  retries: { env: 'GEMINI_RETRIES', flag: 'retries', parse: integer(0, 10) },
+  temperature: { env: 'GEMINI_TEMPERATURE', flag: 'temperature', parse: number(0, 2) },
+  urlAllowlist: { env: 'GEMINI_URL_ALLOWLIST', parse: (value, where) => parseDomainList(value, where) },
+  urlDenylist: { env: 'GEMINI_URL_DENYLIST', parse: (value, where) => parseDomainList(value, where) },
+  allowPrivateUrls: { env: 'GEMINI_URL_ALLOW_PRIVATE', parse: boolean }
+};
+
+const ENVIRONMENT_HELP = [
+  ['GEMINI_BASE_URL', 'OpenAI 兼容 API 的基础 URL'],
+  ['GEMINI_API_KEY', 'Gemini API 密钥，多个用逗号分隔，或 @path 指定密钥文件'],
+  ['GEMINI_KEY_ROTATION', '多密钥轮换策略 (round-robin 或 least-used)'],
+  ['GEMINI_MODEL', '默认模型名称'],
+  ['GEMINI_PROVIDER', '后端协议 (openai 或 gemini)'],
+  ['GEMINI_API_KEY_LOCATION', 'gemini 协议的密钥位置 (header 或 query)'],
+  ['GEMINI_TIMEOUT', '请求超时 (毫秒)'],
+  ['GEMINI_RETRIES', '失败后的最多重试次数'],
+  ['GEMINI_TEMPERATURE', '采样温度'],
+  ['GEMINI_PROFILE', '默认使用的配置文件 profile'],
+  ['GEMINI_SEARCH_CONFIG', '配置文件路径'],
+  ['GEMINI_SEARCH_MODE', '录制 / 回放模式 (record 或 replay)'],
+  ['GEMINI_SEARCH_FIXTURES', 'fixture 目录 (默认: ./fixtures)'],
+  ['GEMINI_SEARCH_STRICT', '设为 1 时回放未命中直接报错'],
+  ['GEMINI_URL_ALLOWLIST', 'fetch 只允许访问的域名，逗号分隔'],
+  ['GEMINI_URL_DENYLIST', 'fetch 禁止访问的域名，逗号分隔'],
+  ['GEMINI_URL_ALLOW_PRIVATE', '设为 1 时允许 fetch 访问内网和本机地址'],
+  ['GEMINI_CACHE', '设为 off 关闭缓存'],
+  ['GEMINI_SESSION_DIR', '会话目录 (默认: ~/.local/share/gemini-search/sessions)'],
+  ['GEMINI_WATCH_DIR', 'watch 状态目录 (默认: ~/.local/share/gemini-search/watch)'],
+  ['GEMINI_CACHE_DIR', '缓存目录 (默认: ~/.cache/gemini-search)'],
+  ['GEMINI_PRICES', '模型价格表 JSON 或 @path (美元 / 百万 token)'],
+  ['GEMINI_STRUCTURED_OUTPUT', '结构化输出方式 (auto、json_schema 或 json_object)'],
+  ['GEMINI_SEARCH_TOKEN', 'serve 模式的 Bearer Token'],
+  ['GEMINI_SEARCH_PORT', 'serve 模式的监听端口 (默认: 8787)'],
+  ['GEMINI_SEARCH_HOST', 'serve 模式的监听地址 (默认: 127.0.0.1)'],
+  ['LOG_LEVEL', '日志级别 (debug、info、warn、error 或 silent)'],
+  ['LOG_FORMAT', '日志格式 (text 或 json)'],
+  ['NO_COLOR', '设置后终端输出不使用颜色']
+];
+
+/**
+ * 命令的全部选项
+ * @private
+ */
+function commandOptions(name) {
+  const spec = COMMANDS[name];
+  return Object.assign({}, COMMON_OPTIONS, ...spec.groups, spec.options);
+}
+
+/**
+ * 命令的用法行
+ * @private
+ */
+function usageLine(name) {
+  const spec = COMMANDS[name];
+  const positionals = spec.positionals.map(item => {
+    const label = item.choices ? item.choices.join('|') : item.name;
+    return item.required ? `<${label}>` : `[${label}]`;
+  });
+  const required = Object.entries(spec.options)
+    .filter(([, option]) => option.required)
+    .map(([flag, option]) => `--${flag} ${option.value}`);
+  return ['node index.js', name, ...positionals, ...required, '[options]'].join(' ');
+}
+
+/**
+ * 格式化选项列表
+ * @private
+ */
+function formatOptions(options) {
+  return Object.entries(options).map(([flag, option]) => {
+    const label = `${option.short ? `-${option.short}, ` : '    '}--${flag}${option.value ? ` ${option.value}` : ''}`;
+    return `  ${label.padEnd(28)} ${option.description}`;
+  });
+}
+
+/**
+ * 生成帮助信息
+ * @param {string|null} command - 命令名称，为空时生成总体帮助
+ * @returns {string} 帮助文本
+ */
+export function formatHelp(command = null) {
+  const lines = [];
+
+  if (command) {
+    const spec = COMMANDS[command];
+    lines.push(`Usage: ${usageLine(command)}`, '', spec.description);
+
+    if (Object.keys(spec.options).length > 0) {
+      lines.push('', 'Options:', ...formatOptions(spec.options));
+    }
+    for (const group of spec.groups) {
+      if (group === MODEL_OPTIONS) {
+        lines.push('', 'Model options:', ...formatOptions(group));
+      } else if (group === FIXTURE_OPTIONS) {
+        lines.push('', 'Record / replay options:', ...formatOptions(group));
+      } else {
+        lines.push(...formatOptions(group));
+      }
+    }
+    lines.push('', 'Common options:', ...formatOptions(COMMON_OPTIONS));
+    lines.push('', 'Examples:', ...spec.examples.map(example => `  ${example}`));
+    return lines.join('\n');
+  }
+
+  lines.push('Gemini Search Skill - 命令行工具', '', 'Usage:');
+  lines.push(...Object.keys(COMMANDS).map(name => `  ${usageLine(name)}`));
+  lines.push('', 'Commands:');
+  lines.push(...Object.entries(COMMANDS).map(([name, spec]) => `  ${name.padEnd(9)} ${spec.description}`));
+  lines.push('', '运行 node index.js <command> --help 查看各命令的选项。以 - 开头的参数值请写在 -- 之后。');
+  lines.push('', 'Configuration:');
+  lines.push(`  配置文件: ${PROJECT_CONFIG_FILE} (当前目录) 或 ${userConfigPath()}`);
+  lines.push('  优先级: 命令行参数 > 环境变量 > 配置文件 (profile) > 默认值');
+  lines.push('', 'Environment variables:');
+  lines.push(...ENVIRONMENT_HELP.map(([name, description]) => `  ${name.padEnd(25)} ${description}`));
+  lines.push('', 'Examples:');
+  lines.push(...Object.values(COMMANDS).slice(0, 3).flatMap(spec => spec.examples.slice(0, 1)).map(example => `  ${example}`));
+  return lines.join('\n');
+}
+
+/**
+ * 解析命令行
+ * @param {Array<string>} argv - 命令行参数 (不含 node 与脚本路径)
+ * @returns {{command: string|null, help: boolean, version: boolean, args: Object, options: Object}}
+ *          args 为按名称命名的位置参数，options 为已转换类型的选项 (键名为选项名)
+ * @throws {ValidationError} 未知命令、未知选项或参数格式错误时抛出
+ */
+export function parseCommandLine(argv) {
+  const [first, ...rest] = argv;
+
+  if (first === undefined || first === '--help' || first === '-h' || first === 'help') {
+    const topic = first === 'help' && rest[0];
+    if (topic && !COMMANDS[topic]) {
+      throw new ValidationError(`Unknown command: ${topic}. Available commands: ${Object.keys(COMMANDS).join(', ')}`);
+    }
+    return { command: topic || null, help: true, version: false, args: {}, options: {} };
+  }
+
+  if (first === '--version' || first === '-v') {
+    return { command: null, help: false, version: true, args: {}, options: {} };
+  }
+
+  if (!COMMANDS[first]) {
+    throw new ValidationError(first.startsWith('-')
+      ? `Unknown option: ${first}. Use --help for usage information.`
+      : `Unknown command: ${first}. Use --help for usage information.`);
+  }
+
+  const command = first;
+  const spec = COMMANDS[command];
+  const definitions = commandOptions(command);
+  const hint = `Run "node index.js ${command} --help" for usage.`;
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: Object.fromEntries(Object.entries(definitions).map(([flag, option]) => [
+        flag,
+        { type: option.type, ...(option.short && { short: option.short }), ...(option.multiple && { multiple: true }) }
+      ])),
+      allowPositionals: true,
+      strict: true
+    });
+  } catch (error) {
+    if (error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      const option = (/'([^']+)'/.exec(error.message) || [])[1] || '';
+      throw new ValidationError(`Unknown option for ${command}: ${option}. ` +
+        `To pass an argument starting with "-", put it after "--". ${hint}`);
+    }
+    throw new ValidationError(`${error.message.replace(/[.\s]*$/, '.')} ${hint}`);
+  }
+
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    return { command, help: true, version: false, args: {}, options: {} };
+  }
+
+  if (positionals.length > spec.positionals.length) {
+    throw new ValidationError(`Unexpected argument: ${positionals[spec.positionals.length]}. ${hint}`);
+  }
+
+  const args = {};
+  spec.positionals.forEach((item, index) => {
+    const value = positionals[index];
+    if (value === undefined || value === '') {
+      if (item.required) {
+        throw new ValidationError(`Missing required argument <${item.name}> for ${command}. ${hint}`);
+      }
+      return;
+    }
+    if (item.choices && !item.choices.includes(value)) {
+      throw new ValidationError(`Invalid ${item.name}: ${value}. Expected one of: ${item.choices.join(', ')}`);
+    }
+    args[item.name] = value;
+  });
+
+  const options = {};
+  for (const [flag, value] of Object.entries(values)) {
+    const option = definitions[flag];
+    options[flag] = option.parse ? option.parse(value, `--${flag}`) : value;
+  }
+
+  for (const [flag, option] of Object.entries(spec.options)) {
+    if (option.required && options[flag] === undefined) {
+      throw new ValidationError(`--${flag} is required for ${command}. ${hint}`);
+    }
+  }
+
+  return { command, help: false, version: false, args, options };
+}
+
+// 当前目录下的项目配置文件名
+export const PROJECT_CONFIG_FILE = '.gemini-search.json';
+
+/**
+ * 用户配置文件路径 ($XDG_CONFIG_HOME/gemini-search/config.json，默认 ~/.config/gemini-search/config.json)
+ * @returns {string}
+ */
+export function userConfigPath() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'gemini-search', 'config.json');
+}
+
+/**
+ * 检查配置对象中的键
+ * @private
+ */
+function checkSettings(settings, where) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ValidationError(`${where} must be an object`);
+  }
+  for (const key of Object.keys(settings)) {
+    if (!Object.hasOwn(SETTINGS, key)) {
+      throw new ValidationError(`Unknown setting "${key}" in ${where}. Available settings: ${Object.keys(SETTINGS).join(', ')}`);
+    }
+  }
+}
+
+/**
+ * 读取并校验单个配置文件
+ * @private
+ * @returns {Promise<Object|null>} 配置内容，文件不存在且 optional 为 true 时返回 null
+ */
+async function readConfigFile(file, optional) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (optional && error.code === 'ENOENT') return null;
+    throw new ValidationError(`Failed to read config file ${file}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError(`Invalid JSON in config file ${file}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ValidationError(`Config file ${file} must contain a JSON object`);
+  }
+
+  const { profiles = {}, defaultProfile = null, ...settings } = config;
+  checkSettings(settings, `config file ${file}`);
+  if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new ValidationError(`"profiles" in config file ${file} must be an object`);
+  }
+  if (defaultProfile !== null && typeof defaultProfile !== 'string') {
+    throw new ValidationError(`"defaultProfile" in config file ${file} must be a string`);
+  }
+
+  return { file, settings, profiles, defaultProfile };
+}
+
+/**
+ * 加载配置文件
+ * 指定 file 时只读取该文件；否则依次读取用户配置文件和当前目录的项目配置文件，项目配置覆盖用户配置
+ * 配置文件格式：顶层为默认设置，profiles 中为命名的设置组，defaultProfile 为未指定 --profile 时使用的 profile
+ * @param {Object} options - 加载选项
+ * @param {string} options.file - 配置文件路径 (默认: GEMINI_SEARCH_CONFIG)
+ * @param {string} options.cwd - 查找项目配置文件的目录 (默认: process.cwd())
+ * @returns {Promise<{files: Array<string>, settings: Object, profiles: Object, defaultProfile: string|null}>}
+ */
+export async function loadConfig(options = {}) {
+  const file = options.file || process.env.GEMINI_SEARCH_CONFIG;
+  const cwd = options.cwd || process.cwd();
+
+  const sources = file
+    ? [await readConfigFile(path.resolve(cwd, file), false)]
+    : [await readConfigFile(userConfigPath(), true), await readConfigFile(path.join(cwd, PROJECT_CONFIG_FILE), true)];
+
+  const config = { files: [], settings: {}, profiles: {}, defaultProfile: null };
+  for (const source of sources.filter(Boolean)) {
+    config.files.push(source.file);
+    Object.assign(config.settings, source.settings);
+    for (const [name, profile] of Object.entries(source.profiles)) {
+      checkSettings(profile, `profile "${name}" in ${source.file}`);
+      config.profiles[name] = { ...config.profiles[name], ...profile };
+    }
+    if (source.defaultProfile) {
+      config.defaultProfile = source.defaultProfile;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * 按优先级合并设置：命令行参数 > 环境变量 > 配置文件 (profile 覆盖顶层设置) > 默认值 (交给 GeminiSearchSkill 决定)
+ * @param {Object} config - loadConfig 的结果
+ * @param {Object} options - parseCommandLine 返回的选项
+ * @param {Object} env - 环境变量 (默认: process.env)
+ * @returns {{profile: string|null, settings: Object}} 使用的 profile 及合并后的设置
+ * @throws {ValidationError} profile 不存在或设置值无效时抛出
+ */
+export function resolveSettings(config, options = {}, env = process.env) {
+  const profile = options.profile || env.GEMINI_PROFILE || config.defaultProfile || null;
+  if (profile && !Object.hasOwn(config.profiles, profile)) {
+    const available = Object.keys(config.profiles);
+    throw new ValidationError(`Unknown profile: ${profile}. ` +
+      (available.length > 0 ? `Available profiles: ${available.join(', ')}` : 'No profiles are defined in the config file'));
+  }
+
+  const fileSettings = { ...config.settings, ...(profile && config.profiles[profile]) };
+  const settings = {};
+
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    let value;
+    if (setting.flag && options[setting.flag] !== undefined) {
+      value = options[setting.flag];
+    } else if (env[setting.env]) {
+      value = setting.parse ? setting.parse(env[setting.env], setting.env) : env[setting.env];
+    } else if (fileSettings[name] !== undefined && fileSettings[name] !== null) {
+      value = setting.parse ? setting.parse(fileSettings[name], `config setting "${name}"`) : fileSettings[name];
+    }
+
+    if (value !== undefined) {
+      settings[name] = value;
+    }
+  }
+
+  return { profile, settings };
+}
+
+/**
+ * 由 --record / --replay / --strict 生成录制 / 回放选项，命令行参数优先于 GEMINI_SEARCH_* 环境变量
+ * @param {Object} options - parseCommandLine 返回的选项
+ * @param {Object} env - 环境变量 (默认: process.env)
+ * @returns {Object|undefined} GeminiSearchSkill 的 fixtures 选项，未使用这些参数时返回 undefined (由环境变量决定)
+ * @throws {ValidationError} 参数冲突时抛出
+ */
+export function resolveFixtureOptions(options = {}, env = process.env) {
+  if (options.record !== undefined && options.replay !== undefined) {
+    throw new ValidationError('--record and --replay cannot be used together');
+  }
+
+  if (options.record !== undefined) {
+    return { mode: 'record', dir: options.record };
+  }
+
+  if (options.replay !== undefined) {
+    return { mode: 'replay', dir: options.replay, strict: !!options.strict };
+  }
+
+  if (options.strict) {
+    const fromEnv = fixtureOptionsFromEnv(env);
+    if (!fromEnv || fromEnv.mode !== 'replay') {
+      throw new ValidationError('--strict requires --replay <dir> or GEMINI_SEARCH_MODE=replay');
+    }
+    return { ...fromEnv, strict: true };
+  }
+
+  return undefined;
+}
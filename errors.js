@@ -0,0 +1,128 @@
+/**
+ * 错误类型模块
+ * 所有错误都带有 code、status、retryable 和 attempts 字段，调用方可以据此分支处理而无需解析错误信息
+ */
+
+/**
+ * 基础错误类型
+ */
+export class GeminiSearchError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} options - 错误属性
+   * @param {string} options.code - 错误码
+   * @param {number|null} options.status - 上游 HTTP 状态码 (默认: null)
+   * @param {boolean} options.retryable - 是否可以重试 (默认: false)
+   * @param {number} options.attempts - 已尝试的次数 (默认: 1)
+   * @param {Error} options.cause - 原始错误
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = options.code || 'GEMINI_SEARCH_ERROR';
+    this.status = options.status ?? null;
+    this.retryable = !!options.retryable;
+    this.attempts = options.attempts ?? 1;
+  }
+}
+
+/**
+ * 认证失败 (401 / 403)，不重试
+ */
+export class AuthError extends GeminiSearchError {
+  constructor(message = 'Authentication failed: Invalid API key', options = {}) {
+    super(message, { code: 'AUTH_FAILED', status: 401, ...options, retryable: false });
+  }
+}
+
+/**
+ * 频率限制 (429)，retryAfter 为服务端要求的等待时间 (毫秒)
+ */
+export class RateLimitError extends GeminiSearchError {
+  constructor(message = 'Rate limit exceeded: Too many requests', options = {}) {
+    super(message, { code: 'RATE_LIMITED', status: 429, retryable: true, ...options });
+    this.retryAfter = options.retryAfter ?? null;
+  }
+}
+
+/**
+ * 请求超时
+ */
+export class TimeoutError extends GeminiSearchError {
+  constructor(message, options = {}) {
+    super(message, { code: 'TIMEOUT', retryable: true, ...options });
+  }
+}
+
+/**
+ * 上游服务错误：非 2xx 响应、网络错误或无法解析的响应
+ */
+export class UpstreamError extends GeminiSearchError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'UPSTREAM_ERROR',
+      retryable: options.status !== undefined && options.status >= 500,
+      ...options
+    });
+  }
+}
+
+/**
+ * 熔断器打开期间直接失败，retryAfter 为距离熔断器半开的时间 (毫秒)
+ */
+export class CircuitOpenError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CIRCUIT_OPEN', status: null, retryable: false, ...options });
+    this.retryAfter = options.retryAfter ?? null;
+  }
+}
+
+/**
+ * 参数或数据校验失败，不重试
+ */
+export class ValidationError extends GeminiSearchError {
+  constructor(message, options = {}) {
+    super(message, { code: 'VALIDATION_ERROR', status: 400, ...options, retryable: false });
+  }
+}
+
+/**
+ * replay 严格模式下没有匹配的 fixture，不重试
+ */
+export class FixtureMissError extends GeminiSearchError {
+  constructor(message, options = {}) {
+    super(message, { code: 'FIXTURE_MISS', ...options, retryable: false });
+    this.fixtureKey = options.fixtureKey || null;
+  }
+}
+
+/**
+ * URL 被安全策略拒绝 (协议不允许、域名不在白名单或在黑名单中、解析到内网地址)，不重试
+ */
+export class UrlBlockedError extends GeminiSearchError {
+  constructor(message, options = {}) {
+    super(message, { code: 'URL_BLOCKED', status: 403, ...options, retryable: false });
+    this.url = options.url || null;
+    this.reason = options.reason || null;
+  }
+}
+
+/**
+ * 在错误信息前加上命令前缀（如 "Search failed: "）
+ * 类型化错误原样保留类型和字段，其他错误包装为普通 Error
+ * @param {Error} error - 原始错误
+ * @param {string} prefix - 前缀
+ * @returns {Error} 带前缀的错误
+ */
+export function prefixError(error, prefix) {
+  if (error instanceof GeminiSearchError) {
+    error.message = `${prefix}: ${error.message}`;
+    return error;
+  }
+
+  const wrapped = new Error(`${prefix}: ${error.message}`, { cause: error });
+  if (error.validationErrors) {
+    wrapped.validationErrors = error.validationErrors;
+  }
+  return wrapped;
+}
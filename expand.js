@@ -0,0 +1,208 @@
+/**
+ * 查询扩展模块
+ * 让模型把查询改写为多个表述 (包括中英互译)，与原查询并发搜索，
+ * 按规范化 URL 去重后用倒数排名融合 (RRF) 合并排序，提高宽泛问题的召回率
+ */
+
+import { parseJsonLoose, canonicalizeUrl } from './results.js';
+
+const EXPANSION_SCHEMA = {
+  type: 'object',
+  properties: {
+    queries: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['queries'],
+  additionalProperties: false
+};
+
+/**
+ * 最多生成的改写查询数
+ */
+export const MAX_EXPANSIONS = 5;
+
+/**
+ * RRF 常数：得分为 1 / (k + 排名)，k 越大，各子查询中排名靠前与靠后的差距越小
+ */
+export const RRF_K = 60;
+
+const CJK_PATTERN = /[\u3400-\u9fff]/;
+
+/**
+ * 让模型生成改写查询
+ * @private
+ */
+async function generateReformulations(engine, query, count) {
+  const translation = CJK_PATTERN.test(query)
+    ? 'At least one query must be an English translation of the original query.'
+    : 'At least one query must be a Simplified Chinese translation of the original query.';
+
+  const prompt = `Rewrite the web search query below into ${count} alternative search queries ` +
+                 'that could find relevant results the original wording would miss.\n\n' +
+                 `Query: ${query}\n\n` +
+                 '- Keep the original intent; vary the wording, use synonyms, or make the query more specific or more general.\n' +
+                 `- ${translation}\n` +
+                 '- Do not repeat the original query and do not add search operators such as site:.\n\n' +
+                 `Return exactly ${count} queries. Respond with a JSON object only: {"queries": ["..."]}`;
+
+  const { text } = await engine.callGeminiStructured([
+    { role: 'user', content: prompt }
+  ], null, 'query_expansion', EXPANSION_SCHEMA);
+
+  const { value: parsed } = parseJsonLoose(text);
+  if (!parsed || !Array.isArray(parsed.queries)) {
+    throw new Error('Query expansion response missing queries array');
+  }
+
+  const seen = new Set([query.toLowerCase()]);
+  const queries = [];
+  for (const item of parsed.queries) {
+    if (typeof item !== 'string' || !item.trim() || seen.has(item.trim().toLowerCase())) continue;
+    seen.add(item.trim().toLowerCase());
+    queries.push(item.trim());
+  }
+  return queries.slice(0, count);
+}
+
+/**
+ * 合并各子查询的溯源来源，按 URL (没有 URL 时按域名) 去重并重新编号
+ * @private
+ * @returns {{sources: Array, mappings: Array<Map>}} 合并后的来源，以及每个子查询的 旧编号 → 新编号 映射
+ */
+function mergeSources(searches) {
+  const sources = [];
+  const byKey = new Map();
+
+  const mappings = searches.map(({ result }) => {
+    const mapping = new Map();
+    for (const source of result.sources || []) {
+      const key = source.url || source.domain || `#${sources.length}`;
+      let merged = byKey.get(key);
+      if (!merged) {
+        merged = { ...source, index: sources.length + 1 };
+        byKey.set(key, merged);
+        sources.push(merged);
+      }
+      mapping.set(source.index, merged.index);
+    }
+    return mapping;
+  });
+
+  return { sources, mappings };
+}
+
+/**
+ * 用倒数排名融合合并多个结果列表
+ * 结果按规范化 URL 去重，得分为其在各列表中 1 / (k + 排名) 之和，因此被更多子查询找到、排名更靠前的结果排在前面；
+ * 同一结果保留排名最高的那一份，缺失的字段从其他列表中补齐
+ * @param {Array<{query: string, results: Array<Object>}>} lists - 各子查询的结果列表 (按排名排序)
+ * @param {Object} options - 融合选项
+ * @param {number} options.k - RRF 常数 (默认: 60)
+ * @returns {Array<Object>} 合并后的结果，每条附带 subQueries (找到该结果的子查询) 和 fusionScore
+ */
+export function fuseResults(lists, options = {}) {
+  const { k = RRF_K } = options;
+  const merged = new Map();
+
+  for (const { query, results } of lists) {
+    results.forEach((item, rank) => {
+      const key = canonicalizeUrl(item.url) || item.url;
+      const entry = merged.get(key);
+
+      if (!entry) {
+        merged.set(key, { item, bestRank: rank, score: 1 / (k + rank + 1), subQueries: [query] });
+        return;
+      }
+
+      // 同一列表中重复出现的结果只计一次
+      if (!entry.subQueries.includes(query)) {
+        entry.subQueries.push(query);
+        entry.score += 1 / (k + rank + 1);
+      }
+
+      const [primary, secondary] = rank < entry.bestRank ? [item, entry.item] : [entry.item, item];
+      entry.item = { ...primary };
+      for (const [field, value] of Object.entries(secondary)) {
+        if ((entry.item[field] === undefined || entry.item[field] === null || entry.item[field] === '') && value !== undefined) {
+          entry.item[field] = value;
+        }
+      }
+      entry.bestRank = Math.min(entry.bestRank, rank);
+    });
+  }
+
+  return [...merged.values()]
+    .sort((a, b) => b.score - a.score || a.bestRank - b.bestRank)
+    .map(entry => ({
+      ...entry.item,
+      subQueries: entry.subQueries,
+      fusionScore: Number(entry.score.toFixed(6))
+    }));
+}
+
+/**
+ * 扩展查询并合并搜索结果
+ * 改写查询失败时只用原查询搜索；部分子查询失败时合并其余结果，全部失败时抛出原查询的错误
+ * @param {GeminiSearch} engine - 搜索引擎实例
+ * @param {string} query - 原查询
+ * @param {Object} options - 搜索选项，同 GeminiSearch.search()，另外包括:
+ * @param {number} options.expand - 改写查询数 (1-5)
+ * @returns {Promise<Object>} 与 search() 结构相同的结果，results 为合并后的前 numResults 条，
+ *          expansion 列出各子查询及其结果数
+ */
+export async function searchExpanded(engine, query, options) {
+  const { expand, numResults = 10 } = options;
+  const searchOptions = { ...options, json: true };
+
+  let reformulations = [];
+  let expansionError = null;
+  try {
+    reformulations = await generateReformulations(engine, query, Math.min(expand, MAX_EXPANSIONS));
+  } catch (error) {
+    expansionError = error.message;
+  }
+
+  const queries = [query, ...reformulations];
+  const searches = await Promise.all(queries.map(async (subQuery) => {
+    try {
+      return { query: subQuery, result: await engine.search(subQuery, searchOptions) };
+    } catch (error) {
+      return { query: subQuery, error };
+    }
+  }));
+
+  const succeeded = searches.filter(search => search.result);
+  if (succeeded.length === 0) {
+    throw searches[0].error;
+  }
+
+  const { sources, mappings } = mergeSources(succeeded);
+  const remap = (indices, mapping) => [...new Set((indices || []).map(index => mapping.get(index)).filter(Boolean))];
+
+  const lists = succeeded.map(({ query: subQuery, result }, i) => ({
+    query: subQuery,
+    results: result.results.map(item => ({ ...item, sourceIndices: remap(item.sourceIndices, mappings[i]) }))
+  }));
+
+  // 原查询失败时用第一个成功的子查询的总结
+  const primary = succeeded[0].result;
+
+  return {
+    results: fuseResults(lists).slice(0, numResults),
+    summary: primary.summary,
+    sources,
+    citations: succeeded.flatMap(({ query: subQuery, result }, i) =>
+      (result.citations || []).map(citation => ({ ...citation, query: subQuery, sourceIndices: remap(citation.sourceIndices, mappings[i]) }))),
+    searchQueries: [...new Set(succeeded.flatMap(({ result }) => result.searchQueries || []))],
+    warnings: succeeded.flatMap(({ query: subQuery, result }) => (result.warnings || []).map(warning => `${subQuery}: ${warning}`)),
+    expansion: {
+      fusion: 'rrf',
+      k: RRF_K,
+      queries: searches.map(({ query: subQuery, result, error }, i) => ({
+        query: subQuery,
+        original: i === 0,
+        ...(result ? { resultCount: result.results.length } : { error: error.message })
+      })),
+      ...(expansionError && { error: expansionError })
+    }
+  };
+}
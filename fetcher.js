@@ -0,0 +1,490 @@
+/**
+ * 网页获取模块
+ * 在本地下载网页（处理重定向、字符集与内容类型），并将 HTML 转换为干净的可读文本或 Markdown
+ */
+
+import { RateLimitError, TimeoutError, UpstreamError, ValidationError, GeminiSearchError } from './errors.js';
+import { parseRetryAfter, isNetworkError } from './retry.js';
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; GeminiSearchSkill/1.2; +https://github.com/openwalf/gemini-search-skill)';
+
+// 直接当作文本处理的非 text/* 类型
+const TEXT_LIKE_TYPES = new Set([
+  'application/json',
+  'application/ld+json',
+  'application/xml',
+  'application/rss+xml',
+  'application/atom+xml',
+  'application/javascript',
+  'application/x-javascript'
+]);
+
+// 整块移除的标签（脚本、样式、导航及其他页面框架元素）
+const BOILERPLATE_TAGS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object',
+  'nav', 'header', 'footer', 'aside', 'button', 'select', 'dialog', 'menu'
+];
+
+const BLOCK_TAGS = [
+  'p', 'div', 'section', 'article', 'main', 'blockquote', 'table', 'thead', 'tbody',
+  'tr', 'ul', 'ol', 'dl', 'dt', 'dd', 'figure', 'figcaption', 'details', 'summary', 'hr'
+];
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', middot: '·', bull: '•',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  copy: '©', reg: '®', trade: '™', times: '×', divide: '÷', deg: '°',
+  euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶'
+};
+
+/**
+ * 解码 HTML 实体
+ * @param {string} text - 含实体的文本
+ * @returns {string} 解码后的文本
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(codePoint);
+      } catch (e) {
+        return match;
+      }
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * 去除标签并解码实体，得到单行纯文本
+ * @private
+ */
+function innerText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 读取标签属性值
+ * @private
+ */
+function getAttribute(attrs, name) {
+  const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) return null;
+  return decodeEntities(match[1] ?? match[2] ?? match[3] ?? '');
+}
+
+/**
+ * 移除指定标签及其全部内容（循环处理嵌套）
+ * @private
+ */
+function removeElements(html, tags) {
+  const pattern = new RegExp(`<(${tags.join('|')})\\b[^>]*>[\\s\\S]*?<\\/\\1\\s*>`, 'gi');
+  let previous;
+  do {
+    previous = html;
+    html = html.replace(pattern, ' ');
+  } while (html !== previous);
+  // 清理未闭合的残留起始标签
+  return html.replace(new RegExp(`<(${tags.join('|')})\\b[^>]*\\/?>`, 'gi'), ' ');
+}
+
+/**
+ * 提取页面标题
+ * @private
+ */
+function extractTitle(html) {
+  const title = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  if (title && innerText(title[1])) {
+    return innerText(title[1]);
+  }
+
+  const ogTitle = html.match(/<meta\b[^>]*property\s*=\s*["']og:title["'][^>]*>/i);
+  if (ogTitle) {
+    const content = getAttribute(ogTitle[0], 'content');
+    if (content) return content.trim();
+  }
+
+  const h1 = html.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i);
+  return h1 ? innerText(h1[1]) : '';
+}
+
+/**
+ * 选取正文区域：优先 <main> / <article>，否则使用 <body>
+ * @private
+ */
+function selectMainContent(html) {
+  for (const tag of ['main', 'article']) {
+    const match = html.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*)<\\/${tag}>`, 'i'));
+    if (match && innerText(match[1]).length >= 200) {
+      return match[1];
+    }
+  }
+
+  const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+  return body ? body[1] : html;
+}
+
+/**
+ * 将 HTML 转换为可读文本或 Markdown
+ * @param {string} html - 原始 HTML
+ * @param {Object} options - 转换选项
+ * @param {string} options.baseUrl - 用于解析相对链接的页面地址
+ * @param {string} options.format - 输出格式 (markdown 或 text, 默认: markdown)
+ * @returns {{title: string, content: string}} 标题与正文
+ */
+export function extractReadableContent(html, options = {}) {
+  const { baseUrl, format = 'markdown' } = options;
+  const markdown = format === 'markdown';
+
+  const title = extractTitle(html);
+
+  let body = html.replace(/<!--[\s\S]*?-->/g, ' ');
+  body = removeElements(body, ['head', ...BOILERPLATE_TAGS]);
+  body = selectMainContent(body);
+
+  // 预格式化文本使用占位符保护，避免后续空白折叠
+  const preserved = [];
+  const preserve = (text) => {
+    preserved.push(text);
+    return `\u0000${preserved.length - 1}\u0000`;
+  };
+
+  body = body.replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (_, inner) => {
+    const code = decodeEntities(inner.replace(/<[^>]*>/g, '')).replace(/^\n+|\s+$/g, '');
+    return `\n\n${preserve(markdown ? `\`\`\`\n${code}\n\`\`\`` : code)}\n\n`;
+  });
+
+  body = body.replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, inner) => {
+    const text = innerText(inner);
+    if (!text) return '\n\n';
+    return markdown ? `\n\n${'#'.repeat(Number(level))} ${text}\n\n` : `\n\n${text}\n\n`;
+  });
+
+  body = body.replace(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi, (_, attrs, inner) => {
+    const text = innerText(inner);
+    if (!text) return ' ';
+    const href = getAttribute(attrs, 'href');
+    if (!markdown || !href || /^(javascript|mailto|tel):|^#/i.test(href)) {
+      return ` ${text} `;
+    }
+    try {
+      return ` [${text}](${new URL(href, baseUrl).href}) `;
+    } catch (e) {
+      return ` ${text} `;
+    }
+  });
+
+  if (markdown) {
+    body = body.replace(/<code\b[^>]*>([\s\S]*?)<\/code>/gi, (_, inner) => {
+      const text = innerText(inner);
+      return text ? `\`${text}\`` : '';
+    });
+  }
+
+  body = body
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/t[dh]\s*>/gi, ' | ')
+    .replace(new RegExp(`<\\/?(${BLOCK_TAGS.join('|')})\\b[^>]*>`, 'gi'), '\n\n')
+    .replace(/<[^>]*>/g, ' ');
+
+  let content = decodeEntities(body)
+    .split('\n')
+    .map(line => line.replace(/[^\S\n]+/g, ' ').trim())
+    .map(line => line.replace(/^\|\s*|\s*\|$/g, '').trim())
+    .filter(line => line !== '-' && line !== '|')
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  content = content.replace(/\u0000(\d+)\u0000/g, (_, index) => preserved[Number(index)]);
+
+  return { title, content };
+}
+
+/**
+ * 解析 Content-Type 头
+ * @private
+ */
+function parseContentType(header) {
+  if (!header) return { mimeType: '', charset: null };
+  const [mimeType, ...params] = header.split(';');
+  let charset = null;
+  for (const param of params) {
+    const [key, value] = param.split('=');
+    if (key && value && key.trim().toLowerCase() === 'charset') {
+      charset = value.trim().replace(/^["']|["']$/g, '').toLowerCase();
+    }
+  }
+  return { mimeType: mimeType.trim().toLowerCase(), charset };
+}
+
+/**
+ * 从字节内容中探测字符集（BOM 与 <meta> 声明）
+ * @private
+ */
+function sniffCharset(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+
+  const head = Buffer.from(bytes.subarray(0, 4096)).toString('latin1');
+  const meta = head.match(/<meta\b[^>]*charset\s*=\s*["']?([\w-]+)/i);
+  return meta ? meta[1].toLowerCase() : null;
+}
+
+/**
+ * 按字符集解码字节内容，不支持的字符集回退到 UTF-8
+ * @private
+ */
+function decodeBody(bytes, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch (e) {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+/**
+ * 读取响应体，超过上限时截断
+ * @private
+ */
+async function readBody(response, maxBytes) {
+  if (!response.body) {
+    return { bytes: new Uint8Array(0), truncated: false };
+  }
+
+  const chunks = [];
+  let total = 0;
+  let truncated = false;
+  const reader = response.body.getReader();
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (total + value.length > maxBytes) {
+      chunks.push(value.subarray(0, maxBytes - total));
+      total = maxBytes;
+      truncated = true;
+      await reader.cancel();
+      break;
+    }
+    chunks.push(value);
+    total += value.length;
+  }
+
+  return { bytes: Buffer.concat(chunks, total), truncated };
+}
+
+/**
+ * 将下载过程中的超时和网络错误转换为对应的错误类型
+ * @private
+ */
+function classifyFetchError(error, timeoutMessage) {
+  if (error instanceof GeminiSearchError) {
+    return error;
+  }
+  if (error.name === 'AbortError') {
+    return new TimeoutError(timeoutMessage, { cause: error });
+  }
+  if (isNetworkError(error)) {
+    return new UpstreamError(`Network error: ${(error.cause && error.cause.message) || error.message}`, {
+      code: 'NETWORK_ERROR',
+      retryable: true,
+      cause: error
+    });
+  }
+  return error;
+}
+
+/**
+ * 按网页响应的状态码生成错误
+ * @private
+ */
+function pageStatusError(response) {
+  const message = `Page request failed with status ${response.status}: ${response.statusText}`;
+  if (response.status === 429) {
+    return new RateLimitError(message, { retryAfter: parseRetryAfter(response.headers.get('retry-after')) });
+  }
+  return new UpstreamError(message, {
+    code: 'PAGE_HTTP_ERROR',
+    status: response.status,
+    retryable: response.status >= 500 || response.status === 408
+  });
+}
+
+/**
+ * 下载网页并提取可读内容
+ * @param {string} url - 目标网页 URL
+ * @param {Object} options - 获取选项
+ * @param {number} options.timeout - 超时时间 (毫秒, 默认: 30000)
+ * @param {number} options.maxRedirects - 最大重定向次数 (默认: 5)
+ * @param {number} options.maxBytes - 最大下载字节数 (默认: 5MB)
+ * @param {string} options.format - 正文格式 (markdown 或 text, 默认: markdown)
+ * @param {UrlPolicy} options.urlPolicy - URL 安全策略，下载前和每次重定向后检查目标 URL (默认: 不检查)
+ * @returns {Promise<Object>} 页面信息，包括最终 URL、状态码、标题和正文
+ * @throws {UrlBlockedError} 目标 URL 或重定向目标被安全策略拒绝时抛出
+ * @throws {TimeoutError} 超时时抛出
+ * @throws {RateLimitError} 网页返回 429 时抛出
+ * @throws {UpstreamError} 非 2xx 响应 (status 为网页状态码)、网络错误、重定向过多或内容类型不支持时抛出
+ */
+export async function fetchPage(url, options = {}) {
+  const {
+    timeout = 30000,
+    maxRedirects = 5,
+    maxBytes = 5 * 1024 * 1024,
+    format = 'markdown',
+    userAgent = DEFAULT_USER_AGENT,
+    urlPolicy = null
+  } = options;
+
+  let currentUrl = new URL(url);
+  if (urlPolicy) {
+    await urlPolicy.check(currentUrl);
+  }
+  if (!['http:', 'https:'].includes(currentUrl.protocol)) {
+    throw new ValidationError(`Unsupported protocol: ${currentUrl.protocol}`);
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const redirects = [];
+
+  try {
+    let response;
+
+    // 手动跟随重定向，以便记录每一跳
+    while (true) {
+      response = await fetch(currentUrl.href, {
+        redirect: 'manual',
+        headers: {
+          'User-Agent': userAgent,
+          'Accept': 'text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.5',
+          'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8'
+        },
+        signal: controller.signal
+      });
+
+      const location = response.headers.get('location');
+      if (!REDIRECT_STATUSES.has(response.status) || !location) {
+        break;
+      }
+
+      // 重定向响应的正文不需要，先释放连接，之后的检查失败时也不会泄漏
+      if (response.body) {
+        await response.body.cancel();
+      }
+
+      if (redirects.length >= maxRedirects) {
+        throw new UpstreamError(`Too many redirects (max ${maxRedirects})`, { code: 'TOO_MANY_REDIRECTS', status: response.status });
+      }
+
+      const nextUrl = new URL(location, currentUrl);
+      // 重定向目标同样要经过安全策略检查，防止公网地址跳转到内网
+      if (urlPolicy) {
+        await urlPolicy.check(nextUrl);
+      }
+      if (!['http:', 'https:'].includes(nextUrl.protocol)) {
+        throw new UpstreamError(`Unsupported redirect protocol: ${nextUrl.protocol}`, { code: 'INVALID_REDIRECT', status: response.status });
+      }
+
+      redirects.push(currentUrl.href);
+      currentUrl = nextUrl;
+    }
+
+    if (!response.ok) {
+      if (response.body) {
+        await response.body.cancel();
+      }
+      throw pageStatusError(response);
+    }
+
+    const { mimeType, charset: headerCharset } = parseContentType(response.headers.get('content-type'));
+    const { bytes, truncated } = await readBody(response, maxBytes);
+    const charset = headerCharset || sniffCharset(bytes) || 'utf-8';
+    const raw = decodeBody(bytes, charset);
+
+    const isHtml = mimeType === 'text/html' || mimeType === 'application/xhtml+xml' ||
+                   (!mimeType && /^\s*(<!doctype html|<html)/i.test(raw));
+    const isText = mimeType.startsWith('text/') || TEXT_LIKE_TYPES.has(mimeType) || mimeType.endsWith('+json');
+
+    let title = '';
+    let content;
+
+    if (isHtml) {
+      ({ title, content } = extractReadableContent(raw, { baseUrl: currentUrl.href, format }));
+    } else if (isText || !mimeType) {
+      content = raw.trim();
+    } else {
+      throw new UpstreamError(`Unsupported content type: ${mimeType}`, { code: 'UNSUPPORTED_CONTENT_TYPE', status: response.status });
+    }
+
+    return {
+      url,
+      finalUrl: currentUrl.href,
+      status: response.status,
+      contentType: mimeType || null,
+      charset,
+      title,
+      content,
+      contentLength: content.length,
+      bytes: bytes.length,
+      truncated,
+      redirects
+    };
+  } catch (error) {
+    throw classifyFetchError(error, `Page request timeout after ${timeout}ms`);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * 解析单跳重定向链接的目标 URL，不下载正文
+ * @param {string} url - 重定向链接
+ * @param {Object} options - 选项
+ * @param {number} options.timeout - 超时时间 (毫秒, 默认: 10000)
+ * @param {UrlPolicy} options.urlPolicy - URL 安全策略，请求前检查重定向链接本身；Location 只解析不访问，不做检查 (默认: 不检查)
+ * @returns {Promise<string>} Location 指向的绝对 URL
+ * @throws {UrlBlockedError} 重定向链接被安全策略拒绝时抛出
+ * @throws {Error} 响应不是重定向或超时时抛出
+ */
+export async function resolveRedirect(url, options = {}) {
+  const { timeout = 10000, userAgent = DEFAULT_USER_AGENT, urlPolicy = null } = options;
+
+  if (urlPolicy) {
+    await urlPolicy.check(url);
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      method: 'HEAD',
+      redirect: 'manual',
+      headers: { 'User-Agent': userAgent },
+      signal: controller.signal
+    });
+    if (response.body) {
+      await response.body.cancel();
+    }
+
+    const location = response.headers.get('location');
+    if (!REDIRECT_STATUSES.has(response.status) || !location) {
+      throw new UpstreamError(`Expected a redirect from ${url}, got status ${response.status}`, { code: 'INVALID_REDIRECT', status: response.status });
+    }
+    return new URL(location, url).href;
+  } catch (error) {
+    throw classifyFetchError(error, `Redirect request timeout after ${timeout}ms`);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * 录制 / 回放模块
+ * record 模式把每次模型请求与响应 (以及下载的网页) 保存为 fixture 文件，
+ * replay 模式从 fixture 返回响应而不访问网络，用于离线运行和确定性测试
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { FixtureMissError, ValidationError } from './errors.js';
+
+export const FIXTURE_MODES = ['record', 'replay'];
+
+// 提示词中随当前时间变化的时间戳，如 2025-06-01T08:30:00.000Z 或 2025-06-01 08:30 UTC
+const TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z| UTC)?/g;
+
+// 这些状态码的响应与时间或密钥有关，不录制
+const UNRECORDED_STATUSES = new Set([401, 403, 429]);
+
+/**
+ * 规范化 JSON 值：对象键排序，字符串中的别名和时间戳替换为占位符
+ * @private
+ */
+function normalizeValue(value, aliases = null) {
+  if (Array.isArray(value)) {
+    return value.map(item => normalizeValue(item, aliases));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, normalizeValue(value[key], aliases)]));
+  }
+  if (typeof value === 'string') {
+    let text = value;
+    for (const [literal, placeholder] of Object.entries(aliases || {})) {
+      text = text.split(literal).join(placeholder);
+    }
+    return text.replace(TIMESTAMP_PATTERN, '<timestamp>');
+  }
+  return value;
+}
+
+/**
+ * 规范化模型请求，作为 fixture 的匹配依据
+ * 只保留接口路径的最后两段 (如 chat/completions、models/gemini-2.5-flash:generateContent) 与请求体，
+ * 忽略主机、路径前缀、查询参数和请求头，因此不同的 baseUrl 和 API 密钥可以共用同一份 fixture
+ * @param {{url: string, body: Object}} request - 后端适配器构建的请求
+ * @param {Object} aliases - 请求体中需要替换为占位符的文字，如相对时间范围换算出的日期 (默认: 无)
+ * @returns {{path: string, body: Object}} 规范化后的请求
+ */
+export function normalizeRequest(request, aliases = null) {
+  return {
+    path: new URL(request.url).pathname.split('/').slice(-2).join('/'),
+    body: normalizeValue(request.body, aliases)
+  };
+}
+
+/**
+ * 计算 fixture 键
+ * @param {string} kind - fixture 类型 (model 或 page)
+ * @param {Object} data - 规范化后的请求
+ * @returns {string} sha256 键
+ */
+export function fixtureKey(kind, data) {
+  return createHash('sha256').update(JSON.stringify({ kind, ...data })).digest('hex');
+}
+
+/**
+ * 从环境变量读取录制 / 回放设置
+ * @param {Object} env - 环境变量 (默认: process.env)
+ * @returns {{mode: string, dir: string|undefined, strict: boolean}|null} 未设置 GEMINI_SEARCH_MODE 时返回 null
+ */
+export function fixtureOptionsFromEnv(env = process.env) {
+  const mode = (env.GEMINI_SEARCH_MODE || '').trim().toLowerCase();
+  if (!mode || mode === 'live') {
+    return null;
+  }
+
+  return {
+    mode,
+    dir: env.GEMINI_SEARCH_FIXTURES || undefined,
+    strict: ['1', 'true', 'on', 'yes'].includes((env.GEMINI_SEARCH_STRICT || '').toLowerCase())
+  };
+}
+
+class FixtureStore {
+  /**
+   * @param {Object} options - 录制 / 回放选项
+   * @param {string} options.mode - record 或 replay
+   * @param {string} options.dir - fixture 目录 (默认: ./fixtures)
+   * @param {boolean} options.strict - replay 模式下没有匹配的 fixture 时报错，而不是访问网络 (默认: false)
+   * @param {Logger} options.logger - 日志器
+   */
+  constructor(options = {}) {
+    if (!FIXTURE_MODES.includes(options.mode)) {
+      throw new ValidationError(`Invalid fixture mode: ${options.mode}. Supported modes: ${FIXTURE_MODES.join(', ')}`);
+    }
+
+    this.mode = options.mode;
+    this.dir = path.resolve(options.dir || 'fixtures');
+    this.strict = !!options.strict;
+    this.logger = options.logger || null;
+    // record 模式下尚未写完的 fixture
+    this.pending = new Set();
+  }
+
+  /**
+   * 记录日志
+   * @private
+   */
+  _log(level, message, data = null) {
+    if (this.logger) {
+      this.logger.log(level, message, data);
+    }
+  }
+
+  /**
+   * fixture 文件路径
+   * @private
+   */
+  _filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * 读取 fixture，不存在时返回 null
+   * @private
+   */
+  async _read(key) {
+    try {
+      return JSON.parse(await fs.readFile(this._filePath(key), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Failed to read fixture ${this._filePath(key)}: ${e.message}`);
+    }
+  }
+
+  /**
+   * 写入 fixture，先写临时文件再重命名
+   * @private
+   */
+  async _write(key, entry) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const tmpPath = `${this._filePath(key)}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, `${JSON.stringify(entry, null, 2)}\n`, 'utf8');
+    await fs.rename(tmpPath, this._filePath(key));
+  }
+
+  /**
+   * 处理回放未命中：strict 模式抛出 FixtureMissError，否则记录警告后由调用方访问网络
+   * @private
+   */
+  _miss(kind, key, request) {
+    if (this.strict) {
+      throw new FixtureMissError(`No ${kind} fixture for request (key ${key.slice(0, 12)}) in ${this.dir}`, {
+        fixtureKey: key
+      });
+    }
+    this._log('warn', `No ${kind} fixture found, sending live request`, { fixtureKey: key, target: request.path || request.url });
+  }
+
+  /**
+   * 录制或回放一次模型请求
+   * @param {{url: string, body: Object}} request - 后端适配器构建的请求
+   * @param {Function} send - 实际发送请求的函数，返回 fetch Response
+   * @param {Object} aliases - 计算 fixture 键前替换为占位符的文字，见 normalizeRequest
+   * @returns {Promise<Response>} 真实响应或由 fixture 构建的响应
+   */
+  async model(request, send, aliases = null) {
+    const normalized = normalizeRequest(request, aliases);
+    const key = fixtureKey('model', normalized);
+
+    if (this.mode === 'replay') {
+      const fixture = await this._read(key);
+      if (fixture) {
+        this._log('debug', 'Replaying model fixture', { fixtureKey: key, status: fixture.response.status });
+        return new Response(fixture.response.body, {
+          status: fixture.response.status,
+          headers: { 'content-type': fixture.response.contentType || 'application/json' }
+        });
+      }
+      this._miss('model', key, normalized);
+      return send();
+    }
+
+    const response = await send();
+    if (UNRECORDED_STATUSES.has(response.status) || response.status >= 500 || !response.body) {
+      return response;
+    }
+
+    // 分流响应体：一份原样返回（流式响应不受影响），另一份读完后写入 fixture
+    const [body, copy] = response.body.tee();
+    const saved = new Response(copy).text()
+      .then(text => this._write(key, {
+        kind: 'model',
+        recordedAt: new Date().toISOString(),
+        request: normalized,
+        response: {
+          status: response.status,
+          contentType: response.headers.get('content-type'),
+          body: text
+        }
+      }))
+      .then(() => this._log('debug', 'Recorded model fixture', { fixtureKey: key }))
+      .catch(error => this._log('warn', 'Failed to record model fixture', { fixtureKey: key, error: error.message }))
+      .finally(() => this.pending.delete(saved));
+    this.pending.add(saved);
+
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+  }
+
+  /**
+   * 录制或回放一次网页下载
+   * @param {string} url - 网页 URL
+   * @param {Object} options - 影响下载结果的选项 (如 format)
+   * @param {Function} load - 实际下载网页的函数，返回 fetchPage 的结果
+   * @returns {Promise<Object>} 页面信息
+   */
+  async page(url, options, load) {
+    const normalized = { url, options: normalizeValue(options) };
+    const key = fixtureKey('page', normalized);
+
+    if (this.mode === 'replay') {
+      const fixture = await this._read(key);
+      if (fixture) {
+        this._log('debug', 'Replaying page fixture', { fixtureKey: key, url });
+        return fixture.page;
+      }
+      this._miss('page', key, normalized);
+      return load();
+    }
+
+    const page = await load();
+    try {
+      await this._write(key, { kind: 'page', recordedAt: new Date().toISOString(), request: normalized, page });
+      this._log('debug', 'Recorded page fixture', { fixtureKey: key, url });
+    } catch (error) {
+      this._log('warn', 'Failed to record page fixture', { fixtureKey: key, error: error.message });
+    }
+    return page;
+  }
+
+  /**
+   * 等待所有 fixture 写入完成
+   */
+  async flush() {
+    await Promise.all([...this.pending]);
+  }
+}
+
+export default FixtureStore;
@@ -0,0 +1,542 @@
+/**
+ * 输出格式模块
+ * 将命令结果渲染为 json、ndjson、markdown、table、csv 或 text，供命令行输出使用
+ */
+
+/**
+ * 支持的输出格式
+ */
+export const OUTPUT_FORMATS = ['json', 'ndjson', 'markdown', 'table', 'csv', 'text'];
+
+// 终端表格中单元格的最大显示宽度
+const MAX_CELL_WIDTH = 60;
+
+// ANSI 样式代码
+const ANSI = {
+  bold: [1, 22],
+  dim: [2, 22],
+  cyan: [36, 39],
+  yellow: [33, 39],
+  green: [32, 39],
+  red: [31, 39]
+};
+
+/**
+ * 生成样式函数，未启用颜色时原样返回文本
+ * @private
+ */
+function createStyle(color) {
+  return Object.fromEntries(Object.entries(ANSI).map(([name, [open, close]]) => [
+    name,
+    text => (color && text ? `\u001b[${open}m${text}\u001b[${close}m` : String(text))
+  ]));
+}
+
+/**
+ * 判断字符是否为全角字符 (中日韩文字、全角符号和 emoji 在终端中占两列)
+ * @private
+ */
+function isWide(codePoint) {
+  return (codePoint >= 0x1100 && codePoint <= 0x115f) ||
+    (codePoint >= 0x2e80 && codePoint <= 0xa4cf) ||
+    (codePoint >= 0xac00 && codePoint <= 0xd7a3) ||
+    (codePoint >= 0xf900 && codePoint <= 0xfaff) ||
+    (codePoint >= 0xfe30 && codePoint <= 0xfe4f) ||
+    (codePoint >= 0xff00 && codePoint <= 0xff60) ||
+    (codePoint >= 0xffe0 && codePoint <= 0xffe6) ||
+    (codePoint >= 0x1f300 && codePoint <= 0x1faff) ||
+    (codePoint >= 0x20000 && codePoint <= 0x3fffd);
+}
+
+/**
+ * 文本在终端中的显示宽度
+ * @private
+ */
+function displayWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    width += isWide(char.codePointAt(0)) ? 2 : 1;
+  }
+  return width;
+}
+
+/**
+ * 按显示宽度截断文本，超出时以 … 结尾
+ * @private
+ */
+function truncate(text, maxWidth) {
+  if (displayWidth(text) <= maxWidth) return text;
+
+  let result = '';
+  let width = 0;
+  for (const char of text) {
+    const charWidth = isWide(char.codePointAt(0)) ? 2 : 1;
+    if (width + charWidth > maxWidth - 1) break;
+    result += char;
+    width += charWidth;
+  }
+  return `${result}…`;
+}
+
+/**
+ * 将任意值转换为单行文本
+ * @private
+ */
+function cellText(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 转义 Markdown 链接文本中的方括号
+ * @private
+ */
+function linkText(text) {
+  return String(text).replace(/[[\]]/g, '\\$&');
+}
+
+/**
+ * 判断 search 结果是否为结构化结果 (非 --raw 文本)
+ * @private
+ */
+function searchItems(result) {
+  return result.results && Array.isArray(result.results.results) ? result.results.results : null;
+}
+
+/**
+ * 将结果对象的顶层字段转换为键值行，用于没有列表数据的命令
+ * @private
+ */
+function fieldRows(object) {
+  return Object.entries(object)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => ({ field: key, value }));
+}
+
+/**
+ * 取出结果中的表格数据
+ * @private
+ * @returns {{columns: Array<string>, rows: Array<Object>}}
+ */
+function tabularData(result, format) {
+  const items = result.command === 'search' ? searchItems(result) : null;
+  if (items) {
+    // expand 模式下附加找到该结果的子查询
+    const expanded = !!result.results.expansion;
+    return format === 'csv'
+      ? {
+          columns: ['title', 'url', 'source', 'snippet', ...(expanded ? ['subQueries'] : [])],
+          rows: expanded ? items.map(item => ({ ...item, subQueries: item.subQueries.join(' | ') })) : items
+        }
+      : {
+          columns: ['#', 'title', 'source', 'publishedAt', ...(expanded ? ['queries'] : []), 'url'],
+          rows: items.map((item, index) => ({ '#': index + 1, ...item, ...(expanded && { queries: item.subQueries.length }) }))
+        };
+  }
+
+  if (result.command === 'research' && Array.isArray(result.sources)) {
+    return { columns: ['index', 'title', 'url', 'cited'], rows: result.sources };
+  }
+
+  if (result.command === 'ask' && Array.isArray(result.sources)) {
+    return { columns: ['index', 'title', 'url'], rows: result.sources };
+  }
+
+  if (result.command === 'watch' && result.kind === 'search') {
+    return format === 'csv'
+      ? { columns: ['title', 'url', 'source', 'snippet'], rows: result.newResults }
+      : { columns: ['title', 'source', 'publishedAt', 'url'], rows: result.newResults };
+  }
+
+  if (result.command === 'sessions list') {
+    return { columns: ['id', 'turns', 'updatedAt', 'title'], rows: result.sessions };
+  }
+
+  if (result.command === 'sessions show') {
+    return {
+      columns: ['#', 'command', 'request', 'createdAt'],
+      rows: result.turns.map((turn, index) => ({ '#': index + 1, ...turn }))
+    };
+  }
+
+  if (result.command === 'extract' && Array.isArray(result.data) &&
+      result.data.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+    const columns = [...new Set(result.data.flatMap(item => Object.keys(item)))];
+    return { columns, rows: result.data };
+  }
+
+  const data = result.command === 'extract' && result.data && typeof result.data === 'object' && !Array.isArray(result.data)
+    ? result.data
+    : result;
+  return { columns: ['field', 'value'], rows: fieldRows(data) };
+}
+
+/**
+ * 渲染 CSV (RFC 4180)，包含表头
+ * @private
+ */
+function renderCsv(result) {
+  const { columns, rows } = tabularData(result, 'csv');
+  const escape = (value) => {
+    const text = value === undefined || value === null
+      ? ''
+      : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(escape).join(','))
+    .join('\r\n');
+}
+
+/**
+ * 渲染对齐的终端表格，总宽度超过终端宽度时收窄最宽的列
+ * @private
+ */
+function renderTable(result, style, terminalWidth) {
+  const { columns, rows } = tabularData(result, 'table');
+  if (rows.length === 0) {
+    return style.dim('(no results)');
+  }
+
+  const cells = rows.map(row => columns.map(column => cellText(row[column])));
+  const widths = columns.map((column, index) => Math.min(
+    MAX_CELL_WIDTH,
+    Math.max(displayWidth(column), ...cells.map(row => displayWidth(row[index])))
+  ));
+
+  if (terminalWidth) {
+    const separators = (columns.length - 1) * 2;
+    while (widths.reduce((sum, width) => sum + width, separators) > terminalWidth) {
+      const widest = widths.indexOf(Math.max(...widths));
+      if (widths[widest] <= 8) break;
+      widths[widest]--;
+    }
+  }
+
+  const pad = (text, width) => {
+    const truncated = truncate(text, width);
+    return { text: truncated, padding: ' '.repeat(width - displayWidth(truncated)) };
+  };
+
+  const header = columns.map((column, index) => {
+    const { text, padding } = pad(column, widths[index]);
+    return style.bold(text) + padding;
+  });
+  const rule = widths.map(width => style.dim('─'.repeat(width)));
+  const body = cells.map(row => row.map((cell, index) => {
+    const { text, padding } = pad(cell, widths[index]);
+    return (columns[index] === 'url' ? style.cyan(text) : text) + padding;
+  }));
+
+  return [header, rule, ...body].map(row => row.join('  ').trimEnd()).join('\n');
+}
+
+/**
+ * 渲染 NDJSON：列表数据每项一行，其余结果整体一行
+ * @private
+ */
+function renderNdjson(result) {
+  const items = result.command === 'search' ? searchItems(result)
+    : result.command === 'research' || result.command === 'ask' ? result.sources
+      : result.command === 'extract' && Array.isArray(result.data) ? result.data
+        : result.command === 'watch' && result.kind === 'search' ? result.newResults
+          : result.command === 'sessions list' ? result.sessions
+            : result.command === 'sessions show' ? result.turns
+              : null;
+
+  return (items || [result]).map(item => JSON.stringify(item)).join('\n');
+}
+
+/**
+ * 渲染 search 结果
+ * @private
+ */
+function renderSearch(result, markdown, style) {
+  const lines = [];
+  const items = searchItems(result);
+
+  lines.push(markdown ? style.bold(`# Search: ${result.query}`) : style.bold(`Search: ${result.query}`), '');
+
+  if (!items) {
+    // --raw 模式或 JSON 解析失败时只有文本
+    const text = typeof result.results === 'string' ? result.results : (result.results && result.results.summary) || '';
+    lines.push(text);
+    return lines.join('\n');
+  }
+
+  if (items.length === 0) {
+    lines.push(style.dim('No results.'));
+  }
+
+  const { expansion } = result.results;
+
+  items.forEach((item, index) => {
+    const meta = [
+      item.source,
+      item.publishedAt,
+      ...(expansion ? [`${item.subQueries.length} ${item.subQueries.length === 1 ? 'query' : 'queries'}`] : [])
+    ].filter(Boolean).join(' · ');
+    if (markdown) {
+      lines.push(`${index + 1}. **[${linkText(item.title)}](${item.url})**${meta ? ` — ${style.dim(meta)}` : ''}`);
+      if (item.snippet) lines.push(`   ${item.snippet}`);
+    } else {
+      lines.push(`${style.dim(`${index + 1}.`)} ${style.bold(item.title)}${meta ? ` ${style.dim(`(${meta})`)}` : ''}`);
+      lines.push(`   ${style.cyan(item.url)}`);
+      if (item.snippet) lines.push(`   ${item.snippet}`);
+    }
+    lines.push('');
+  });
+
+  const { summary } = result.results;
+  if (summary) {
+    lines.push(markdown ? style.bold('## Summary') : style.bold('Summary'), '', summary, '');
+  }
+
+  if (expansion) {
+    lines.push(markdown ? style.bold('## Queries') : style.bold('Queries'), '');
+    for (const item of expansion.queries) {
+      const note = item.error ? style.yellow(`failed: ${item.error}`) : style.dim(`${item.resultCount} results`);
+      lines.push(`${markdown ? '- ' : '  '}${item.query} ${note}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * 渲染 fetch 结果：以 URL 和时间作为页眉
+ * @private
+ */
+function renderFetch(result, markdown, style) {
+  const header = [
+    ['URL', result.url],
+    ...(result.finalUrl && result.finalUrl !== result.url ? [['Final URL', result.finalUrl]] : []),
+    ['Fetched', result.timestamp]
+  ];
+
+  const lines = markdown
+    ? [
+        style.bold(`# ${result.title || result.url}`),
+        '',
+        ...header.map(([label, value]) => `> **${label}:** ${value}  `),
+        ''
+      ]
+    : [
+        ...(result.title ? [style.bold(result.title)] : []),
+        ...header.map(([label, value]) => `${style.dim(`${label}:`)} ${label.endsWith('URL') ? style.cyan(value) : value}`),
+        ''
+      ];
+
+  if (result.truncated) {
+    lines.push(style.yellow(markdown ? '_Page content was truncated before analysis._' : 'Page content was truncated before analysis.'), '');
+  }
+
+  lines.push(result.content || '');
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * 渲染 extract 结果
+ * @private
+ */
+function renderExtract(result, markdown, style) {
+  const data = JSON.stringify(result.data, null, 2);
+  return markdown
+    ? [style.bold(`# ${result.title || result.url}`), '', `> **URL:** ${result.url}  `, `> **Fetched:** ${result.timestamp}  `, '', '```json', data, '```'].join('\n')
+    : data;
+}
+
+/**
+ * 渲染 research 报告及来源列表
+ * @private
+ */
+function renderResearch(result, markdown, style) {
+  const lines = [
+    markdown ? style.bold(`# ${result.question}`) : style.bold(result.question),
+    '',
+    result.report || '',
+    ''
+  ];
+
+  if (Array.isArray(result.sources) && result.sources.length > 0) {
+    lines.push(markdown ? style.bold('## Sources') : style.bold('Sources'), '');
+    for (const source of result.sources) {
+      lines.push(markdown
+        ? `${source.index}. [${linkText(source.title || source.url)}](${source.url})`
+        : `[${source.index}] ${source.title || source.url} ${style.cyan(source.url)}`);
+    }
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * 渲染 ask 的回答及搜索来源
+ * @private
+ */
+function renderAsk(result, markdown, style) {
+  const lines = [
+    markdown ? style.bold(`# ${result.question}`) : style.bold(result.question),
+    '',
+    result.answer || '',
+    ''
+  ];
+
+  if (Array.isArray(result.sources) && result.sources.length > 0) {
+    lines.push(markdown ? style.bold('## Sources') : style.bold('Sources'), '');
+    for (const source of result.sources) {
+      lines.push(markdown
+        ? `${source.index}. [${linkText(source.title || source.url)}](${source.url})`
+        : `[${source.index}] ${source.title || source.url} ${style.cyan(source.url)}`);
+    }
+    lines.push('');
+  }
+
+  const { history } = result;
+  if (history) {
+    const dropped = history.droppedTurns > 0 ? `, ${history.droppedTurns} earlier turns dropped` : '';
+    lines.push(style.dim(`Session ${result.sessionId}: ${history.turns} turns of history (~${history.estimatedTokens} tokens)${dropped}`));
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * 渲染 watch 的变化报告：搜索列出新结果，网页列出模型总结和文本差异
+ * @private
+ */
+function renderWatch(result, markdown, style) {
+  const heading = `Watch: ${result.target}`;
+  const status = result.firstRun
+    ? 'First check, saved as baseline.'
+    : result.changed ? `Changed since ${result.previousCheckAt}.` : `No changes since ${result.previousCheckAt}.`;
+  const lines = [markdown ? style.bold(`# ${heading}`) : style.bold(heading), '', style.dim(`${status} Checked at ${result.checkedAt}.`), ''];
+
+  if (result.kind === 'search') {
+    result.newResults.forEach((item, index) => {
+      if (markdown) {
+        lines.push(`${index + 1}. **[${linkText(item.title)}](${item.url})**`);
+      } else {
+        lines.push(`${style.green('+')}  ${style.bold(item.title)}`, `   ${style.cyan(item.url)}`);
+      }
+      if (item.snippet) lines.push(`   ${item.snippet}`);
+      lines.push('');
+    });
+    return lines.join('\n').trimEnd();
+  }
+
+  if (result.summary) {
+    lines.push(markdown ? style.bold('## Summary') : style.bold('Summary'), '', result.summary, '');
+  }
+  if (result.diff) {
+    const colored = result.diff.text.split('\n').map(line => {
+      if (line.startsWith('@@')) return style.cyan(line);
+      if (line.startsWith('+')) return style.green(line);
+      if (line.startsWith('-')) return style.red(line);
+      return line;
+    });
+    lines.push(
+      markdown ? style.bold(`## Diff (+${result.diff.added} -${result.diff.removed})`) : style.bold(`Diff (+${result.diff.added} -${result.diff.removed})`),
+      '',
+      ...(markdown ? ['```diff', ...colored, '```'] : colored)
+    );
+  }
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * 渲染会话列表或会话历史
+ * @private
+ */
+function renderSessions(result, markdown, style) {
+  if (result.command === 'sessions list') {
+    if (result.sessions.length === 0) {
+      return style.dim('No sessions.');
+    }
+    return result.sessions
+      .map(session => `${markdown ? '- ' : ''}${style.bold(session.id)} ${style.dim(`(${session.turns} turns, updated ${session.updatedAt})`)} ${session.title}`)
+      .join('\n');
+  }
+
+  const lines = [markdown ? style.bold(`# Session ${result.id}`) : style.bold(`Session ${result.id}`), ''];
+  result.turns.forEach((turn, index) => {
+    const heading = `[${index + 1}] ${turn.command} · ${turn.createdAt}`;
+    lines.push(markdown ? style.bold(`## ${heading}`) : style.bold(heading), '');
+    lines.push(markdown ? `> ${turn.request.split('\n').join('\n> ')}` : style.cyan(turn.request), '');
+    lines.push(turn.response, '');
+  });
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * 渲染其他命令 (batch、cache 等) 的结果为键值列表
+ * @private
+ */
+function renderFields(result, markdown, style) {
+  return fieldRows(result)
+    .map(({ field, value }) => (markdown ? `- **${field}:** ${cellText(value)}` : `${style.bold(`${field}:`)} ${cellText(value)}`))
+    .join('\n');
+}
+
+/**
+ * 按指定格式渲染命令结果
+ * @param {Object} result - 命令结果
+ * @param {string} format - 输出格式 (json、ndjson、markdown、table、csv 或 text)
+ * @param {Object} options - 渲染选项
+ * @param {boolean} options.color - 是否使用 ANSI 颜色，只作用于 table 和 text；markdown 始终不含 ANSI 代码，以免破坏链接和渲染 (默认: false)
+ * @param {number} options.width - 表格的最大宽度，通常为终端列数 (默认: 不限制)
+ * @returns {string} 渲染后的文本
+ */
+export function formatResult(result, format = 'json', options = {}) {
+  const style = createStyle(!!options.color && format !== 'markdown');
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(result, null, 2);
+    case 'ndjson':
+      return renderNdjson(result);
+    case 'csv':
+      return renderCsv(result);
+    case 'table':
+      return renderTable(result, style, options.width);
+    case 'markdown':
+    case 'text': {
+      const markdown = format === 'markdown';
+      switch (result.command) {
+        case 'search':
+          return renderSearch(result, markdown, style);
+        case 'fetch':
+          return renderFetch(result, markdown, style);
+        case 'extract':
+          return renderExtract(result, markdown, style);
+        case 'research':
+          return renderResearch(result, markdown, style);
+        case 'ask':
+          return renderAsk(result, markdown, style);
+        case 'watch':
+          return renderWatch(result, markdown, style);
+        case 'sessions list':
+        case 'sessions show':
+          return renderSessions(result, markdown, style);
+        default:
+          return renderFields(result, markdown, style);
+      }
+    }
+    default:
+      throw new Error(`Unknown output format: ${format}. Supported formats: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * 判断输出到终端时是否使用颜色：stdout 为 TTY 且未设置 NO_COLOR
+ * @param {NodeJS.WriteStream} stream - 输出流 (默认: process.stdout)
+ * @returns {boolean}
+ */
+export function shouldUseColor(stream = process.stdout) {
+  if (process.env.NO_COLOR) return false;
+  if (process.env.FORCE_COLOR && process.env.FORCE_COLOR !== '0') return true;
+  return !!stream.isTTY;
+}
@@ -0,0 +1,241 @@
+/**
+ * 引用溯源模块
+ * 从 API 响应中解析 grounding / citation 元数据，并标记搜索结果是否有真实来源支撑
+ */
+
+import { canonicalizeUrl } from './results.js';
+
+const DOMAIN_PATTERN = /^(?:[a-z0-9-]+\.)+[a-z]{2,}$/i;
+
+// Gemini grounding 来源的跳转链接，需要解析 Location 才能得到真实 URL
+const REDIRECT_HOST = 'vertexaisearch.cloud.google.com';
+const REDIRECT_PATH = '/grounding-api-redirect/';
+
+/**
+ * 读取同时可能以 camelCase 或 snake_case 出现的字段
+ * @private
+ */
+function pick(obj, camel, snake) {
+  if (!obj || typeof obj !== 'object') return undefined;
+  return obj[camel] !== undefined ? obj[camel] : obj[snake];
+}
+
+/**
+ * 提取主机名（去除 www. 前缀）
+ * @private
+ */
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * 构建来源条目
+ * Gemini 返回的 uri 通常是跳转链接，title 则是来源域名
+ * @private
+ */
+function buildSource(index, url, title) {
+  const domain = title && DOMAIN_PATTERN.test(title.trim())
+    ? title.trim().toLowerCase().replace(/^www\./, '')
+    : hostnameOf(url);
+
+  return {
+    index,
+    url: url || null,
+    title: title || null,
+    domain: domain || null,
+    resolvedUrl: url && !isGroundingRedirect(url) ? url : null
+  };
+}
+
+/**
+ * 判断 URL 是否为 Gemini grounding 的跳转链接
+ * @param {string} url - 来源 URL
+ * @returns {boolean}
+ */
+export function isGroundingRedirect(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.hostname === REDIRECT_HOST && parsed.pathname.startsWith(REDIRECT_PATH);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 解析来源中的跳转链接，将真实 URL 写入 resolvedUrl
+ * 解析失败的来源 resolvedUrl 保持为 null，之后只能按域名匹配
+ * @param {Object|null} grounding - extractGrounding 的返回值
+ * @param {Function} resolve - 解析函数，接收跳转链接，返回真实 URL
+ * @returns {Promise<Array<{url: string, error: string}>>} 解析失败的跳转链接
+ */
+export async function resolveGroundingSources(grounding, resolve) {
+  if (!grounding) return [];
+
+  const failures = [];
+  await Promise.all(grounding.sources.map(async source => {
+    if (source.resolvedUrl || !source.url || !isGroundingRedirect(source.url)) return;
+    try {
+      source.resolvedUrl = await resolve(source.url);
+    } catch (error) {
+      failures.push({ url: source.url, error: error.message });
+    }
+  }));
+  return failures;
+}
+
+/**
+ * 在响应中查找 Gemini 的 groundingMetadata
+ * @private
+ */
+function findGroundingMetadata(data) {
+  const choice = data.choices && data.choices[0];
+  const candidate = data.candidates && data.candidates[0];
+
+  const locations = [
+    choice && choice.message,
+    choice,
+    candidate,
+    data
+  ];
+
+  for (const location of locations) {
+    const metadata = pick(location, 'groundingMetadata', 'grounding_metadata');
+    if (metadata && typeof metadata === 'object') {
+      return metadata;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 解析 Gemini groundingMetadata
+ * @private
+ */
+function parseGroundingMetadata(metadata, grounding) {
+  const chunks = pick(metadata, 'groundingChunks', 'grounding_chunks') || [];
+  chunks.forEach((chunk, i) => {
+    const web = chunk.web || chunk.retrievedContext || chunk.retrieved_context || {};
+    grounding.sources.push(buildSource(i + 1, web.uri || web.url, web.title));
+  });
+
+  const supports = pick(metadata, 'groundingSupports', 'grounding_supports') || [];
+  for (const support of supports) {
+    const segment = support.segment || {};
+    const indices = pick(support, 'groundingChunkIndices', 'grounding_chunk_indices') || [];
+    const scores = pick(support, 'confidenceScores', 'confidence_scores') || [];
+
+    grounding.citations.push({
+      text: segment.text || '',
+      startIndex: pick(segment, 'startIndex', 'start_index') ?? null,
+      endIndex: pick(segment, 'endIndex', 'end_index') ?? null,
+      sourceIndices: indices.map(i => i + 1),
+      confidence: scores.length > 0 ? Math.max(...scores) : null
+    });
+  }
+
+  const queries = pick(metadata, 'webSearchQueries', 'web_search_queries') || [];
+  grounding.searchQueries.push(...queries);
+}
+
+/**
+ * 解析 OpenAI 风格的 url_citation 注解
+ * @private
+ */
+function parseAnnotations(annotations, grounding) {
+  for (const annotation of annotations) {
+    if (annotation.type !== 'url_citation') continue;
+    const citation = annotation.url_citation || annotation;
+
+    let source = grounding.sources.find(s => s.url === citation.url);
+    if (!source) {
+      source = buildSource(grounding.sources.length + 1, citation.url, citation.title);
+      grounding.sources.push(source);
+    }
+
+    grounding.citations.push({
+      text: null,
+      startIndex: citation.start_index ?? null,
+      endIndex: citation.end_index ?? null,
+      sourceIndices: [source.index],
+      confidence: null
+    });
+  }
+}
+
+/**
+ * 从 API 响应中提取引用溯源信息
+ * 支持 Gemini groundingMetadata、OpenAI url_citation 注解以及顶层 citations 数组
+ * @param {Object} data - API 原始响应
+ * @returns {{sources: Array, citations: Array, searchQueries: Array}|null} 溯源信息，响应中没有时返回 null
+ */
+export function extractGrounding(data) {
+  if (!data || typeof data !== 'object') return null;
+
+  const grounding = { sources: [], citations: [], searchQueries: [] };
+
+  const metadata = findGroundingMetadata(data);
+  if (metadata) {
+    parseGroundingMetadata(metadata, grounding);
+  }
+
+  const message = data.choices && data.choices[0] && data.choices[0].message;
+  if (message && Array.isArray(message.annotations)) {
+    parseAnnotations(message.annotations, grounding);
+  }
+
+  // 部分代理在顶层返回 citations: ["https://..."]
+  if (Array.isArray(data.citations) && grounding.sources.length === 0) {
+    data.citations.forEach((citation, i) => {
+      const url = typeof citation === 'string' ? citation : citation && citation.url;
+      if (url) {
+        grounding.sources.push(buildSource(i + 1, url, citation.title));
+      }
+    });
+  }
+
+  if (grounding.sources.length === 0 && grounding.citations.length === 0 && grounding.searchQueries.length === 0) {
+    return null;
+  }
+
+  return grounding;
+}
+
+/**
+ * 标记搜索结果是否有来源支撑
+ * 结果 URL 与某个来源的真实 URL (跳转链接需先经 resolveGroundingSources 解析) 规范化后完全一致时视为 grounded；
+ * 只有域名与来源域名匹配时 grounded 为 false，domainMatch 为 true
+ * @param {Array} results - 模型返回的搜索结果
+ * @param {Object|null} grounding - extractGrounding 的返回值
+ * @returns {Array} 附带 grounded、domainMatch 与 sourceIndices 字段的结果
+ */
+export function annotateResults(results, grounding) {
+  const sources = grounding ? grounding.sources : [];
+  const canonicalSources = sources.map(source => source.resolvedUrl && canonicalizeUrl(source.resolvedUrl));
+
+  return results.map(result => {
+    if (!result || typeof result !== 'object') {
+      return result;
+    }
+
+    const canonical = canonicalizeUrl(result.url);
+    const matched = canonical ? sources.filter((source, i) => canonicalSources[i] === canonical) : [];
+
+    const host = hostnameOf(result.url);
+    const domainMatch = !!host && sources.some(source => {
+      const domain = source.resolvedUrl ? hostnameOf(source.resolvedUrl) : source.domain;
+      return !!domain && (host === domain || host.endsWith(`.${domain}`));
+    });
+
+    return {
+      ...result,
+      grounded: matched.length > 0,
+      domainMatch,
+      sourceIndices: matched.map(source => source.index)
+    };
+  });
+}
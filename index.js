@@ -3,15 +3,101 @@
  * 提供网络搜索和网页内容获取功能
  */
 
-import GeminiSearch from './search.js';
+import GeminiSearch, { withCallOptions, streamWithCallOptions } from './search.js';
+import ResponseCache from './cache.js';
+import FixtureStore, { fixtureOptionsFromEnv } from './fixtures.js';
+import UrlPolicy from './url-policy.js';
+import SessionStore, { validateSessionId, describeTurn, trimHistory } from './sessions.js';
+import { loadApiKeys } from './keys.js';
+import UsageTracker, { loadPrices, withUsageScope, emptyUsage } from './usage.js';
+import logger, { withRequestId, currentRequestId, createRequestId } from './logger.js';
+import { ValidationError } from './errors.js';
+import { startMcpServer } from './mcp.js';
+import { startHttpServer } from './server.js';
+import { runBatch } from './batch.js';
+import { runWatch, watchLoop, WATCH_CHANGED_EXIT_CODE } from './watch.js';
+import { runResearch } from './research.js';
+import { searchExpanded } from './expand.js';
+import {
+  validateSearchParams,
+  validateFetchParams,
+  validateResearchParams,
+  validateExtractParams,
+  validateAskParams,
+  validateCallOptions
+} from './validate.js';
+
+/**
+ * 校验重试次数
+ * @private
+ */
+function validateRetries(retries) {
+  if (retries !== undefined && (!Number.isInteger(retries) || retries < 0 || retries > 10)) {
+    throw new ValidationError('retries must be an integer between 0 and 10');
+  }
+  return retries;
+}
 
 class GeminiSearchSkill {
-  constructor() {
-    this.baseUrl = process.env.GEMINI_BASE_URL;
-    this.apiKey = process.env.GEMINI_API_KEY;
-    this.model = process.env.GEMINI_MODEL || 'gemini-2.5-flash-lite';
+  /**
+   * @param {Object} options - 配置选项，未设置的选项使用对应的环境变量
+   * @param {string} options.baseUrl - API 基础 URL (默认: GEMINI_BASE_URL)
+   * @param {string|Array<string>} options.apiKey - API 密钥，字符串格式同 GEMINI_API_KEY (默认: GEMINI_API_KEY)
+   * @param {string} options.model - 默认模型 (默认: GEMINI_MODEL 或 gemini-2.5-flash-lite)
+   * @param {string} options.provider - 后端协议 (openai 或 gemini, 默认: GEMINI_PROVIDER 或 openai)
+   * @param {number} options.timeout - 请求超时 (毫秒, 默认: GEMINI_TIMEOUT 或 30000)
+   * @param {number} options.retries - 失败后的最多重试次数 (0-10, 默认: GEMINI_RETRIES 或 2)
+   * @param {number} options.temperature - 采样温度 (0-2, 默认: GEMINI_TEMPERATURE 或 0.7)
+   * @param {Object|false} options.cache - 缓存选项 { dir, ttl }，传入 false 关闭缓存 (默认: 由 GEMINI_CACHE* 环境变量决定)
+   * @param {Object} options.sessions - 会话存储选项 { dir } (默认: GEMINI_SESSION_DIR 或 ~/.local/share/gemini-search/sessions)
+   * @param {Object|false} options.fixtures - 录制 / 回放选项 { mode: 'record'|'replay', dir, strict }，传入 false 关闭
+   *                                          (默认: 由 GEMINI_SEARCH_MODE、GEMINI_SEARCH_FIXTURES、GEMINI_SEARCH_STRICT 决定)
+   * @param {string|Array<string>} options.urlAllowlist - fetch 只允许访问的域名 (含子域名) (默认: GEMINI_URL_ALLOWLIST，未设置时不限制)
+   * @param {string|Array<string>} options.urlDenylist - fetch 禁止访问的域名 (含子域名) (默认: GEMINI_URL_DENYLIST)
+   * @param {boolean} options.allowPrivateUrls - 允许 fetch 访问私有、回环和链路本地地址 (默认: GEMINI_URL_ALLOW_PRIVATE 或 false)
+   */
+  constructor(options = {}) {
+    // 显式传入的选项立即校验；环境变量到 initialize() 时才校验，导入模块或输出帮助时不会因环境变量无效而失败
+    validateCallOptions(options);
+    validateRetries(options.retries);
+
+    this.options = options;
+    this.baseUrl = options.baseUrl || process.env.GEMINI_BASE_URL;
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    this.model = options.model || process.env.GEMINI_MODEL || 'gemini-2.5-flash-lite';
+    this.provider = options.provider || process.env.GEMINI_PROVIDER || 'openai';
+    this.timeout = undefined;
+    this.retries = undefined;
+    this.temperature = undefined;
     this.searchEngine = null;
+    this.usage = null;
+    this.logger = logger.child('skill');
     this.initialized = false;
+
+    // 会话历史，供 ask 命令追问
+    this.sessions = new SessionStore({ dir: process.env.GEMINI_SESSION_DIR, ...options.sessions });
+
+    // 网页下载的 URL 安全策略，在 initialize() 中解析
+    this.urlPolicy = null;
+
+    // 录制 / 回放：模型请求和网页下载经由 fixture 文件，存储在 initialize() 中创建并校验模式
+    this.fixtureOptions = options.fixtures === undefined ? fixtureOptionsFromEnv() : options.fixtures;
+    this.fixtures = null;
+
+    // 磁盘缓存，GEMINI_CACHE=off 或 cache: false 时关闭；录制 / 回放时默认关闭，保证每次调用都经过 fixture
+    const cacheSetting = (process.env.GEMINI_CACHE || '').toLowerCase();
+    const cacheDisabled = options.cache === false ||
+      (options.cache === undefined && (!!this.fixtureOptions || ['0', 'false', 'off', 'no'].includes(cacheSetting)));
+    this.cache = cacheDisabled
+      ? null
+      : new ResponseCache({
+          dir: process.env.GEMINI_CACHE_DIR,
+          ttl: {
+            ...(process.env.GEMINI_CACHE_TTL_SEARCH && { search: parseInt(process.env.GEMINI_CACHE_TTL_SEARCH) }),
+            ...(process.env.GEMINI_CACHE_TTL_FETCH && { fetch: parseInt(process.env.GEMINI_CACHE_TTL_FETCH) })
+          },
+          ...options.cache
+        });
   }
 
   /**
@@ -19,20 +105,7 @@ class GeminiSearchSkill {
    * @private
    */
   _log(level, message, data = null) {
-    const timestamp = new Date().toISOString();
-
-    // 只有在非生产环境下才输出日志，且使用 console.error 避免干扰 stdout
-    if (process.env.NODE_ENV !== 'production' || level === 'error') {
-      const logMethod = level === 'error' ? console.error :
-                        level === 'warn' ? console.warn : console.error; // 使用 error 而非 log
-
-      let displayData = '';
-      if (data) {
-        displayData = `\n${JSON.stringify(data, null, 2)}`;
-      }
-
-      logMethod(`[${timestamp}] [${level.toUpperCase()}] ${message}${displayData}`);
-    }
+    this.logger.log(level, message, data);
   }
 
   /**
@@ -44,18 +117,60 @@ class GeminiSearchSkill {
       return;
     }
 
-    this._log('info', 'Initializing Gemini Search Skill', { model: this.model });
+    this._log('info', 'Initializing Gemini Search Skill', { model: this.model, provider: this.provider });
+
+    if (this.fixtureOptions && !this.fixtures) {
+      this.fixtures = new FixtureStore({ ...this.fixtureOptions, logger: this.logger.child('fixtures') });
+    }
+
+    // 回放时不访问后端，未配置时使用占位的地址和密钥
+    if (this.fixtures && this.fixtures.mode === 'replay') {
+      this.baseUrl = this.baseUrl || 'http://replay.invalid';
+      this.apiKey = this.apiKey || 'replay';
+    }
 
     if (!this.baseUrl) {
-      throw new Error('GEMINI_BASE_URL environment variable is not set');
+      throw new Error('GEMINI_BASE_URL environment variable (or baseUrl option) is not set');
     }
     if (!this.apiKey) {
-      throw new Error('GEMINI_API_KEY environment variable is not set');
+      throw new Error('GEMINI_API_KEY environment variable (or apiKey option) is not set');
     }
 
+    // 选项优先于环境变量，只有未传入的选项才读取并校验环境变量
+    const { options } = this;
+    const { model, timeout, temperature } = validateCallOptions({
+      model: options.model || process.env.GEMINI_MODEL,
+      timeout: options.timeout ?? process.env.GEMINI_TIMEOUT,
+      temperature: options.temperature ?? process.env.GEMINI_TEMPERATURE
+    });
+    this.model = model || 'gemini-2.5-flash-lite';
+    this.timeout = timeout;
+    this.temperature = temperature;
+    this.retries = validateRetries(options.retries ?? (process.env.GEMINI_RETRIES ? Number(process.env.GEMINI_RETRIES) : undefined));
+
+    // 网页下载的 URL 安全策略：只允许 http / https，默认拒绝内网地址
+    this.urlPolicy = new UrlPolicy({
+      allowDomains: options.urlAllowlist ?? process.env.GEMINI_URL_ALLOWLIST,
+      denyDomains: options.urlDenylist ?? process.env.GEMINI_URL_DENYLIST,
+      allowPrivateNetworks: options.allowPrivateUrls ?? process.env.GEMINI_URL_ALLOW_PRIVATE
+    });
+
     try {
-      this.searchEngine = new GeminiSearch(this.baseUrl, this.apiKey, {
-        model: this.model
+      this.usage = new UsageTracker({ prices: loadPrices(process.env.GEMINI_PRICES) });
+      const apiKeys = Array.isArray(this.apiKey) ? this.apiKey : loadApiKeys(this.apiKey);
+      this.searchEngine = new GeminiSearch(this.baseUrl, apiKeys, {
+        model: this.model,
+        timeout: this.timeout,
+        temperature: this.temperature,
+        retryAttempts: this.retries === undefined ? undefined : this.retries + 1,
+        structuredOutput: process.env.GEMINI_STRUCTURED_OUTPUT,
+        provider: this.provider,
+        apiKeyLocation: process.env.GEMINI_API_KEY_LOCATION,
+        keyRotation: process.env.GEMINI_KEY_ROTATION,
+        usageTracker: this.usage,
+        logger: this.logger.child('search'),
+        fixtures: this.fixtures,
+        urlPolicy: this.urlPolicy
       });
       this.initialized = true;
       this._log('info', 'Skill initialized successfully');
@@ -67,40 +182,217 @@ class GeminiSearchSkill {
 
   /**
    * 执行命令
-   * @param {string} command - 命令名称 (search 或 fetch)
+   * @param {string} command - 命令名称 (search、fetch、extract、research 或 ask)
    * @param {Object} params - 命令参数
+   * @param {boolean} params.noCache - 不读取也不写入缓存
+   * @param {boolean} params.refresh - 忽略已有缓存并写入新结果
+   * @param {string} params.model - 仅本次调用使用的模型
+   * @param {number} params.timeout - 仅本次调用使用的请求超时 (毫秒, 1000-600000)
+   * @param {number} params.temperature - 仅本次调用使用的采样温度 (0-2)
+   * @param {string} params.sessionId - 将请求与结果写入该会话的历史，之后可用 ask 命令追问
+   * @returns {Promise<Object>} 命令结果，usage 字段为本次调用的 token 用量与估算费用，requestId 为日志中的请求 ID
    */
   async execute(command, params) {
+    // 每次 execute 分配一个请求 ID，其中的重试和嵌套调用共用该 ID
+    const requestId = currentRequestId();
+    if (!requestId) {
+      return withRequestId(createRequestId(), () => this.execute(command, params));
+    }
+
     if (!this.initialized) {
       await this.initialize();
     }
 
-    // 允许在 execute 时覆盖模型
-    if (params.model && this.searchEngine) {
-      this.searchEngine.setModel(params.model);
+    // ask 自行读写会话，其他命令成功后把结果追加到会话历史
+    const sessionId = command !== 'ask' && params.sessionId !== undefined ? validateSessionId(params.sessionId) : null;
+
+    // model / timeout / temperature 只覆盖本次调用（包括嵌套调用），不修改共享的 searchEngine
+    const overrides = validateCallOptions(params);
+    const result = await withCallOptions(overrides, () => this._executeCommand(command, params, requestId));
+
+    if (sessionId) {
+      const sessionWarning = await this._appendTurn(sessionId, describeTurn(command, params, result));
+      return sessionWarning ? { ...result, sessionId, sessionWarning } : { ...result, sessionId };
+    }
+    return result;
+  }
+
+  /**
+   * 向会话追加一轮；命令本身已经成功，写入失败只记录警告
+   * @private
+   * @returns {Promise<string|null>} 写入失败时返回警告信息
+   */
+  async _appendTurn(sessionId, turn) {
+    try {
+      await this.sessions.append(sessionId, turn);
+      return null;
+    } catch (error) {
+      this._log('warn', 'Failed to save session turn', { sessionId, error: error.message });
+      return `Failed to save session turn: ${error.message}`;
     }
+  }
 
+  /**
+   * 在配置覆盖作用域内执行命令，处理缓存与用量统计
+   * @private
+   */
+  async _executeCommand(command, params, requestId) {
     this._log('info', `Executing command: ${command}`, { params });
 
+    const { model, temperature } = this.searchEngine.resolveCallOptions();
+    const useCache = !!this.cache && this.cache.supports(command) && !params.noCache;
+    const cacheParams = { ...params, model, temperature };
+
+    if (useCache && !params.refresh) {
+      // 缓存的网页结果同样受 URL 安全策略约束，策略收紧后不会再从缓存返回被拒绝的 URL
+      if (command === 'fetch' || command === 'extract') {
+        const { url } = command === 'fetch' ? validateFetchParams(params) : validateExtractParams(params);
+        await this.urlPolicy.check(url);
+      }
+
+      const hit = await this.cache.get(command, cacheParams);
+      if (hit) {
+        this._log('info', `Cache hit for command ${command}`, { age: hit.age });
+        return { ...hit.value, usage: emptyUsage(), requestId, cached: true, cacheAge: hit.age };
+      }
+    }
+
+    const { result, usage } = await this._runScoped(command, () => this._runCommand(command, params));
+
+    if (useCache) {
+      try {
+        await this.cache.set(command, cacheParams, result);
+      } catch (error) {
+        this._log('warn', 'Failed to write cache', { error: error.message });
+      }
+    }
+
+    return useCache ? { ...result, usage, requestId, cached: false } : { ...result, usage, requestId };
+  }
+
+  /**
+   * 在用量统计作用域内执行并记录结果日志
+   * @private
+   */
+  async _runScoped(name, fn) {
     try {
-      let result;
+      const scoped = await withUsageScope(fn);
+      this._log('info', `Command ${name} executed successfully`, { usage: scoped.usage });
+      return scoped;
+    } catch (error) {
+      this._log('error', `Command ${name} failed`, { error: error.message });
+      throw error;
+    } finally {
+      // 录制时等待 fixture 写入完成再返回
+      if (this.fixtures) {
+        await this.fixtures.flush();
+      }
+    }
+  }
 
+  /**
+   * 在与 execute 相同的作用域中执行一项任务：分配请求 ID、统计用量，录制时等待 fixture 写入完成
+   * 供直接调用 searchEngine 的模块 (如 watch 的网页检查) 使用，结果不经过缓存，也不写入会话
+   * @param {string} name - 任务名称，用于日志
+   * @param {Function} fn - 要执行的异步函数
+   * @returns {Promise<{result: any, usage: Object, requestId: string}>} 函数的返回值、本次调用的用量和请求 ID
+   */
+  async runTask(name, fn) {
+    const requestId = currentRequestId();
+    if (!requestId) {
+      return withRequestId(createRequestId(), () => this.runTask(name, fn));
+    }
+
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const { result, usage } = await this._runScoped(name, fn);
+    return { result, usage, requestId };
+  }
+
+  /**
+   * 分发命令
+   * @private
+   */
+  async _runCommand(command, params) {
+    switch (command) {
+      case 'search':
+        return this.search(params);
+      case 'fetch':
+        return this.fetch(params);
+      case 'extract':
+        return this.extract(params);
+      case 'research':
+        return this.research(params);
+      case 'ask':
+        return this.ask(params);
+      default:
+        throw new ValidationError(`Unknown command: ${command}. Available commands: search, fetch, extract, research, ask`);
+    }
+  }
+
+  /**
+   * 以流式方式执行命令，结果不经过缓存
+   * search 命令以原始文本形式流式输出；设置 sessionId 时在结束后将完整文本写入会话历史
+   * @param {string} command - 命令名称 (search 或 fetch)
+   * @param {Object} params - 命令参数
+   * @returns {AsyncGenerator<Object>} 流式事件 (page / text / done)
+   */
+  async *executeStream(command, params) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    this._log('info', `Executing stream command: ${command}`, { params });
+
+    try {
+      const overrides = validateCallOptions(params);
+      const sessionId = params.sessionId !== undefined ? validateSessionId(params.sessionId) : null;
+
+      let stream;
+      let query;
       switch (command) {
-        case 'search':
-          result = await this.search(params);
+        case 'search': {
+          const { json, ...options } = validateSearchParams(params);
+          if (options.expand > 0) {
+            throw new ValidationError('expand is not supported for streaming search');
+          }
+          ({ query } = options);
+          stream = this.searchEngine.searchStream(query, options);
           break;
-        case 'fetch':
-          result = await this.fetch(params);
+        }
+        case 'fetch': {
+          const { url, prompt, format } = validateFetchParams(params);
+          stream = this.searchEngine.fetchStream(url, prompt, { format });
           break;
+        }
         default:
-          throw new Error(`Unknown command: ${command}. Available commands: search, fetch`);
+          throw new ValidationError(`Unknown command: ${command}. Available stream commands: search, fetch`);
+      }
+
+      let done = null;
+      for await (const event of streamWithCallOptions(overrides, stream)) {
+        if (event.type === 'done') {
+          done = event;
+        }
+        yield event;
+      }
+
+      if (sessionId && done) {
+        // 流式 search 只有原始文本，按文本结果写入会话
+        const result = command === 'search' ? { query, results: done.content } : done;
+        await this._appendTurn(sessionId, describeTurn(command, params, result));
       }
 
-      this._log('info', `Command ${command} executed successfully`);
-      return result;
+      this._log('info', `Stream command ${command} executed successfully`);
     } catch (error) {
-      this._log('error', `Command ${command} failed`, { error: error.message });
+      this._log('error', `Stream command ${command} failed`, { error: error.message });
       throw error;
+    } finally {
+      if (this.fixtures) {
+        await this.fixtures.flush();
+      }
     }
   }
 
@@ -109,44 +401,29 @@ class GeminiSearchSkill {
    * @private
    */
   async search(params) {
-    const { query, numResults = 10, timeRange, json = true } = params;
-
-    // 验证 query 参数
-    if (!query) {
-      throw new Error('Query parameter is required for search');
-    }
-
-    if (typeof query !== 'string') {
-      throw new Error('Query must be a string');
-    }
+    const { query, ...options } = validateSearchParams(params);
+    const { numResults, timeRange, timeWindow, includeDomains, excludeDomains, language, region } = options;
 
-    const trimmedQuery = query.trim();
-    if (trimmedQuery.length === 0) {
-      throw new Error('Query cannot be empty');
-    }
-
-    if (trimmedQuery.length > 1000) {
-      throw new Error('Query too long (max 1000 characters)');
-    }
+    // expand：改写查询并发搜索后合并结果
+    const results = options.expand > 0
+      ? await searchExpanded(this.searchEngine, query, options)
+      : await this.searchEngine.search(query, options);
 
-    // 验证 numResults
-    const validatedNumResults = parseInt(numResults);
-    if (isNaN(validatedNumResults) || validatedNumResults < 1 || validatedNumResults > 100) {
-      throw new Error('numResults must be a number between 1 and 100');
+    if (results.expansion && results.expansion.error) {
+      this._log('warn', 'Query expansion failed, searched with the original query only', { error: results.expansion.error });
     }
 
-    const results = await this.searchEngine.search(trimmedQuery, {
-      numResults: validatedNumResults,
-      timeRange,
-      json
-    });
-
     return {
       success: true,
       command: 'search',
-      query: trimmedQuery,
-      numResults: validatedNumResults,
+      query,
+      numResults,
       timeRange: timeRange || null,
+      timeWindow: timeWindow && { from: timeWindow.from, to: timeWindow.to },
+      includeDomains,
+      excludeDomains,
+      language: language || null,
+      region: region || null,
       results
     };
   }
@@ -156,34 +433,95 @@ class GeminiSearchSkill {
    * @private
    */
   async fetch(params) {
-    const { url, prompt = '' } = params;
+    const { url, prompt, format } = validateFetchParams(params);
 
-    // 验证 URL 参数
-    if (!url) {
-      throw new Error('URL parameter is required for fetch');
-    }
+    const result = await this.searchEngine.fetch(url, prompt, { format });
 
-    // 验证 URL 格式
-    try {
-      new URL(url);
-    } catch (e) {
-      throw new Error(`Invalid URL format: ${url}`);
+    return {
+      success: true,
+      command: 'fetch',
+      ...result
+    };
+  }
+
+  /**
+   * 基于会话历史追问，问答本身也追加到会话
+   * @private
+   */
+  async ask(params) {
+    const { sessionId, question, maxHistoryTokens, webSearch } = validateAskParams(params);
+
+    const session = await this.sessions.get(sessionId);
+    if (!session) {
+      throw new ValidationError(`Session not found: ${sessionId}. Run search or fetch with this sessionId first`);
     }
 
-    // 验证 prompt 长度
-    if (typeof prompt === 'string' && prompt.length > 2000) {
-      throw new Error('Prompt too long (max 2000 characters)');
+    const history = trimHistory(session.turns, maxHistoryTokens);
+    if (history.dropped > 0) {
+      this._log('info', `Dropped ${history.dropped} earlier turns to fit the history token budget`, { maxHistoryTokens });
     }
 
-    const result = await this.searchEngine.fetch(url, prompt);
+    const result = await this.searchEngine.ask(question, history.turns, { webSearch });
+    const sessionWarning = await this._appendTurn(sessionId, describeTurn('ask', params, { question, answer: result.answer }));
 
     return {
       success: true,
-      command: 'fetch',
+      command: 'ask',
+      sessionId,
+      question,
+      ...result,
+      history: {
+        turns: history.turns.length,
+        droppedTurns: history.dropped,
+        estimatedTokens: history.tokens
+      },
+      ...(sessionWarning && { sessionWarning })
+    };
+  }
+
+  /**
+   * 按 JSON Schema 从网页提取结构化数据
+   * @private
+   */
+  async extract(params) {
+    const { url, schema, prompt, maxAttempts } = validateExtractParams(params);
+
+    const result = await this.searchEngine.extract(url, schema, { prompt, maxAttempts });
+
+    return {
+      success: true,
+      command: 'extract',
       ...result
     };
   }
 
+  /**
+   * 多步调研：规划子查询、搜索、获取网页并生成带引用的报告
+   * @private
+   */
+  async research(params) {
+    const validated = validateResearchParams(params);
+
+    const { report, sources, steps, tokensUsed } = await runResearch(this, validated);
+
+    return {
+      success: true,
+      command: 'research',
+      question: validated.question,
+      report,
+      sources,
+      steps,
+      limits: {
+        depth: validated.depth,
+        maxQueries: validated.maxQueries,
+        maxPages: validated.maxPages,
+        maxTokens: validated.maxTokens
+      },
+      tokensUsed,
+      timestamp: new Date().toISOString()
+    };
+  }
+
   /**
    * 获取 Skill 信息
    */
@@ -193,9 +531,13 @@ class GeminiSearchSkill {
       version: '1.2.0',
       description: '使用 Gemini API 进行增强的网络搜索和网页内容分析',
       type: 'search',
-      commands: ['search', 'fetch'],
+      commands: ['search', 'fetch', 'extract', 'research', 'ask'],
       model: this.model,
-      initialized: this.initialized
+      provider: this.provider,
+      initialized: this.initialized,
+      keys: this.searchEngine ? this.searchEngine.keyPool.stats() : [],
+      circuitBreaker: this.searchEngine ? this.searchEngine.circuitBreaker.stats() : null,
+      usage: this.usage ? this.usage.summary() : null
     };
   }
 }
@@ -206,6 +548,9 @@ const skill = new GeminiSearchSkill();
 // 命令行接口
 import { fileURLToPath } from 'url';
 import path from 'path';
+import { promises as fs, createWriteStream } from 'fs';
+import { parseCommandLine, formatHelp, loadConfig, resolveSettings, resolveFixtureOptions } from './cli.js';
+import { formatResult, shouldUseColor } from './format.js';
 
 /**
  * 检查是否为主模块
@@ -237,130 +582,335 @@ function checkIsMainModule() {
 
 const isMainModule = checkIsMainModule();
 
-if (isMainModule) {
-  const args = process.argv.slice(2);
-
-  // 显示帮助信息
-  if (args.length === 0 || args[0] === '--help' || args[0] === '-h') {
-    console.log('Gemini Search Skill - 命令行工具');
-    console.log('');
-    console.log('Usage:');
-    console.log('  node index.js search "<query>" [options]');
-    console.log('  node index.js fetch "<url>" [prompt]');
-    console.log('');
-    console.log('Commands:');
-    console.log('  search    使用 Google 搜索网络内容');
-    console.log('  fetch     获取并分析网页内容');
-    console.log('');
-    console.log('Options:');
-    console.log('  --num <number>    搜索结果数量 (1-100, 默认: 10)');
-    console.log('  --time <range>    搜索时间范围 (如: 1d, 1w, 1m)');
-    console.log('  --model <name>    指定模型名称');
-    console.log('  --raw             返回原始文本而不是 JSON 结构');
-    console.log('');
-    console.log('Environment variables:');
-    console.log('  GEMINI_BASE_URL   - OpenAI 兼容 API 的基础 URL');
-    console.log('  GEMINI_API_KEY    - Gemini API 密钥');
-    console.log('  GEMINI_MODEL      - 默认模型名称');
-    console.log('');
-    console.log('Examples:');
-    console.log('  node index.js search "人工智能最新发展" --num 5');
-    console.log('  node index.js fetch "https://example.com" "总结主要内容"');
-    process.exit(0);
+/**
+ * 将会话 token 用量汇总输出到 stderr
+ */
+function printUsageSummary(summary) {
+  const formatCost = cost => (cost === null ? 'cost unknown (model not in price table)' : `est. $${cost.toFixed(6)}`);
+
+  console.error(`[usage] ${summary.calls} calls, ${summary.promptTokens} prompt + ${summary.completionTokens} completion = ` +
+                `${summary.totalTokens} tokens, ${formatCost(summary.cost)}`);
+
+  for (const [model, totals] of Object.entries(summary.models)) {
+    console.error(`[usage]   ${model}: ${totals.calls} calls, ${totals.totalTokens} tokens, ${formatCost(totals.cost)}`);
+  }
+
+  if (summary.unreportedCalls > 0) {
+    console.error(`[usage] ${summary.unreportedCalls} calls returned no usage data and are not counted`);
+  }
+}
+
+/**
+ * 输出命令结果：写入 --output 指定的文件，未指定时写到 stdout
+ * @private
+ */
+async function writeOutput(text, file) {
+  if (file) {
+    await fs.writeFile(file, text.endsWith('\n') ? text : `${text}\n`, 'utf8');
+  } else {
+    console.log(text);
   }
+}
 
-  // 显示版本信息
-  if (args[0] === '--version' || args[0] === '-v') {
+/**
+ * 流式输出模型生成的文本
+ * @private
+ */
+async function writeStream(events, file) {
+  const output = file ? createWriteStream(file, 'utf8') : process.stdout;
+  for await (const event of events) {
+    if (event.type === 'text') {
+      output.write(event.text);
+    }
+  }
+  output.write('\n');
+  if (file) {
+    await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+  }
+}
+
+/**
+ * 从命令行选项中取出搜索过滤条件
+ * @private
+ */
+function searchFilters(options) {
+  return {
+    numResults: options.num,
+    timeRange: options.time,
+    includeDomains: options.site && options.site.join(','),
+    excludeDomains: options['exclude-site'] && options['exclude-site'].join(','),
+    language: options.lang,
+    region: options.region
+  };
+}
+
+/**
+ * 将钩子的失败信息输出到 stderr
+ * @private
+ */
+function reportHookFailures(report) {
+  for (const hook of Object.values(report.hooks || {})) {
+    if (!hook.ok) {
+      console.error(`[watch] ${hook.error}`);
+    }
+  }
+}
+
+/**
+ * 命令行入口
+ * @private
+ */
+async function runCli(argv) {
+  const { command, help, version, args, options } = parseCommandLine(argv);
+
+  if (version) {
     console.log('Gemini Search Skill v1.2.0');
-    process.exit(0);
+    return;
   }
 
-  const command = args[0];
-  const params = {};
+  if (help) {
+    console.log(formatHelp(command));
+    return;
+  }
+
+  // 命令行参数 > 环境变量 > 配置文件 (profile) > 默认值
+  const config = await loadConfig({ file: options.config });
+  const { settings } = resolveSettings(config, options);
+  // cache 命令只管理本地缓存，不受录制 / 回放模式影响
+  const cliSkill = createSkill({
+    ...settings,
+    fixtures: command === 'cache' ? false : resolveFixtureOptions(options)
+  });
+  const output = command === 'batch' ? null : options.output;
+
+  // 解析 --usage 参数：结束后输出会话用量汇总
+  const showUsage = () => {
+    if (options.usage && cliSkill.usage) {
+      printUsageSummary(cliSkill.usage.summary());
+    }
+  };
+
+  // --format：写入终端时按终端宽度排版并使用颜色，写入文件时不使用颜色
+  const printResult = (value) => {
+    const toTerminal = !output;
+    return writeOutput(formatResult(value, options.format, {
+      color: toTerminal && shouldUseColor(process.stdout),
+      width: toTerminal ? process.stdout.columns : undefined
+    }), output);
+  };
 
   try {
-    if (command === 'search') {
-      if (!args[1]) {
-        throw new Error('Search query is required');
-      }
-      params.query = args[1];
-
-      // 解析 --num 参数
-      if (args.includes('--num')) {
-        const numIndex = args.indexOf('--num');
-        const numValue = parseInt(args[numIndex + 1]);
-        if (isNaN(numValue) || numValue < 1 || numValue > 100) {
-          throw new Error('--num must be a number between 1 and 100');
+    let result;
+
+    switch (command) {
+      case 'search':
+      case 'fetch': {
+        const params = command === 'search'
+          ? { query: args.query, ...searchFilters(options), expand: options.expand, ...(options.raw && { json: false }) }
+          : { url: args.url, prompt: args.prompt };
+
+        if (options.session) {
+          params.sessionId = options.session;
+        }
+        if (options['no-cache']) {
+          params.noCache = true;
+        }
+        if (options.refresh) {
+          params.refresh = true;
         }
-        params.numResults = numValue;
-      }
 
-      // 解析 --time 参数
-      if (args.includes('--time')) {
-        const timeIndex = args.indexOf('--time');
-        if (args[timeIndex + 1] && !args[timeIndex + 1].startsWith('--')) {
-          params.timeRange = args[timeIndex + 1];
+        // --stream：逐段输出模型生成的文本
+        if (options.stream) {
+          await writeStream(cliSkill.executeStream(command, params), output);
+          return;
         }
-      }
 
-      // 解析 --raw 参数
-      if (args.includes('--raw')) {
-        params.json = false;
-      }
+        result = await cliSkill.execute(command, params);
 
-      // 解析 --model 参数
-      if (args.includes('--model')) {
-        const modelIndex = args.indexOf('--model');
-        if (args[modelIndex + 1] && !args[modelIndex + 1].startsWith('--')) {
-          params.model = args[modelIndex + 1];
+        // --raw：只输出模型生成的文本
+        if (options.raw) {
+          await writeOutput(command === 'search' ? result.results : result.content, output);
+          return;
         }
+        break;
       }
-    } else if (command === 'fetch') {
-      if (!args[1]) {
-        throw new Error('URL is required for fetch');
+      case 'extract': {
+        // --schema 以 { 开头视为内联 JSON，否则视为文件路径
+        const schema = options.schema.trim().startsWith('{')
+          ? options.schema
+          : await fs.readFile(options.schema, 'utf8');
+        result = await cliSkill.execute(command, {
+          url: args.url,
+          prompt: args.instructions,
+          schema,
+          maxAttempts: options.attempts,
+          sessionId: options.session
+        });
+        break;
       }
-      params.url = args[1];
-
-      // 可选的 prompt 参数
-      if (args[2] && !args[2].startsWith('--')) {
-        params.prompt = args[2];
+      case 'research':
+        result = await cliSkill.execute(command, {
+          question: args.question,
+          depth: options.depth,
+          maxQueries: options.queries,
+          maxPages: options.pages,
+          maxTokens: options['max-tokens'],
+          sessionId: options.session
+        });
+        break;
+      case 'ask':
+        result = await cliSkill.execute(command, {
+          sessionId: options.session,
+          question: args.question,
+          maxHistoryTokens: options['history-tokens'],
+          webSearch: !options['no-search']
+        });
+        break;
+      case 'sessions': {
+        if (args.action === 'list') {
+          result = { success: true, command: 'sessions list', sessions: await cliSkill.sessions.list() };
+          break;
+        }
+        if (!args.id) {
+          throw new ValidationError(`sessions ${args.action} requires a session id. Run "node index.js sessions list" to see sessions.`);
+        }
+        if (args.action === 'show') {
+          const session = await cliSkill.sessions.get(args.id);
+          if (!session) {
+            throw new ValidationError(`Session not found: ${args.id}`);
+          }
+          result = { success: true, command: 'sessions show', ...session };
+        } else {
+          if (!(await cliSkill.sessions.delete(args.id))) {
+            throw new ValidationError(`Session not found: ${args.id}`);
+          }
+          result = { success: true, command: 'sessions delete', id: args.id, deleted: true };
+        }
+        break;
       }
+      case 'watch': {
+        const watchOptions = {
+          target: args.target,
+          search: searchFilters(options),
+          summarize: !!options.summarize,
+          stateFile: options.state,
+          dir: process.env.GEMINI_WATCH_DIR,
+          webhook: options.webhook,
+          exec: options.exec
+        };
+
+        if (!options.interval) {
+          result = await runWatch(cliSkill, watchOptions);
+          reportHookFailures(result);
+          if (result.changed) {
+            process.exitCode = WATCH_CHANGED_EXIT_CODE;
+          }
+          break;
+        }
 
-      // 解析 --model 参数
-      if (args.includes('--model')) {
-        const modelIndex = args.indexOf('--model');
-        if (args[modelIndex + 1] && !args[modelIndex + 1].startsWith('--')) {
-          params.model = args[modelIndex + 1];
+        // --interval：持续检查，只输出第一次检查 (基线) 和有变化的检查；Ctrl-C 在当前检查完成后停止
+        const controller = new AbortController();
+        const stop = () => controller.abort();
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+
+        try {
+          const stats = await watchLoop(cliSkill, {
+            ...watchOptions,
+            interval: options.interval,
+            signal: controller.signal,
+            onReport: async (report) => {
+              reportHookFailures(report);
+              if (report.changed || report.firstRun) {
+                await printResult(report);
+              } else {
+                console.error(`[watch] ${report.checkedAt} no changes`);
+              }
+            },
+            onError: (error) => {
+              console.error(`[watch] Check failed: ${error.message}`);
+            }
+          });
+          console.error(`[watch] Stopped after ${stats.checks} checks (${stats.changes} with changes, ${stats.errors} failed)`);
+          if (stats.changes > 0) {
+            process.exitCode = WATCH_CHANGED_EXIT_CODE;
+          }
+        } finally {
+          process.off('SIGINT', stop);
+          process.off('SIGTERM', stop);
         }
+        return;
       }
-    } else if (command && !command.startsWith('-')) {
-      // 如果 command 存在且不是以 - 开头（即不是参数），则认为是未知命令
-      throw new Error(`Unknown command: ${command}. Use --help for usage information.`);
-    } else if (!command) {
-      // 没有任何命令时显示帮助
-      console.log('Gemini Search Skill - 命令行工具');
-      console.log('使用 --help 查看帮助信息');
-      process.exit(0);
+      case 'batch':
+        result = {
+          success: true,
+          command: 'batch',
+          ...(await runBatch(cliSkill, {
+            input: args.file,
+            output: options.output || `${args.file}.results.ndjson`,
+            resume: !!options.resume,
+            concurrency: options.concurrency,
+            ratePerMinute: options.rate,
+            onProgress: (progress) => {
+              console.error(`[batch] ${progress.done}/${progress.total} done (${progress.failed} failed)`);
+            }
+          }))
+        };
+        break;
+      case 'cache':
+        if (!cliSkill.cache) {
+          throw new Error('Cache is disabled (GEMINI_CACHE=off)');
+        }
+        result = args.action === 'clear'
+          ? { success: true, command: 'cache clear', removed: await cliSkill.cache.clear() }
+          : { success: true, command: 'cache stats', ...(await cliSkill.cache.stats()) };
+        break;
+      case 'mcp':
+        await startMcpServer(cliSkill);
+        return;
+      case 'serve':
+        await startHttpServer(cliSkill, {
+          port: options.port ?? (parseInt(process.env.GEMINI_SEARCH_PORT) || 8787),
+          host: options.host || process.env.GEMINI_SEARCH_HOST || '127.0.0.1',
+          token: options.token || process.env.GEMINI_SEARCH_TOKEN || null,
+          maxConcurrency: options['max-concurrency']
+        });
+        return;
     }
 
-    // 更新 skill 的模型（如果命令行指定了）
-    if (params.model) {
-      skill.model = params.model;
-    }
+    await printResult(result);
+  } finally {
+    showUsage();
+  }
+}
 
-    skill.execute(command, params)
-      .then(result => {
-        console.log(JSON.stringify(result, null, 2));
-      })
-      .catch(error => {
-        console.error('Error:', error.message);
-        process.exit(1);
-      });
-  } catch (error) {
+if (isMainModule) {
+  runCli(process.argv.slice(2)).catch(error => {
     console.error('Error:', error.message);
     process.exit(1);
-  }
+  });
+}
+
+/**
+ * 创建独立的 Skill 实例
+ * 与默认导出的共享实例互不影响，各自拥有密钥池、用量统计和配置
+ * @param {Object} options - 配置选项，同 GeminiSearchSkill 构造函数
+ * @returns {GeminiSearchSkill}
+ */
+export function createSkill(options = {}) {
+  return new GeminiSearchSkill(options);
 }
 
 export default skill;
 export { GeminiSearchSkill };
+export {
+  GeminiSearchError,
+  AuthError,
+  RateLimitError,
+  TimeoutError,
+  UpstreamError,
+  CircuitOpenError,
+  ValidationError,
+  FixtureMissError,
+  UrlBlockedError
+} from './errors.js';
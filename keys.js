@@ -0,0 +1,177 @@
+/**
+ * API 密钥池模块
+ * 在多个密钥之间轮换，遇到 429 时切换到下一个密钥，401 的密钥在本次会话中停用
+ */
+
+import { readFileSync } from 'fs';
+import { AuthError } from './errors.js';
+
+export const ROTATION_STRATEGIES = ['round-robin', 'least-used'];
+
+/**
+ * 解析 GEMINI_API_KEY 配置
+ * 支持单个密钥、逗号分隔的多个密钥，或 @path 形式的密钥文件（每行一个，# 开头为注释）
+ * @param {string} value - 配置值
+ * @returns {Array<string>} 去重后的密钥列表
+ * @throws {Error} 密钥文件无法读取时抛出
+ */
+export function loadApiKeys(value) {
+  if (!value) return [];
+
+  let text = String(value).trim();
+
+  if (text.startsWith('@')) {
+    const file = text.slice(1);
+    try {
+      text = readFileSync(file, 'utf8');
+    } catch (e) {
+      throw new Error(`Failed to read API keys file ${file}: ${e.message}`);
+    }
+  }
+
+  const keys = text
+    .split(/[\n,]/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  return [...new Set(keys)];
+}
+
+/**
+ * 遮蔽密钥，只保留首尾各 4 个字符
+ * @param {string} key - 密钥
+ * @returns {string} 遮蔽后的密钥
+ */
+export function maskKey(key) {
+  return key.length > 12 ? `${key.slice(0, 4)}…${key.slice(-4)}` : '****';
+}
+
+class KeyPool {
+  /**
+   * @param {Array<string>} keys - 密钥列表
+   * @param {Object} options - 密钥池选项
+   * @param {string} options.strategy - 轮换策略 (round-robin 或 least-used, 默认: round-robin)
+   * @param {number} options.cooldown - 密钥收到 429 后暂停使用的时间 (毫秒, 默认: 30000)
+   */
+  constructor(keys, options = {}) {
+    const { strategy = 'round-robin', cooldown = 30000 } = options;
+
+    if (!Array.isArray(keys) || keys.length === 0) {
+      throw new Error('At least one API key is required');
+    }
+
+    if (!ROTATION_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown key rotation strategy: ${strategy}. Available strategies: ${ROTATION_STRATEGIES.join(', ')}`);
+    }
+
+    this.strategy = strategy;
+    this.cooldown = cooldown;
+    this.next = 0;
+    this.entries = keys.map(key => ({
+      key,
+      requests: 0,
+      errors: 0,
+      rateLimited: 0,
+      disabled: false,
+      cooldownUntil: 0,
+      lastUsedAt: null
+    }));
+  }
+
+  /**
+   * 密钥数量
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * 是否还有未停用且不在冷却期的密钥
+   * @returns {boolean}
+   */
+  hasAvailable() {
+    const now = Date.now();
+    return this.entries.some(entry => !entry.disabled && entry.cooldownUntil <= now);
+  }
+
+  /**
+   * 选取一个密钥并计入请求数
+   * 优先使用不在冷却期的密钥；全部冷却时选择最早结束冷却的密钥
+   * @returns {Object} 密钥条目，需在请求结束后通过 reportSuccess / reportFailure 反馈
+   * @throws {Error} 所有密钥都已停用时抛出
+   */
+  acquire() {
+    const active = this.entries.filter(entry => !entry.disabled);
+    if (active.length === 0) {
+      throw new AuthError('Authentication failed: all API keys are disabled');
+    }
+
+    const now = Date.now();
+    const ready = active.filter(entry => entry.cooldownUntil <= now);
+    let entry;
+
+    if (ready.length === 0) {
+      entry = active.reduce((a, b) => (b.cooldownUntil < a.cooldownUntil ? b : a));
+    } else if (this.strategy === 'least-used') {
+      entry = ready.reduce((a, b) => (b.requests < a.requests ? b : a));
+    } else {
+      // 轮询：从上次位置之后找到第一个可用密钥
+      for (let i = 0; i < this.entries.length; i++) {
+        const candidate = this.entries[(this.next + i) % this.entries.length];
+        if (ready.includes(candidate)) {
+          entry = candidate;
+          this.next = (this.entries.indexOf(candidate) + 1) % this.entries.length;
+          break;
+        }
+      }
+    }
+
+    entry.requests++;
+    entry.lastUsedAt = now;
+    return entry;
+  }
+
+  /**
+   * 记录请求成功
+   * @param {Object} entry - acquire 返回的密钥条目
+   */
+  reportSuccess(entry) {
+    entry.cooldownUntil = 0;
+  }
+
+  /**
+   * 记录请求失败
+   * 401 停用该密钥，429 让该密钥进入冷却期
+   * @param {Object} entry - acquire 返回的密钥条目
+   * @param {number} status - HTTP 状态码，网络错误或超时时为 undefined
+   */
+  reportFailure(entry, status) {
+    entry.errors++;
+
+    if (status === 401) {
+      entry.disabled = true;
+    } else if (status === 429) {
+      entry.rateLimited++;
+      entry.cooldownUntil = Date.now() + this.cooldown;
+    }
+  }
+
+  /**
+   * 各密钥的使用统计（密钥已遮蔽）
+   * @returns {Array<Object>}
+   */
+  stats() {
+    const now = Date.now();
+    return this.entries.map(entry => ({
+      key: maskKey(entry.key),
+      requests: entry.requests,
+      errors: entry.errors,
+      rateLimited: entry.rateLimited,
+      disabled: entry.disabled,
+      coolingDown: !entry.disabled && entry.cooldownUntil > now,
+      lastUsedAt: entry.lastUsedAt ? new Date(entry.lastUsedAt).toISOString() : null
+    }));
+  }
+}
+
+export default KeyPool;
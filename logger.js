@@ -0,0 +1,266 @@
+/**
+ * 日志模块
+ * 所有模块共用的日志器：支持日志级别、文本或 JSON Lines 输出、请求 ID 关联、敏感信息脱敏以及自定义输出目标
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+const REDACTED = '[REDACTED]';
+
+// 值需要整体脱敏的字段名
+const SENSITIVE_KEYS = /^(authorization|proxy-authorization|x-goog-api-key|x-api-key|api[-_]?key|apikey|keys?|token|secret|password)$/i;
+
+// 字符串中需要脱敏的片段
+const SENSITIVE_PATTERNS = [
+  [/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`],
+  [/([?&](?:key|api_key|apikey|token)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  [/AIza[0-9A-Za-z_-]{20,}/g, REDACTED]
+];
+
+// 当前 execute 调用的请求 ID
+const requestStorage = new AsyncLocalStorage();
+
+/**
+ * 生成请求 ID
+ * @returns {string} 12 位十六进制 ID
+ */
+export function createRequestId() {
+  return randomUUID().replace(/-/g, '').slice(0, 12);
+}
+
+/**
+ * 在指定请求 ID 下执行函数，函数内（包括重试）的所有日志都会带上该 ID
+ * @param {string} requestId - 请求 ID
+ * @param {Function} fn - 要执行的函数
+ * @returns {any} 函数的返回值
+ */
+export function withRequestId(requestId, fn) {
+  return requestStorage.run(requestId, fn);
+}
+
+/**
+ * 当前的请求 ID
+ * @returns {string|null} 不在请求上下文中时返回 null
+ */
+export function currentRequestId() {
+  return requestStorage.getStore() || null;
+}
+
+/**
+ * 对字符串脱敏
+ * @private
+ */
+function redactString(text, secrets) {
+  let result = text;
+  for (const secret of secrets) {
+    if (result.includes(secret)) {
+      result = result.split(secret).join(REDACTED);
+    }
+  }
+  for (const [pattern, replacement] of SENSITIVE_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
+/**
+ * 对任意数据脱敏：敏感字段整体替换，字符串中的 Bearer Token、key 参数和已登记的密钥替换为 [REDACTED]
+ * @param {any} value - 待脱敏的数据
+ * @param {Iterable<string>} secrets - 需要脱敏的已知密钥
+ * @returns {any} 脱敏后的副本
+ */
+export function redact(value, secrets = [], seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value, secrets);
+  }
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message, secrets),
+      ...(value.stack && { stack: redactString(value.stack, secrets) })
+    };
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, secrets, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SENSITIVE_KEYS.test(key) && item ? REDACTED : redact(item, secrets, seen);
+  }
+  return result;
+}
+
+/**
+ * 将日志记录格式化为一行文本或 JSON
+ * @private
+ */
+function formatRecord(record, format) {
+  if (format === 'json') {
+    return JSON.stringify(record);
+  }
+
+  const { time, level, component, requestId, message, data } = record;
+  const prefix = `[${time}] [${level.toUpperCase()}]` +
+                 (component ? ` [${component}]` : '') +
+                 (requestId ? ` [${requestId}]` : '');
+
+  let displayData = '';
+  if (data !== undefined) {
+    displayData = data && data.stack
+      ? `\n${data.stack}`
+      : `\n${JSON.stringify(data, null, 2)}`;
+  }
+
+  return `${prefix} ${message}${displayData}`;
+}
+
+export class Logger {
+  /**
+   * @param {Object} options - 日志选项
+   * @param {string} options.level - 最低输出级别 (debug、info、warn、error 或 silent, 默认: LOG_LEVEL，未设置时生产环境为 error，否则为 debug)
+   * @param {string} options.format - 输出格式 (text 或 json, 默认: LOG_FORMAT 或 text)
+   * @param {Function} options.sink - 自定义输出目标，参数为已脱敏的日志记录对象 (默认: 写入 stderr)
+   * @param {string} options.component - 组件名称，出现在每条日志中
+   */
+  constructor(options = {}) {
+    // 子日志器共享同一份配置，configure 对所有子日志器生效
+    this.config = options.config || {
+      level: null,
+      format: null,
+      sink: null,
+      secrets: new Set()
+    };
+    this.component = options.component || null;
+
+    if (!options.config) {
+      this.configure(options);
+    }
+  }
+
+  /**
+   * 更新配置，未传入的选项保持不变
+   * @param {Object} options - 同构造函数的 level、format、sink
+   */
+  configure(options = {}) {
+    // 环境变量取值无效时使用默认值，显式传入的无效选项直接报错
+    const envLevel = (process.env.LOG_LEVEL || '').toLowerCase();
+    const envFormat = (process.env.LOG_FORMAT || '').toLowerCase();
+    const level = (options.level || this.config.level ||
+                  (Object.hasOwn(LOG_LEVELS, envLevel) ? envLevel : null) ||
+                  (process.env.NODE_ENV === 'production' ? 'error' : 'debug')).toLowerCase();
+    const format = options.format || this.config.format || (envFormat === 'json' ? 'json' : 'text');
+
+    if (!Object.hasOwn(LOG_LEVELS, level)) {
+      throw new Error(`Invalid log level: ${level}. Available levels: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+    if (!['text', 'json'].includes(format)) {
+      throw new Error('Log format must be either "text" or "json"');
+    }
+
+    this.config.level = level;
+    this.config.format = format;
+    if (options.sink !== undefined) {
+      this.config.sink = options.sink;
+    }
+  }
+
+  /**
+   * 创建带组件名称的子日志器
+   * @param {string} component - 组件名称
+   * @returns {Logger}
+   */
+  child(component) {
+    return new Logger({ config: this.config, component });
+  }
+
+  /**
+   * 登记需要脱敏的密钥
+   * @param {string} secret - 密钥
+   */
+  addSecret(secret) {
+    if (typeof secret === 'string' && secret.length >= 8) {
+      this.config.secrets.add(secret);
+    }
+  }
+
+  /**
+   * 指定级别是否会被输出
+   * @param {string} level - 日志级别
+   * @returns {boolean}
+   */
+  isEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.config.level];
+  }
+
+  /**
+   * 记录日志
+   * @param {string} level - 日志级别
+   * @param {string} message - 日志消息
+   * @param {any} data - 附加数据
+   */
+  log(level, message, data = null) {
+    if (!this.isEnabled(level)) return;
+
+    const { secrets } = this.config;
+    const requestId = currentRequestId();
+    const record = {
+      time: new Date().toISOString(),
+      level,
+      ...(this.component && { component: this.component }),
+      ...(requestId && { requestId }),
+      message: redact(String(message), secrets),
+      ...(data !== null && data !== undefined && { data: redact(data, secrets) })
+    };
+
+    if (this.config.sink) {
+      this.config.sink(record);
+      return;
+    }
+
+    process.stderr.write(`${formatRecord(record, this.config.format)}\n`);
+  }
+
+  debug(message, data) {
+    this.log('debug', message, data);
+  }
+
+  info(message, data) {
+    this.log('info', message, data);
+  }
+
+  warn(message, data) {
+    this.log('warn', message, data);
+  }
+
+  error(message, data) {
+    this.log('error', message, data);
+  }
+}
+
+/**
+ * 所有模块共用的根日志器，配置来自 LOG_LEVEL / LOG_FORMAT 环境变量
+ */
+const logger = new Logger();
+
+export default logger;
@@ -0,0 +1,195 @@
+/**
+ * MCP (Model Context Protocol) 服务模块
+ * 通过 stdio 以换行分隔的 JSON-RPC 2.0 消息提供 skill 命令作为 MCP 工具
+ */
+
+import { readFileSync } from 'fs';
+import readline from 'readline';
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC 错误码
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+/**
+ * 读取 skill.json 清单
+ * @private
+ */
+function loadManifest() {
+  return JSON.parse(readFileSync(new URL('./skill.json', import.meta.url), 'utf8'));
+}
+
+/**
+ * 将 skill.json 中的参数定义转换为 JSON Schema
+ * @param {Object} parameters - skill.json 中命令的 parameters 字段
+ * @returns {Object} 工具的 inputSchema
+ */
+export function toInputSchema(parameters = {}) {
+  const properties = {};
+  const required = [];
+
+  for (const [name, definition] of Object.entries(parameters)) {
+    const property = { type: definition.type };
+
+    if (definition.description) property.description = definition.description;
+    if (definition.default !== undefined) property.default = definition.default;
+    if (definition.enum) property.enum = definition.enum;
+    if (definition.min !== undefined) property.minimum = definition.min;
+    if (definition.max !== undefined) property.maximum = definition.max;
+    if (definition.maxLength !== undefined) property.maxLength = definition.maxLength;
+    if (definition.items) property.items = definition.items;
+
+    properties[name] = property;
+
+    if (definition.required) {
+      required.push(name);
+    }
+  }
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 && { required }),
+    additionalProperties: false
+  };
+}
+
+/**
+ * 根据 skill.json 生成 MCP 工具列表
+ * @param {Object} manifest - skill.json 内容
+ * @returns {Array} MCP 工具定义
+ */
+export function buildToolDefinitions(manifest = loadManifest()) {
+  return manifest.commands.map(command => ({
+    name: command.name,
+    description: command.description,
+    inputSchema: toInputSchema(command.parameters)
+  }));
+}
+
+/**
+ * 启动 MCP stdio 服务
+ * @param {GeminiSearchSkill} skill - 用于执行工具调用的 skill 实例
+ * @param {Object} options - 服务选项
+ * @param {stream.Readable} options.input - 输入流 (默认: process.stdin)
+ * @param {stream.Writable} options.output - 输出流 (默认: process.stdout)
+ * @returns {Promise<void>} 输入流关闭后 resolve
+ */
+export function startMcpServer(skill, options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const manifest = loadManifest();
+  const tools = buildToolDefinitions(manifest);
+  const toolNames = new Set(tools.map(tool => tool.name));
+
+  // stdout 专用于协议消息，其余输出一律转到 stderr
+  if (output === process.stdout) {
+    console.log = console.error;
+    console.info = console.error;
+  }
+
+  const send = (message) => {
+    output.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+  };
+
+  const sendError = (id, code, message) => {
+    send({ id, error: { code, message } });
+  };
+
+  const callTool = async (params) => {
+    const { name, arguments: args = {} } = params || {};
+
+    if (!toolNames.has(name)) {
+      const error = new Error(`Unknown tool: ${name}`);
+      error.code = INVALID_PARAMS;
+      throw error;
+    }
+
+    try {
+      const result = await skill.execute(name, args);
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        isError: false
+      };
+    } catch (error) {
+      // 工具执行失败作为结果返回，便于模型据此调整参数
+      return {
+        content: [{ type: 'text', text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  };
+
+  const handlers = {
+    initialize: async (params = {}) => ({
+      protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+        ? params.protocolVersion
+        : SUPPORTED_PROTOCOL_VERSIONS[0],
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: { name: manifest.name, version: manifest.version }
+    }),
+    ping: async () => ({}),
+    'tools/list': async () => ({ tools }),
+    'tools/call': callTool
+  };
+
+  const handleMessage = async (line) => {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (e) {
+      sendError(null, PARSE_ERROR, 'Parse error');
+      return;
+    }
+
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // 客户端对服务端请求的响应（本服务不发起请求），直接忽略
+      if (message && message.id !== undefined && (message.result !== undefined || message.error !== undefined)) {
+        return;
+      }
+      sendError(message && message.id !== undefined ? message.id : null, INVALID_REQUEST, 'Invalid Request');
+      return;
+    }
+
+    const isNotification = message.id === undefined;
+    const handler = handlers[message.method];
+
+    if (!handler) {
+      if (!isNotification) {
+        sendError(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+      }
+      return;
+    }
+
+    try {
+      const result = await handler(message.params);
+      if (!isNotification) {
+        send({ id: message.id, result });
+      }
+    } catch (error) {
+      if (!isNotification) {
+        sendError(message.id, Number.isInteger(error.code) ? error.code : -32603, error.message);
+      }
+    }
+  };
+
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    const pending = new Set();
+
+    rl.on('line', (line) => {
+      if (!line.trim()) return;
+      // 请求并发处理，长耗时的工具调用不阻塞 ping 等消息
+      const task = handleMessage(line).finally(() => pending.delete(task));
+      pending.add(task);
+    });
+
+    rl.on('close', async () => {
+      await Promise.allSettled([...pending]);
+      resolve();
+    });
+  });
+}
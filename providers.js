@@ -0,0 +1,288 @@
+/**
+ * 模型后端适配模块
+ * 将统一的请求参数转换为各后端协议，并把响应规范化为 { text, usage, grounding }
+ */
+
+import { extractGrounding } from './grounding.js';
+
+export const PROVIDERS = ['openai', 'gemini'];
+
+/**
+ * OpenAI 兼容协议 (/v1/chat/completions)
+ */
+export class OpenAIProvider {
+  /**
+   * @param {Object} options - 适配器选项
+   * @param {string} options.baseUrl - API 基础 URL（不含末尾斜杠）
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = options.baseUrl;
+  }
+
+  /**
+   * 构建 HTTP 请求
+   * @param {Object} request - 统一请求参数
+   * @param {string} request.apiKey - API 密钥
+   * @param {string} request.model - 模型名称
+   * @param {Array} request.messages - 对话消息
+   * @param {Array} request.tools - 工具配置
+   * @param {Object} request.responseFormat - OpenAI response_format
+   * @param {number} request.temperature - 采样温度
+   * @param {boolean} request.stream - 是否流式输出
+   * @returns {{url: string, headers: Object, body: Object}} 请求地址、请求头和请求体
+   */
+  buildRequest(request) {
+    const { apiKey, model, messages, tools, responseFormat, temperature, stream } = request;
+
+    const body = { model, messages, temperature };
+
+    if (tools) {
+      body.tools = tools;
+    }
+
+    if (responseFormat) {
+      body.response_format = responseFormat;
+    }
+
+    if (stream) {
+      body.stream = true;
+    }
+
+    return {
+      url: `${this.baseUrl}/v1/chat/completions`,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(stream && { 'Accept': 'text/event-stream' }),
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body
+    };
+  }
+
+  /**
+   * 规范化 usage 字段
+   * @private
+   */
+  _parseUsage(data) {
+    if (!data.usage) return null;
+
+    const promptTokens = data.usage.prompt_tokens || 0;
+    const completionTokens = data.usage.completion_tokens || 0;
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: data.usage.total_tokens || promptTokens + completionTokens
+    };
+  }
+
+  /**
+   * 规范化响应
+   * @param {Object} data - 响应 JSON
+   * @returns {{text: string, usage: Object|null, grounding: Object|null}} 规范化后的响应
+   */
+  parseResponse(data) {
+    if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+      throw new Error('Invalid API response format: missing choices or message');
+    }
+
+    return {
+      text: data.choices[0].message.content,
+      usage: this._parseUsage(data),
+      grounding: extractGrounding(data)
+    };
+  }
+
+  /**
+   * 解析流式数据块
+   * @param {Object} chunk - SSE 数据块
+   * @returns {{text: string, usage: Object|null}} 增量文本（没有时为空字符串）及数据块携带的用量
+   */
+  parseStreamChunk(chunk) {
+    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+    return {
+      text: (delta && delta.content) || '',
+      usage: this._parseUsage(chunk)
+    };
+  }
+}
+
+/**
+ * Gemini 原生协议 (models/{model}:generateContent)
+ */
+export class GeminiProvider {
+  /**
+   * @param {Object} options - 适配器选项
+   * @param {string} options.baseUrl - API 基础 URL，未包含版本路径时自动追加 /v1beta
+   * @param {string} options.apiKeyLocation - API 密钥位置 (header 或 query, 默认: header)
+   */
+  constructor(options = {}) {
+    const { baseUrl, apiKeyLocation = 'header' } = options;
+
+    if (!['header', 'query'].includes(apiKeyLocation)) {
+      throw new Error('apiKeyLocation must be either "header" or "query"');
+    }
+
+    this.name = 'gemini';
+    this.apiKeyLocation = apiKeyLocation;
+
+    // 兼容直接复用 OpenAI 兼容地址 (.../v1beta/openai) 的配置
+    const base = baseUrl.replace(/\/openai$/, '');
+    this.baseUrl = /\/v1(alpha|beta)?$/.test(base) ? base : `${base}/v1beta`;
+  }
+
+  /**
+   * 将 OpenAI 风格的消息转换为 contents 与 systemInstruction
+   * @private
+   */
+  _convertMessages(messages) {
+    const system = [];
+    const contents = [];
+
+    for (const message of messages) {
+      const text = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+
+      if (message.role === 'system') {
+        system.push({ text });
+      } else {
+        contents.push({
+          role: message.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text }]
+        });
+      }
+    }
+
+    return { contents, systemInstruction: system.length > 0 ? { parts: system } : null };
+  }
+
+  /**
+   * 构建 HTTP 请求，参数同 OpenAIProvider.buildRequest
+   * @returns {{url: string, headers: Object, body: Object}} 请求地址、请求头和请求体
+   */
+  buildRequest(request) {
+    const { apiKey, model, messages, tools, responseFormat, temperature, stream } = request;
+    const { contents, systemInstruction } = this._convertMessages(messages);
+
+    const body = {
+      contents,
+      generationConfig: { temperature }
+    };
+
+    if (systemInstruction) {
+      body.systemInstruction = systemInstruction;
+    }
+
+    // google_search 等内置工具的写法与 OpenAI 兼容协议相同，直接透传
+    if (tools) {
+      body.tools = tools;
+    }
+
+    // 搜索工具与 JSON 输出不能同时使用，此时只依靠提示词约束格式
+    if (responseFormat && !tools) {
+      body.generationConfig.responseMimeType = 'application/json';
+      if (responseFormat.type === 'json_schema' && responseFormat.json_schema) {
+        body.generationConfig.responseJsonSchema = responseFormat.json_schema.schema;
+      }
+    }
+
+    const params = new URLSearchParams();
+    if (stream) {
+      params.set('alt', 'sse');
+    }
+    if (this.apiKeyLocation === 'query') {
+      params.set('key', apiKey);
+    }
+
+    const method = stream ? 'streamGenerateContent' : 'generateContent';
+    const query = params.toString();
+
+    return {
+      url: `${this.baseUrl}/models/${encodeURIComponent(model)}:${method}${query ? `?${query}` : ''}`,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(stream && { 'Accept': 'text/event-stream' }),
+        ...(this.apiKeyLocation === 'header' && { 'x-goog-api-key': apiKey })
+      },
+      body
+    };
+  }
+
+  /**
+   * 拼接候选结果中的文本片段
+   * @private
+   */
+  _candidateText(data) {
+    const candidate = data.candidates && data.candidates[0];
+    const parts = (candidate && candidate.content && candidate.content.parts) || [];
+    return parts
+      .filter(part => typeof part.text === 'string' && !part.thought)
+      .map(part => part.text)
+      .join('');
+  }
+
+  /**
+   * 规范化 usageMetadata 字段，思考 token 计入 completionTokens
+   * @private
+   */
+  _parseUsage(data) {
+    const metadata = data.usageMetadata;
+    if (!metadata) return null;
+
+    const promptTokens = metadata.promptTokenCount || 0;
+    const completionTokens = (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0);
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: metadata.totalTokenCount || promptTokens + completionTokens
+    };
+  }
+
+  /**
+   * 规范化响应
+   * @param {Object} data - 响应 JSON
+   * @returns {{text: string, usage: Object|null, grounding: Object|null}} 规范化后的响应
+   */
+  parseResponse(data) {
+    if (!data.candidates || !data.candidates[0]) {
+      const blockReason = data.promptFeedback && data.promptFeedback.blockReason;
+      throw new Error(blockReason
+        ? `Request blocked by Gemini: ${blockReason}`
+        : 'Invalid API response format: missing candidates');
+    }
+
+    return {
+      text: this._candidateText(data),
+      usage: this._parseUsage(data),
+      grounding: extractGrounding(data)
+    };
+  }
+
+  /**
+   * 解析流式数据块，每个数据块的 usageMetadata 都是截至当前的累计值
+   * @param {Object} chunk - SSE 数据块
+   * @returns {{text: string, usage: Object|null}} 增量文本（没有时为空字符串）及累计用量
+   */
+  parseStreamChunk(chunk) {
+    return {
+      text: this._candidateText(chunk),
+      usage: this._parseUsage(chunk)
+    };
+  }
+}
+
+/**
+ * 按名称创建后端适配器
+ * @param {string} name - 后端名称 (openai 或 gemini)
+ * @param {Object} options - 适配器选项
+ * @returns {OpenAIProvider|GeminiProvider} 适配器实例
+ */
+export function createProvider(name, options = {}) {
+  switch (name) {
+    case 'openai':
+      return new OpenAIProvider(options);
+    case 'gemini':
+      return new GeminiProvider(options);
+    default:
+      throw new Error(`Unknown provider: ${name}. Available providers: ${PROVIDERS.join(', ')}`);
+  }
+}
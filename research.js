@@ -0,0 +1,263 @@
+/**
+ * 调研模块
+ * 自动完成 规划子查询 → 搜索 → 去重 → 并行获取网页 → 生成带编号引用的报告 的多步流程
+ */
+
+import { parseJsonLoose, canonicalizeUrl } from './results.js';
+import { currentUsage, estimateTokens } from './usage.js';
+
+// 每批并行获取的网页数，每批之后检查 token 预算
+const FETCH_BATCH_SIZE = 3;
+
+const PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    queries: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['queries'],
+  additionalProperties: false
+};
+
+/**
+ * 让模型规划子查询
+ * @private
+ */
+async function planQueries(engine, question, maxQueries, findings) {
+  let prompt = `You are planning web searches to research the question below.\n\nQuestion: ${question}\n\n`;
+
+  if (findings.length > 0) {
+    prompt += 'Results found so far:\n' +
+      findings.map(item => `- ${item.title || item.url} (${item.url})`).join('\n') +
+      '\n\nPropose follow-up search queries only for aspects of the question that these results do not cover yet. ' +
+      'Return an empty list if the results are already sufficient.\n\n';
+  } else {
+    prompt += 'Break the question into focused search queries that together cover it.\n\n';
+  }
+
+  prompt += `Return at most ${maxQueries} queries, written in the language most likely to find good sources. ` +
+            'Respond with a JSON object only: {"queries": ["..."]}';
+
+  const { text } = await engine.callGeminiStructured([
+    { role: 'user', content: prompt }
+  ], null, 'research_plan', PLAN_SCHEMA);
+
+  const { value: parsed } = parseJsonLoose(text);
+  if (!parsed || !Array.isArray(parsed.queries)) {
+    throw new Error('Planner response missing queries array');
+  }
+
+  return parsed.queries
+    .filter(query => typeof query === 'string' && query.trim())
+    .map(query => query.trim())
+    .slice(0, maxQueries);
+}
+
+/**
+ * 生成带编号引用的最终报告
+ * @private
+ */
+async function synthesizeReport(engine, question, sources) {
+  const material = sources.map(source =>
+    `[${source.index}] ${source.title || source.url}\nURL: ${source.url}\n${source.notes}`
+  ).join('\n\n---\n\n');
+
+  const messages = [
+    {
+      role: 'system',
+      content: 'You write research reports strictly from the numbered source notes you are given. ' +
+               'Every factual claim must be followed by the number of the source that supports it, like [1] or [2][3]. ' +
+               'Only cite numbers that exist in the notes. Do not use outside knowledge; ' +
+               'if the notes do not answer part of the question, say so. Answer in the language of the question.'
+    },
+    {
+      role: 'user',
+      content: `Question: ${question}\n\nSource notes:\n\n${material}\n\nWrite the report in markdown.`
+    }
+  ];
+
+  const { text } = await engine.callGemini(messages);
+  return text;
+}
+
+/**
+ * 执行多步调研
+ * @param {GeminiSearchSkill} skill - 已初始化的 skill 实例
+ * @param {Object} params - 已验证的调研参数
+ * @param {string} params.question - 调研问题
+ * @param {number} params.depth - 规划轮数
+ * @param {number} params.maxQueries - 每轮最多子查询数
+ * @param {number} params.maxPages - 最多获取的网页数
+ * @param {number} params.maxTokens - token 预算，按实际用量计算 (后端不返回用量时按字符数估算)
+ * @param {number} params.numResults - 每个子查询的搜索结果数
+ * @returns {Promise<Object>} 报告、引用来源及中间步骤
+ */
+export async function runResearch(skill, params) {
+  const { question, depth, maxQueries, maxPages, maxTokens, numResults } = params;
+  const engine = skill.searchEngine;
+
+  const steps = { plan: [], searches: [], fetches: [] };
+  const candidates = new Map();
+  let estimated = 0;
+
+  // 优先使用用量作用域中成功调用返回的实际 token 数 (含嵌套的 search / fetch)；有调用未返回用量时不低于字符数估算。
+  // 失败的请求和被重试的请求没有用量数据，不计入预算
+  const tokensUsed = () => {
+    const usage = currentUsage();
+    if (!usage) return estimated;
+    return usage.unreportedCalls === 0 ? usage.totalTokens : Math.max(usage.totalTokens, estimated);
+  };
+  const overBudget = () => tokensUsed() >= maxTokens;
+
+  // 1. 规划子查询并搜索，多轮时根据已有结果补充查询
+  for (let round = 1; round <= depth && !overBudget(); round++) {
+    const findings = [...candidates.values()];
+    let queries;
+    let planError = null;
+    try {
+      queries = await planQueries(engine, question, maxQueries, findings);
+    } catch (error) {
+      // 首轮规划失败时直接用原问题搜索
+      queries = round === 1 ? [question] : [];
+      planError = error.message;
+    }
+
+    steps.plan.push({ round, queries, ...(planError && { error: planError }) });
+
+    const searched = new Set(steps.searches.map(step => step.query.toLowerCase()));
+    queries = queries.filter(query => !searched.has(query.toLowerCase()));
+    if (queries.length === 0) {
+      break;
+    }
+
+    const searches = await Promise.all(queries.map(async (query) => {
+      try {
+        const result = await skill.execute('search', { query, numResults });
+        return { query, result };
+      } catch (error) {
+        return { query, error };
+      }
+    }));
+
+    for (const { query, result, error } of searches) {
+      if (error) {
+        steps.searches.push({ query, round, error: error.message });
+        continue;
+      }
+
+      const items = (result.results && Array.isArray(result.results.results)) ? result.results.results : [];
+      estimated += estimateTokens(JSON.stringify(items));
+
+      const urls = [];
+      items.forEach((item, rank) => {
+        const key = item && canonicalizeUrl(item.url);
+        if (!key) return;
+        urls.push(item.url);
+
+        const existing = candidates.get(key);
+        if (existing) {
+          existing.hits++;
+          existing.bestRank = Math.min(existing.bestRank, rank);
+          existing.grounded = existing.grounded || !!item.grounded;
+        } else {
+          candidates.set(key, {
+            url: item.url,
+            title: item.title || '',
+            grounded: !!item.grounded,
+            hits: 1,
+            bestRank: rank,
+            order: candidates.size
+          });
+        }
+      });
+
+      steps.searches.push({ query, round, resultCount: items.length, urls });
+    }
+  }
+
+  // 2. 按 有来源支撑 > 命中次数 > 排名 > 出现顺序 挑选网页
+  const selected = [...candidates.values()]
+    .sort((a, b) => (b.grounded - a.grounded) || (b.hits - a.hits) || (a.bestRank - b.bestRank) || (a.order - b.order))
+    .slice(0, maxPages);
+
+  if (selected.length === 0) {
+    throw new Error('Research found no candidate pages to fetch');
+  }
+
+  // 3. 分批并行获取网页，提取与问题相关的信息；预算用尽后不再获取剩余网页
+  const fetchPrompt = `Extract the facts, figures and statements from this page that are relevant to the question: "${question}". ` +
+                      'Be concise and quote key numbers exactly. Reply "NOT RELEVANT" if the page does not address the question.';
+
+  const sources = [];
+  for (let start = 0; start < selected.length; start += FETCH_BATCH_SIZE) {
+    if (overBudget()) {
+      for (const candidate of selected.slice(start)) {
+        steps.fetches.push({ url: candidate.url, success: false, skipped: true, error: 'token budget exhausted' });
+      }
+      break;
+    }
+
+    const fetched = await Promise.all(selected.slice(start, start + FETCH_BATCH_SIZE).map(async (candidate) => {
+      try {
+        const result = await skill.execute('fetch', { url: candidate.url, prompt: fetchPrompt });
+        return { candidate, result };
+      } catch (error) {
+        return { candidate, error };
+      }
+    }));
+
+    for (const { candidate, result, error } of fetched) {
+      if (error) {
+        steps.fetches.push({ url: candidate.url, success: false, error: error.message });
+        continue;
+      }
+
+      const notes = result.content || '';
+      const estimate = estimateTokens(notes) + Math.ceil(Math.min(result.contentLength || 0, engine.maxContentLength) / 4);
+      const reported = result.usage && result.usage.unreportedCalls === 0;
+      const relevant = !/^\s*NOT RELEVANT\s*\.?\s*$/i.test(notes);
+      estimated += estimate;
+
+      steps.fetches.push({
+        url: candidate.url,
+        finalUrl: result.finalUrl,
+        title: result.title || candidate.title,
+        success: true,
+        relevant,
+        included: relevant,
+        tokens: reported ? result.usage.totalTokens : estimate
+      });
+
+      if (relevant) {
+        sources.push({
+          index: sources.length + 1,
+          url: result.finalUrl || candidate.url,
+          title: result.title || candidate.title,
+          notes
+        });
+      }
+    }
+  }
+
+  if (sources.length === 0) {
+    throw new Error('Research could not retrieve any relevant page content');
+  }
+
+  // 4. 生成报告
+  const report = await synthesizeReport(engine, question, sources);
+  estimated += estimateTokens(report) + sources.reduce((sum, source) => sum + estimateTokens(source.notes), 0);
+
+  const cited = new Set();
+  for (const match of report.matchAll(/\[(\d+)\]/g)) {
+    const index = Number(match[1]);
+    if (index >= 1 && index <= sources.length) {
+      cited.add(index);
+    }
+  }
+
+  return {
+    report,
+    sources: sources.map(({ index, url, title }) => ({ index, url, title, cited: cited.has(index) })),
+    steps,
+    tokensUsed: tokensUsed()
+  };
+}
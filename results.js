@@ -0,0 +1,329 @@
+/**
+ * 搜索结果处理模块
+ * 容错解析模型输出的 JSON，并对搜索结果进行校验、规范化和去重
+ */
+
+import { normalizePublishedAt, isWithinTimeWindow } from './timerange.js';
+
+// 规范化 URL 时去除的跟踪参数
+const TRACKING_PARAMS = /^(utm_[a-z]+|gclid|fbclid|msclkid|mc_cid|mc_eid|spm|ref_src)$/i;
+
+const MAX_SNIPPET_LENGTH = 500;
+
+/**
+ * 搜索结果的 JSON Schema，用于 response_format: json_schema
+ */
+export const SEARCH_RESULTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          snippet: { type: 'string' },
+          url: { type: 'string' },
+          source: { type: 'string' },
+          publishedAt: { type: 'string' }
+        },
+        required: ['title', 'snippet', 'url', 'source', 'publishedAt'],
+        additionalProperties: false
+      }
+    },
+    summary: { type: 'string' }
+  },
+  required: ['results', 'summary'],
+  additionalProperties: false
+};
+
+/**
+ * 截取第一个完整的 JSON 对象或数组（跳过字符串内的括号）
+ * @private
+ */
+function extractJsonBlock(text) {
+  const start = text.search(/[{[]/);
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return null;
+      if (stack.length === 0) {
+        return text.slice(start, i + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 容错解析模型输出的 JSON
+ * 依次尝试：直接解析、去除 markdown 代码块、截取第一个完整 JSON 块、去除尾随逗号
+ * @param {string} text - 模型输出
+ * @returns {{value: any, repairs: Array<string>}} 解析结果及所做的修复
+ * @throws {Error} 无法解析时抛出
+ */
+export function parseJsonLoose(text) {
+  const source = String(text || '').trim();
+  const repairs = [];
+
+  try {
+    return { value: JSON.parse(source), repairs };
+  } catch (e) {
+    // 继续尝试修复
+  }
+
+  let candidate = source;
+
+  const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    candidate = fenced[1].trim();
+    repairs.push('stripped markdown code fence');
+  }
+
+  const block = extractJsonBlock(candidate);
+  if (block && block !== candidate) {
+    candidate = block;
+    repairs.push('removed text outside JSON');
+  }
+
+  try {
+    return { value: JSON.parse(candidate), repairs };
+  } catch (e) {
+    // 继续尝试修复
+  }
+
+  const withoutTrailingCommas = candidate.replace(/,\s*([}\]])/g, '$1');
+  if (withoutTrailingCommas !== candidate) {
+    repairs.push('removed trailing commas');
+    return { value: JSON.parse(withoutTrailingCommas), repairs };
+  }
+
+  return { value: JSON.parse(candidate), repairs };
+}
+
+/**
+ * 规范化 URL，用于去重比较
+ * 统一协议与主机名大小写，去除默认端口、hash、跟踪参数和路径末尾的斜杠
+ * @param {string} url - 原始 URL
+ * @returns {string|null} 规范化后的 URL，无效时返回 null
+ */
+export function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return null;
+  }
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(key)) {
+      parsed.searchParams.delete(key);
+    }
+  }
+  parsed.searchParams.sort();
+
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.href;
+}
+
+/**
+ * 提取域名（去除 www. 前缀）
+ * @param {string} url - URL
+ * @returns {string} 域名，无效时返回空字符串
+ */
+export function domainOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * 判断域名是否属于列表中的某个域名（包括其子域名）
+ * @param {string} domain - 待检查的域名
+ * @param {Array<string>} domains - 域名列表
+ * @returns {boolean}
+ */
+export function matchesDomain(domain, domains) {
+  return domains.some(item => domain === item || domain.endsWith(`.${item}`));
+}
+
+/**
+ * 修正单条结果的 URL
+ * @private
+ */
+function normalizeResultUrl(rawUrl, warnings) {
+  if (typeof rawUrl !== 'string' || !rawUrl.trim()) {
+    return null;
+  }
+
+  let url = rawUrl.trim();
+
+  // 缺少协议但看起来像域名时补全 https://
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(url) && /^(\/\/)?[a-z0-9-]+(\.[a-z0-9-]+)+(\/|$)/i.test(url)) {
+    url = `https://${url.replace(/^\/\//, '')}`;
+    warnings.push('added missing https:// scheme to url');
+  }
+
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return null;
+    }
+    if (parsed.href !== url) {
+      warnings.push('normalized url');
+    }
+    return parsed.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 清理文本字段：折叠空白并去除首尾空白
+ * @private
+ */
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * 校验并规范化搜索结果
+ * @param {Array} items - 模型返回的 results 数组
+ * @param {Object} options - 规范化选项
+ * @param {number} options.numResults - 最多保留的结果数
+ * @param {Array<string>} options.includeDomains - 只保留这些域名（含子域名）的结果
+ * @param {Array<string>} options.excludeDomains - 丢弃这些域名（含子域名）的结果
+ * @param {Object} options.timeWindow - 时间窗口，设置后每条结果附带 withinTimeRange 标记
+ * @returns {{results: Array, warnings: Array<string>}} 规范化后的结果（每条附带 warnings）及列表级警告
+ */
+export function normalizeSearchResults(items, options = {}) {
+  const { numResults = Infinity, includeDomains = [], excludeDomains = [], timeWindow = null } = options;
+  const results = [];
+  const warnings = [];
+  const seen = new Map();
+
+  items.forEach((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      warnings.push(`dropped result #${index + 1}: not an object`);
+      return;
+    }
+
+    const itemWarnings = [];
+    const url = normalizeResultUrl(item.url, itemWarnings);
+    if (!url) {
+      warnings.push(`dropped result #${index + 1}: missing or invalid url`);
+      return;
+    }
+
+    const canonical = canonicalizeUrl(url);
+    if (seen.has(canonical)) {
+      warnings.push(`dropped result #${index + 1}: duplicate of result #${seen.get(canonical)}`);
+      return;
+    }
+
+    const domain = domainOf(url);
+
+    if (includeDomains.length > 0 && !matchesDomain(domain, includeDomains)) {
+      warnings.push(`dropped result #${index + 1}: ${domain} is not in includeDomains`);
+      return;
+    }
+    if (matchesDomain(domain, excludeDomains)) {
+      warnings.push(`dropped result #${index + 1}: ${domain} is in excludeDomains`);
+      return;
+    }
+
+    let title = cleanText(item.title);
+    if (!title) {
+      title = domain;
+      itemWarnings.push('missing title, used domain');
+    }
+
+    let snippet = cleanText(item.snippet);
+    if (snippet !== item.snippet && typeof item.snippet === 'string' && snippet) {
+      itemWarnings.push('trimmed snippet whitespace');
+    }
+    if (snippet.length > MAX_SNIPPET_LENGTH) {
+      snippet = `${snippet.slice(0, MAX_SNIPPET_LENGTH - 1)}…`;
+      itemWarnings.push(`truncated snippet to ${MAX_SNIPPET_LENGTH} characters`);
+    }
+    if (!snippet) {
+      itemWarnings.push('missing snippet');
+    }
+
+    let source = cleanText(item.source);
+    if (!source) {
+      source = domain;
+      itemWarnings.push('missing source, derived from url');
+    }
+
+    const publishedAt = normalizePublishedAt(item.publishedAt);
+    if (!publishedAt && typeof item.publishedAt === 'string' && item.publishedAt.trim()) {
+      itemWarnings.push(`unrecognized publishedAt: ${item.publishedAt}`);
+    }
+
+    // 发布日期不在时间窗口内的结果保留但加以标记，没有发布日期时无法判断
+    let timeCheck = {};
+    if (timeWindow) {
+      const withinTimeRange = isWithinTimeWindow(publishedAt, timeWindow);
+      if (withinTimeRange === false) {
+        itemWarnings.push(`publishedAt ${publishedAt} is outside timeRange ${timeWindow.input}`);
+      }
+      timeCheck = { withinTimeRange };
+    }
+
+    results.push({
+      ...item,
+      title,
+      snippet,
+      url,
+      source,
+      domain,
+      publishedAt,
+      ...timeCheck,
+      warnings: itemWarnings
+    });
+    seen.set(canonical, index + 1);
+  });
+
+  if (results.length > numResults) {
+    warnings.push(`truncated ${results.length - numResults} extra results to numResults=${numResults}`);
+    results.length = numResults;
+  }
+
+  return { results, warnings };
+}
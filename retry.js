@@ -0,0 +1,187 @@
+/**
+ * 重试与熔断模块
+ * 提供可配置的重试策略（指数退避、随机抖动、Retry-After）和上游连续故障时快速失败的熔断器
+ */
+
+import { CircuitOpenError } from './errors.js';
+
+/**
+ * 默认重试策略
+ * - attempts: 最多尝试次数（含第一次）
+ * - baseDelay: 第一次重试前的基础延迟 (毫秒)
+ * - factor: 每次重试延迟的增长倍数
+ * - maxDelay: 单次延迟上限 (毫秒)
+ * - jitter: 随机抖动比例 (0-1)，实际延迟在 [delay * (1 - jitter), delay] 之间
+ * - maxRetryAfter: 服务端 Retry-After 超过该值 (毫秒) 时不再等待，直接失败
+ */
+export const DEFAULT_RETRY_POLICY = {
+  attempts: 3,
+  baseDelay: 1000,
+  factor: 2,
+  maxDelay: 30000,
+  jitter: 0.5,
+  maxRetryAfter: 60000
+};
+
+// 视为网络错误的系统错误码
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN',
+  'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT'
+]);
+
+/**
+ * 合并重试策略
+ * @param {Object} policy - 部分重试策略
+ * @returns {Object} 完整的重试策略
+ */
+export function resolveRetryPolicy(policy = {}) {
+  const resolved = { ...DEFAULT_RETRY_POLICY };
+  for (const [name, value] of Object.entries(policy)) {
+    if (value !== undefined && value !== null) {
+      resolved[name] = value;
+    }
+  }
+
+  if (!Number.isInteger(resolved.attempts) || resolved.attempts < 1) {
+    throw new Error('Retry attempts must be a positive integer');
+  }
+  if (resolved.jitter < 0 || resolved.jitter > 1) {
+    throw new Error('Retry jitter must be between 0 and 1');
+  }
+
+  return resolved;
+}
+
+/**
+ * 解析 Retry-After 响应头
+ * @param {string|null} value - 响应头的值（秒数或 HTTP 日期）
+ * @param {number} now - 当前时间戳 (默认: Date.now())
+ * @returns {number|null} 需要等待的毫秒数，无法解析时返回 null
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * 计算第 attempt 次失败后的等待时间
+ * 有 Retry-After 时优先使用，否则按指数退避并加入随机抖动
+ * @param {Object} policy - 重试策略
+ * @param {number} attempt - 已失败的次数（从 1 开始）
+ * @param {number|null} retryAfter - 服务端要求的等待时间 (毫秒)
+ * @returns {number} 等待的毫秒数
+ */
+export function computeRetryDelay(policy, attempt, retryAfter = null) {
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return retryAfter;
+  }
+
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+  return Math.round(delay * (1 - policy.jitter * Math.random()));
+}
+
+/**
+ * 判断是否为网络层错误（连接失败、连接重置、DNS 失败等）
+ * 按错误码判断，不依赖错误信息文本
+ * @param {Error} error - 错误
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  if (!error) return false;
+  if (NETWORK_ERROR_CODES.has(error.code)) return true;
+  if (error.cause && NETWORK_ERROR_CODES.has(error.cause.code)) return true;
+  // fetch 在网络层失败时抛出带 cause 的 TypeError
+  return error.name === 'TypeError' && !!error.cause;
+}
+
+/**
+ * 熔断器
+ * 连续 threshold 次上游故障 (5xx、超时、网络错误) 后打开，resetTimeout 内的请求直接失败；
+ * 之后进入半开状态放行一个试探请求，成功则关闭，失败则重新打开
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - 熔断器选项
+   * @param {number} options.threshold - 触发熔断的连续失败次数 (默认: 5)
+   * @param {number} options.resetTimeout - 熔断持续时间 (毫秒, 默认: 30000)
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * 当前状态
+   * @returns {string} closed、open 或 half-open
+   */
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.resetTimeout ? 'half-open' : 'open';
+  }
+
+  /**
+   * 请求前检查，熔断器打开时抛出 CircuitOpenError
+   * @throws {CircuitOpenError}
+   */
+  check() {
+    const state = this.state;
+
+    if (state === 'open' || (state === 'half-open' && this.probing)) {
+      const retryAfter = Math.max(0, this.openedAt + this.resetTimeout - Date.now());
+      throw new CircuitOpenError(
+        `Circuit breaker open after ${this.failures} consecutive upstream failures, retry in ${Math.ceil(retryAfter / 1000)}s`,
+        { retryAfter, attempts: 0 }
+      );
+    }
+
+    if (state === 'half-open') {
+      this.probing = true;
+    }
+  }
+
+  /**
+   * 记录成功请求，关闭熔断器
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * 请求没有得到上游的成功或故障结果时 (如 4xx 响应或本地错误) 调用，只释放半开状态下的试探名额，不改变熔断状态
+   */
+  release() {
+    this.probing = false;
+  }
+
+  /**
+   * 记录上游失败
+   */
+  recordFailure() {
+    this.failures++;
+    if (this.probing || this.failures >= this.threshold) {
+      this.openedAt = Date.now();
+    }
+    this.probing = false;
+  }
+
+  /**
+   * 熔断器统计
+   * @returns {{state: string, failures: number}}
+   */
+  stats() {
+    return { state: this.state, failures: this.failures };
+  }
+}
@@ -0,0 +1,261 @@
+/**
+ * JSON Schema 校验模块
+ * 实现 extract 命令所需的 JSON Schema 常用子集，不依赖第三方库
+ */
+
+import { ValidationError } from './errors.js';
+
+const FORMAT_CHECKS = {
+  'date': value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !isNaN(Date.parse(value)),
+  'email': value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'uri': value => {
+    try {
+      new URL(value);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+};
+
+// 会影响校验结果但没有实现的关键字，出现时直接拒绝，避免被静默忽略
+const UNSUPPORTED_KEYWORDS = [
+  '$ref', '$defs', 'definitions', 'not', 'if', 'then', 'else', 'patternProperties', 'propertyNames',
+  'dependencies', 'dependentRequired', 'dependentSchemas', 'prefixItems', 'contains', 'uniqueItems',
+  'minProperties', 'maxProperties', 'multipleOf', 'unevaluatedProperties', 'unevaluatedItems'
+];
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+/**
+ * 返回值对应的 JSON 类型
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * 判断值是否符合声明的类型（integer 也属于 number）
+ * @private
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * 深度比较，用于 enum / const
+ * @private
+ */
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * 按 JSON Schema 校验数据
+ * 支持 type、enum、const、properties、required、additionalProperties、items、
+ * min/maxItems、min/maxLength、pattern、format、minimum/maximum、exclusiveMinimum/Maximum、anyOf、oneOf、allOf
+ * @param {any} value - 待校验的数据
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - 当前路径，用于错误信息 (默认: $)
+ * @returns {Array<string>} 错误列表，为空表示校验通过
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [`${path}: no value is allowed here`];
+
+  const errors = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path}: must match pattern ${schema.pattern}`);
+    }
+    if (schema.format && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](value)) {
+      errors.push(`${path}: must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(`${path}.${name}: is required`);
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name] !== undefined) {
+        errors.push(...validateAgainstSchema(propertyValue, properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name}: is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(propertyValue, schema.additionalProperties, `${path}.${name}`));
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const subschema of schema.allOf) {
+      errors.push(...validateAgainstSchema(value, subschema, path));
+    }
+  }
+
+  if (Array.isArray(schema.anyOf)) {
+    const matches = schema.anyOf.some(subschema => validateAgainstSchema(value, subschema, path).length === 0);
+    if (!matches) {
+      errors.push(`${path}: must match at least one schema in anyOf`);
+    }
+  }
+
+  if (Array.isArray(schema.oneOf)) {
+    const count = schema.oneOf.filter(subschema => validateAgainstSchema(value, subschema, path).length === 0).length;
+    if (count !== 1) {
+      errors.push(`${path}: must match exactly one schema in oneOf (matched ${count})`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 递归检查子 schema
+ * @private
+ */
+function checkSubschema(schema, path) {
+  if (schema === true || schema === false) return;
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new ValidationError(`Schema at ${path} must be a JSON object or boolean`);
+  }
+
+  const unsupported = UNSUPPORTED_KEYWORDS.find(keyword => schema[keyword] !== undefined);
+  if (unsupported) {
+    throw new ValidationError(`Unsupported keyword "${unsupported}" in schema at ${path}`);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const invalid = types.find(type => !TYPES.includes(type));
+    if (invalid !== undefined) {
+      throw new ValidationError(`Invalid type ${JSON.stringify(invalid)} in schema at ${path}`);
+    }
+  }
+
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    throw new ValidationError(`"enum" in schema at ${path} must be an array`);
+  }
+  if (schema.required !== undefined && !Array.isArray(schema.required)) {
+    throw new ValidationError(`"required" in schema at ${path} must be an array`);
+  }
+
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern, 'u');
+    } catch (e) {
+      throw new ValidationError(`Invalid pattern in schema at ${path}: ${schema.pattern}`);
+    }
+  }
+
+  if (schema.properties !== undefined) {
+    if (!schema.properties || typeof schema.properties !== 'object' || Array.isArray(schema.properties)) {
+      throw new ValidationError(`"properties" in schema at ${path} must be an object`);
+    }
+    for (const [name, subschema] of Object.entries(schema.properties)) {
+      checkSubschema(subschema, `${path}.properties.${name}`);
+    }
+  }
+
+  if (schema.additionalProperties !== undefined) {
+    checkSubschema(schema.additionalProperties, `${path}.additionalProperties`);
+  }
+
+  if (schema.items !== undefined) {
+    if (Array.isArray(schema.items)) {
+      throw new ValidationError(`Tuple-form "items" in schema at ${path} is not supported`);
+    }
+    checkSubschema(schema.items, `${path}.items`);
+  }
+
+  for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+    if (schema[keyword] === undefined) continue;
+    if (!Array.isArray(schema[keyword])) {
+      throw new ValidationError(`"${keyword}" in schema at ${path} must be an array`);
+    }
+    schema[keyword].forEach((subschema, index) => checkSubschema(subschema, `${path}.${keyword}[${index}]`));
+  }
+}
+
+/**
+ * 检查 schema 本身是否可用
+ * 递归检查所有子 schema：正则无效、关键字格式错误或使用了未实现的关键字 (如 $ref、not、if/then/else) 时拒绝
+ * @param {any} schema - 待检查的 schema
+ * @throws {ValidationError} schema 无效时抛出
+ */
+export function assertValidSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new ValidationError('Schema must be a JSON object');
+  }
+
+  if (schema.type === undefined && schema.properties === undefined &&
+      !schema.anyOf && !schema.oneOf && !schema.allOf && !schema.enum) {
+    throw new ValidationError('Schema must declare at least one of type, properties, enum, anyOf, oneOf or allOf');
+  }
+
+  checkSubschema(schema, '$');
+}
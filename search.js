@@ -1,23 +1,94 @@
 /**
  * Gemini Search 核心模块
- * 使用 Gemini 2.5 Flash Lite 的 OpenAI 兼容协议实现搜索功能
+ * 通过 OpenAI 兼容协议或 Gemini 原生 generateContent 协议调用 Gemini 实现搜索功能
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
+import { fetchPage, resolveRedirect } from './fetcher.js';
+import { annotateResults, resolveGroundingSources } from './grounding.js';
+import { createProvider } from './providers.js';
+import KeyPool from './keys.js';
+import UsageTracker from './usage.js';
+import logger from './logger.js';
+import { GeminiSearchError, AuthError, RateLimitError, TimeoutError, UpstreamError, ValidationError, prefixError } from './errors.js';
+import { resolveRetryPolicy, parseRetryAfter, computeRetryDelay, isNetworkError, CircuitBreaker } from './retry.js';
+import { readSseData } from './sse.js';
+import { SEARCH_RESULTS_SCHEMA, parseJsonLoose, normalizeSearchResults } from './results.js';
+import { validateAgainstSchema } from './schema.js';
+import { parseTimeRange, formatTimeWindow, timeWindowPlaceholders } from './timerange.js';
+
+// 当前调用的配置覆盖 (model、timeout、temperature) 与 fixture 别名
+const callOptionsStorage = new AsyncLocalStorage();
+
+/**
+ * 在单次调用的配置覆盖下执行函数
+ * 覆盖只对函数内（包括重试和嵌套调用）的请求生效，不修改 GeminiSearch 实例；嵌套时与外层覆盖合并
+ * @param {Object} options - 配置覆盖
+ * @param {string} options.model - 模型名称
+ * @param {number} options.timeout - 超时时间 (毫秒)
+ * @param {number} options.temperature - 采样温度
+ * @param {Object} options.fixtureAliases - 录制 / 回放计算 fixture 键时替换为占位符的文字
+ * @param {Function} fn - 要执行的函数
+ * @returns {any} 函数的返回值
+ */
+export function withCallOptions(options, fn) {
+  const merged = { ...(callOptionsStorage.getStore() || {}) };
+  for (const [name, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null) {
+      merged[name] = value;
+    }
+  }
+  return callOptionsStorage.run(merged, fn);
+}
+
+/**
+ * 在单次调用的配置覆盖下迭代流式事件
+ * 异步生成器在每次 next() 时才继续执行，因此每一步都需要重新进入覆盖作用域
+ * @param {Object} options - 配置覆盖，同 withCallOptions
+ * @param {AsyncIterable} stream - 流式事件
+ * @returns {AsyncGenerator} 原样产出 stream 的事件
+ */
+export async function* streamWithCallOptions(options, stream) {
+  const iterator = stream[Symbol.asyncIterator]();
+  try {
+    while (true) {
+      const { value, done } = await withCallOptions(options, () => iterator.next());
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    await iterator.return();
+  }
+}
+
 class GeminiSearch {
   /**
    * @param {string} baseUrl - API 基础 URL
-   * @param {string} apiKey - API 密钥
+   * @param {string|Array<string>} apiKey - API 密钥，传入数组时在多个密钥之间轮换
    * @param {Object} options - 配置选项
    * @param {string} options.model - 模型名称 (默认: gemini-2.5-flash-lite)
    * @param {number} options.timeout - 超时时间 (毫秒, 默认: 30000)
-   * @param {number} options.retryAttempts - 重试次数 (默认: 3)
-   * @param {number} options.retryDelay - 重试延迟基数 (毫秒, 默认: 1000)
+   * @param {number} options.temperature - 采样温度 (默认: 0.7)
+   * @param {number} options.retryAttempts - 最多尝试次数 (默认: 3)，等同于 retry.attempts
+   * @param {number} options.retryDelay - 重试延迟基数 (毫秒, 默认: 1000)，等同于 retry.baseDelay
+   * @param {Object} options.retry - 重试策略，字段见 DEFAULT_RETRY_POLICY
+   * @param {Object|false} options.circuitBreaker - 熔断器选项 { threshold, resetTimeout }，传入 false 关闭熔断
+   * @param {number} options.maxContentLength - 发送给模型的网页正文最大字符数 (默认: 100000)
+   * @param {string} options.structuredOutput - 结构化输出方式 (auto、json_schema 或 json_object, 默认: auto)
+   * @param {string} options.provider - 后端协议 (openai 或 gemini, 默认: openai)
+   * @param {string} options.apiKeyLocation - gemini 后端的密钥位置 (header 或 query, 默认: header)
+   * @param {string} options.keyRotation - 多密钥轮换策略 (round-robin 或 least-used, 默认: round-robin)
+   * @param {UsageTracker} options.usageTracker - token 用量统计器 (默认: 使用默认价格表新建)
+   * @param {Logger} options.logger - 日志器 (默认: 共用日志器的 search 子日志器)
+   * @param {FixtureStore} options.fixtures - 录制 / 回放存储，设置后模型请求和网页下载经由 fixture (默认: 无)
+   * @param {UrlPolicy} options.urlPolicy - 下载网页时的 URL 安全策略 (默认: 不检查)
    */
   constructor(baseUrl, apiKey, options = {}) {
     if (!baseUrl) {
       throw new Error('GEMINI_BASE_URL is required');
     }
-    if (!apiKey) {
+    const apiKeys = (Array.isArray(apiKey) ? apiKey : [apiKey]).filter(Boolean);
+    if (apiKeys.length === 0) {
       throw new Error('GEMINI_API_KEY is required');
     }
 
@@ -32,15 +103,36 @@ class GeminiSearch {
       throw new Error(`Invalid GEMINI_BASE_URL format: ${e.message}`);
     }
 
-    this.apiKey = apiKey;
+    this.logger = options.logger || logger.child('search');
+    apiKeys.forEach(key => this.logger.addSecret(key));
+    this.keyPool = new KeyPool(apiKeys, { strategy: options.keyRotation });
+    this.usage = options.usageTracker || new UsageTracker();
     this.model = options.model || 'gemini-2.5-flash-lite';
     this.timeout = options.timeout || 30000;
-    this.retryAttempts = options.retryAttempts || 3;
-    this.retryDelay = options.retryDelay || 1000;
+    this.temperature = options.temperature ?? 0.7;
+    this.retryPolicy = resolveRetryPolicy({
+      attempts: options.retryAttempts,
+      baseDelay: options.retryDelay,
+      ...options.retry
+    });
+    this.circuitBreaker = new CircuitBreaker(options.circuitBreaker === false
+      ? { threshold: Infinity }
+      : options.circuitBreaker);
+    this.maxContentLength = options.maxContentLength || 100000;
+    this.structuredOutput = options.structuredOutput || 'auto';
+    // 后端是否支持 json_schema，首次请求后确定
+    this.jsonSchemaSupported = null;
+    this.provider = createProvider(options.provider || 'openai', {
+      baseUrl: this.baseUrl,
+      apiKeyLocation: options.apiKeyLocation
+    });
+    this.fixtures = options.fixtures || null;
+    this.urlPolicy = options.urlPolicy || null;
   }
 
   /**
-   * 更新模型名称
+   * 更新实例的默认模型，影响之后的所有调用
+   * 只想改变单次调用的模型时使用 withCallOptions
    * @param {string} model - 模型名称
    */
   setModel(model) {
@@ -49,29 +141,25 @@ class GeminiSearch {
     }
   }
 
+  /**
+   * 当前调用生效的配置：withCallOptions 设置的值优先，其余使用实例默认值
+   * @returns {{model: string, timeout: number, temperature: number}}
+   */
+  resolveCallOptions() {
+    const overrides = callOptionsStorage.getStore() || {};
+    return {
+      model: overrides.model || this.model,
+      timeout: overrides.timeout || this.timeout,
+      temperature: overrides.temperature ?? this.temperature
+    };
+  }
+
   /**
    * 记录日志
    * @private
    */
   _log(level, message, data = null) {
-    const timestamp = new Date().toISOString();
-
-    // 在开发环境下输出日志
-    if (process.env.NODE_ENV !== 'production') {
-      const logMethod = level === 'error' ? console.error :
-                        level === 'warn' ? console.warn : console.log;
-
-      let displayData = '';
-      if (data) {
-        if (data instanceof Error) {
-          displayData = `\n${data.stack}`;
-        } else {
-          displayData = `\n${JSON.stringify(data, null, 2)}`;
-        }
-      }
-
-      logMethod(`[${timestamp}] [${level.toUpperCase()}] ${message}${displayData}`);
-    }
+    this.logger.log(level, message, data);
   }
 
   /**
@@ -83,122 +171,338 @@ class GeminiSearch {
   }
 
   /**
-   * 调用 Gemini API
+   * 通过后端适配器构建请求
    * @private
    */
-  async callGemini(messages, tools = null, responseFormat = null, attempt = 1) {
-    const url = `${this.baseUrl}/v1/chat/completions`;
+  _buildRequest(apiKey, messages, tools, responseFormat, stream = false) {
+    const { model, temperature } = this.resolveCallOptions();
+    return this.provider.buildRequest({
+      apiKey,
+      model,
+      messages,
+      tools,
+      responseFormat,
+      temperature,
+      stream
+    });
+  }
 
-    const requestBody = {
-      model: this.model,
-      messages: messages,
-      temperature: 0.7
-    };
+  /**
+   * 发送一次请求，非 2xx 响应转换为对应的错误类型
+   * 设置了 fixtures 时由其录制响应或从 fixture 回放
+   * @private
+   */
+  async _send(request, signal) {
+    const send = () => fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal
+    });
+    const { fixtureAliases } = callOptionsStorage.getStore() || {};
+    const response = this.fixtures ? await this.fixtures.model(request, send, fixtureAliases) : await send();
 
-    if (tools) {
-      requestBody.tools = tools;
+    if (response.ok) {
+      return response;
     }
 
-    if (responseFormat) {
-      requestBody.response_format = responseFormat;
+    const errorBody = await response.text();
+    this._log('error', 'API request failed', {
+      status: response.status,
+      statusText: response.statusText,
+      body: errorBody
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      throw new AuthError(undefined, { status: response.status });
     }
 
-    this._log('debug', `API Request (attempt ${attempt}/${this.retryAttempts})`, {
-      url: this.baseUrl,
-      model: this.model,
-      messageCount: messages.length,
-      hasTools: !!tools,
-      responseFormat
+    if (response.status === 429) {
+      throw new RateLimitError(undefined, {
+        retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+      });
+    }
+
+    throw new UpstreamError(`API request failed with status ${response.status}: ${response.statusText}`, {
+      status: response.status
     });
+  }
+
+  /**
+   * 将超时和网络错误转换为对应的错误类型
+   * @private
+   */
+  _classifyError(error, timeoutMessage) {
+    if (error instanceof GeminiSearchError) {
+      return error;
+    }
+    if (error.name === 'AbortError') {
+      return new TimeoutError(timeoutMessage, { cause: error });
+    }
+    if (isNetworkError(error)) {
+      return new UpstreamError(`Network error: ${(error.cause && error.cause.message) || error.message}`, {
+        code: 'NETWORK_ERROR',
+        retryable: true,
+        cause: error
+      });
+    }
+    return error;
+  }
 
-    // 添加超时控制
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+  /**
+   * 记录失败请求对密钥池和熔断器的影响，并判断是否应立即切换密钥
+   * @private
+   * @returns {boolean} 是否切换到其他密钥立即重试
+   */
+  _recordFailure(key, error) {
+    // fixture 未命中、URL 被拒绝等本地错误没有到达上游，不影响密钥状态和熔断器
+    const reachedUpstream = error instanceof AuthError || error instanceof RateLimitError ||
+                            error instanceof UpstreamError || error instanceof TimeoutError;
+    if (!reachedUpstream) {
+      this.circuitBreaker.release();
+      return false;
+    }
 
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal
+    this.keyPool.reportFailure(key, error.status === 403 ? 401 : error.status || undefined);
+
+    // 上游不可用 (5xx、超时、网络错误) 计入熔断器；4xx 响应不算故障，但也只有成功的响应才会关闭熔断器
+    if (error.status >= 500 || error instanceof TimeoutError || error.code === 'NETWORK_ERROR') {
+      this.circuitBreaker.recordFailure();
+    } else {
+      this.circuitBreaker.release();
+    }
+
+    // 401 停用当前密钥，429 让当前密钥冷却；还有其他可用密钥时立即切换，不计入重试次数
+    return (error instanceof AuthError || error instanceof RateLimitError) && this.keyPool.hasAvailable();
+  }
+
+  /**
+   * 计算重试等待时间，不应重试时返回 null
+   * @private
+   */
+  _retryDelay(error, attempt) {
+    // 熔断器已打开时不再重试，直接抛出真实的上游错误
+    if (!error.retryable || attempt >= this.retryPolicy.attempts || this.circuitBreaker.state === 'open') {
+      return null;
+    }
+
+    const retryAfter = error.retryAfter ?? null;
+    if (retryAfter !== null && retryAfter > this.retryPolicy.maxRetryAfter) {
+      return null;
+    }
+
+    return computeRetryDelay(this.retryPolicy, attempt, retryAfter);
+  }
+
+  /**
+   * 调用 Gemini API
+   * 按重试策略处理 429 (遵循 Retry-After)、5xx、超时和网络错误，失败时抛出带 code / status / retryable / attempts 的错误
+   * @private
+   * @returns {Promise<{text: string, usage: Object|null, grounding: Object|null}>} 模型输出文本、token 用量及引用溯源信息
+   */
+  async callGemini(messages, tools = null, responseFormat = null) {
+    const { model, timeout } = this.resolveCallOptions();
+
+    for (let attempt = 1; ; attempt++) {
+      this.circuitBreaker.check();
+
+      const key = this.keyPool.acquire();
+      const request = this._buildRequest(key.key, messages, tools, responseFormat);
+
+      this._log('debug', `API Request (attempt ${attempt}/${this.retryPolicy.attempts})`, {
+        url: this.baseUrl,
+        provider: this.provider.name,
+        model,
+        messageCount: messages.length,
+        hasTools: !!tools,
+        responseFormat
       });
 
-      clearTimeout(timeoutId);
+      // 添加超时控制
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeout);
 
-      if (!response.ok) {
-        const errorBody = await response.text();
-        this._log('error', `API request failed`, {
-          status: response.status,
-          statusText: response.statusText,
-          body: errorBody
-        });
+      try {
+        const response = await this._send(request, controller.signal);
 
-        // 处理特定错误码
-        if (response.status === 401) {
-          throw new Error('Authentication failed: Invalid API key');
-        } else if (response.status === 429) {
-          // 429 也进行重试，因为可能是配额瞬时限制
-          if (attempt < this.retryAttempts) {
-            const delay = this.retryDelay * Math.pow(2, attempt - 1);
-            this._log('warn', `Rate limited, retrying in ${delay}ms...`);
-            await this._delay(delay);
-            return this.callGemini(messages, tools, responseFormat, attempt + 1);
-          }
-          throw new Error('Rate limit exceeded: Too many requests');
-        } else if (response.status >= 500) {
-          // 服务器错误，尝试重试
-          if (attempt < this.retryAttempts) {
-            const delay = this.retryDelay * Math.pow(2, attempt - 1);
-            this._log('warn', `Server error, retrying in ${delay}ms...`);
-            await this._delay(delay);
-            return this.callGemini(messages, tools, responseFormat, attempt + 1);
+        this.keyPool.reportSuccess(key);
+        this.circuitBreaker.recordSuccess();
+
+        let result;
+        try {
+          result = this.provider.parseResponse(await response.json());
+        } catch (error) {
+          if (error.name === 'AbortError') {
+            throw error;
           }
+          this._log('error', 'Invalid API response format', { error: error.message });
+          throw new UpstreamError(error.message, { code: 'INVALID_RESPONSE', status: response.status, cause: error });
+        }
+
+        this._log('debug', 'API request successful', { usage: result.usage });
+        this.usage.record(model, result.usage);
+
+        return result;
+      } catch (rawError) {
+        const error = this._classifyError(rawError, `Request timeout after ${timeout}ms`);
+        error.attempts = attempt;
+
+        if (error.code === 'INVALID_RESPONSE') {
+          throw error;
+        }
+
+        if (this._recordFailure(key, error)) {
+          this._log('warn', `API key rejected with status ${error.status}, switching to next key`);
+          attempt--;
+          continue;
         }
 
-        throw new Error(`API request failed with status ${response.status}: ${response.statusText}`);
+        const delay = this._retryDelay(error, attempt);
+        if (delay === null) {
+          throw error;
+        }
+
+        this._log('warn', `${error.message}, retrying in ${delay}ms...`, { code: error.code, attempt });
+        await this._delay(delay);
+      } finally {
+        clearTimeout(timeoutId);
       }
+    }
+  }
 
-      const data = await response.json();
+  /**
+   * 请求符合 JSON Schema 的结构化输出
+   * 默认优先使用 response_format: json_schema，后端不支持 (返回 400) 时回退到 json_object 并记住结果
+   * @private
+   * @param {Object} options - 请求选项
+   * @param {boolean} options.strict - 是否要求后端严格遵循 schema (默认: true)，任意用户 schema 应使用 false
+   */
+  async callGeminiStructured(messages, tools, name, schema, options = {}) {
+    const { strict = true } = options;
+    const jsonSchemaFormat = {
+      type: 'json_schema',
+      json_schema: { name, strict, schema }
+    };
 
-      if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-        this._log('error', 'Invalid API response format', data);
-        throw new Error('Invalid API response format: missing choices or message');
+    if (this.structuredOutput === 'json_schema') {
+      return this.callGemini(messages, tools, jsonSchemaFormat);
+    }
+
+    if (this.structuredOutput === 'auto' && this.jsonSchemaSupported !== false) {
+      try {
+        const response = await this.callGemini(messages, tools, jsonSchemaFormat);
+        this.jsonSchemaSupported = true;
+        return response;
+      } catch (error) {
+        if (error.status !== 400) {
+          throw error;
+        }
+        this._log('warn', 'json_schema response format rejected, falling back to json_object', { error: error.message });
+        const response = await this.callGemini(messages, tools, { type: 'json_object' });
+        this.jsonSchemaSupported = false;
+        return response;
       }
+    }
 
-      this._log('debug', 'API request successful');
+    return this.callGemini(messages, tools, { type: 'json_object' });
+  }
 
-      return data.choices[0].message.content;
-    } catch (error) {
-      clearTimeout(timeoutId);
+  /**
+   * 以流式方式调用 Gemini API
+   * 超时作用于相邻两块数据之间（空闲超时），只有在收到第一段内容之前才会重试
+   * @private
+   * @returns {AsyncGenerator<string>} 模型输出的增量文本
+   */
+  async *callGeminiStream(messages, tools = null, responseFormat = null) {
+    const { model, timeout } = this.resolveCallOptions();
+
+    for (let attempt = 1; ; attempt++) {
+      this.circuitBreaker.check();
+
+      const key = this.keyPool.acquire();
+      const request = this._buildRequest(key.key, messages, tools, responseFormat, true);
+
+      this._log('debug', `API Stream Request (attempt ${attempt}/${this.retryPolicy.attempts})`, {
+        url: this.baseUrl,
+        provider: this.provider.name,
+        model,
+        messageCount: messages.length,
+        hasTools: !!tools
+      });
+
+      const controller = new AbortController();
+      let timeoutId = setTimeout(() => controller.abort(), timeout);
+      const resetIdleTimeout = () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => controller.abort(), timeout);
+      };
+      let received = false;
+      let usage = null;
+
+      try {
+        const response = await this._send(request, controller.signal);
+
+        this.keyPool.reportSuccess(key);
+        this.circuitBreaker.recordSuccess();
+        resetIdleTimeout();
+
+        for await (const data of readSseData(response.body, { onChunk: resetIdleTimeout })) {
+          if (data === '[DONE]') {
+            break;
+          }
+
+          let chunk;
+          try {
+            chunk = JSON.parse(data);
+          } catch (e) {
+            this._log('warn', 'Skipping malformed stream chunk', { data });
+            continue;
+          }
 
-      if (error.name === 'AbortError') {
-        this._log('error', 'Request timeout', { timeout: this.timeout });
+          if (chunk.error) {
+            throw new UpstreamError(`Stream error: ${chunk.error.message || JSON.stringify(chunk.error)}`, {
+              code: 'STREAM_ERROR'
+            });
+          }
 
-        // 超时重试
-        if (attempt < this.retryAttempts) {
-          const delay = this.retryDelay * Math.pow(2, attempt - 1);
-          this._log('warn', `Timeout, retrying in ${delay}ms...`);
-          await this._delay(delay);
-          return this.callGemini(messages, tools, responseFormat, attempt + 1);
+          const { text, usage: chunkUsage } = this.provider.parseStreamChunk(chunk);
+          if (chunkUsage) {
+            usage = chunkUsage;
+          }
+          if (text) {
+            received = true;
+            yield text;
+          }
         }
 
-        throw new Error(`Request timeout after ${this.timeout}ms and ${this.retryAttempts} attempts`);
-      }
+        this._log('debug', 'API stream completed', { usage });
+        this.usage.record(model, usage);
+        return;
+      } catch (rawError) {
+        const error = this._classifyError(rawError, `Stream idle timeout: no data received for ${timeout}ms`);
+        error.attempts = attempt;
 
-      // 网络错误重试
-      if (error.message.includes('fetch failed') || error.message.includes('network') || error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT') {
-        if (attempt < this.retryAttempts) {
-          const delay = this.retryDelay * Math.pow(2, attempt - 1);
-          this._log('warn', `Network error, retrying in ${delay}ms...`, { error: error.message });
-          await this._delay(delay);
-          return this.callGemini(messages, tools, responseFormat, attempt + 1);
+        if (error.code === 'STREAM_ERROR') {
+          throw error;
         }
-      }
 
-      throw error;
+        if (this._recordFailure(key, error)) {
+          this._log('warn', `API key rejected with status ${error.status}, switching to next key`);
+          attempt--;
+          continue;
+        }
+
+        // 已输出内容后不再重试，避免重复输出
+        const delay = received ? null : this._retryDelay(error, attempt);
+        if (delay === null) {
+          throw error;
+        }
+
+        this._log('warn', `${error.message}, retrying in ${delay}ms...`, { code: error.code, attempt });
+        await this._delay(delay);
+      } finally {
+        clearTimeout(timeoutId);
+      }
     }
   }
 
@@ -207,7 +511,12 @@ class GeminiSearch {
    * @param {string} query - 搜索查询
    * @param {Object} options - 搜索选项
    * @param {number} options.numResults - 结果数量 (1-100)
-   * @param {string} options.timeRange - 时间范围
+   * @param {string} options.timeRange - 时间范围，格式见 timerange.js
+   * @param {Object} options.timeWindow - 已解析的时间窗口，未传入时由 timeRange 按当前时间解析
+   * @param {Array<string>} options.includeDomains - 只搜索这些域名，返回结果中其他域名的条目会被丢弃
+   * @param {Array<string>} options.excludeDomains - 排除这些域名，返回结果中这些域名的条目会被丢弃
+   * @param {string} options.language - 结果语言代码 (如 zh-CN)
+   * @param {string} options.region - 结果地区代码 (如 US)
    * @param {boolean} options.json - 是否返回结构化 JSON
    * @returns {Promise<any>} 搜索结果
    */
@@ -215,71 +524,127 @@ class GeminiSearch {
     try {
       this._log('info', 'Starting search', { query, options });
 
-      const { numResults = 10, timeRange, json = true } = options;
+      const { numResults = 10, includeDomains = [], excludeDomains = [], json = true } = options;
 
       // 验证 numResults 边界
       const validatedNumResults = Math.max(1, Math.min(100, parseInt(numResults) || 10));
+      const timeWindow = options.timeWindow || parseTimeRange(options.timeRange);
 
-      const prompt = this.buildSearchPrompt(query, validatedNumResults, timeRange, json);
+      const prompt = this.buildSearchPrompt(query, validatedNumResults, { ...options, timeWindow }, json);
 
-      const responseFormat = json ? { type: "json_object" } : null;
+      const messages = [{ role: 'user', content: prompt }];
 
-      // 使用 Google 搜索工具配置
-      const text = await this.callGemini([
-        { role: 'user', content: prompt }
-      ], [{ google_search: {} }], responseFormat);
+      // 使用 Google 搜索工具配置；相对时间范围换算出的日期按占位符计算 fixture 键
+      const { text, grounding } = await withCallOptions({ fixtureAliases: timeWindowPlaceholders(timeWindow) }, () => (json
+        ? this.callGeminiStructured(messages, [{ google_search: {} }], 'search_results', SEARCH_RESULTS_SCHEMA)
+        : this.callGemini(messages, [{ google_search: {} }])));
 
       this._log('info', 'Search completed successfully');
 
-    if (json) {
-      try {
-        const parsed = JSON.parse(text);
+      if (json) {
+        await this.resolveGroundingSources(grounding);
+
+        const sources = grounding ? grounding.sources : [];
+        const citations = grounding ? grounding.citations : [];
+        const searchQueries = grounding ? grounding.searchQueries : [];
+
+        let parsed;
+        let repairs;
+        try {
+          ({ value: parsed, repairs } = parseJsonLoose(text));
+        } catch (e) {
+          this._log('warn', 'Failed to parse JSON response, returning raw text', { text, error: e.message });
+          return { results: [], summary: text, error: 'JSON_PARSE_ERROR', sources, citations, searchQueries, warnings: [] };
+        }
+
+        const warnings = repairs.map(repair => `repaired response JSON: ${repair}`);
+
         // 增强验证
-        if (!parsed.results || !Array.isArray(parsed.results)) {
+        if (!parsed || !Array.isArray(parsed.results)) {
           this._log('warn', 'JSON response missing results array', { parsed });
-          return { results: [], summary: text, raw: parsed };
+          return { results: [], summary: text, raw: parsed, sources, citations, searchQueries, warnings };
+        }
+
+        const normalized = normalizeSearchResults(parsed.results, {
+          numResults: validatedNumResults,
+          includeDomains,
+          excludeDomains,
+          timeWindow
+        });
+        warnings.push(...normalized.warnings);
+
+        if (warnings.length > 0) {
+          this._log('debug', 'Search results normalized with warnings', { warnings });
         }
-        return parsed;
-      } catch (e) {
-        this._log('warn', 'Failed to parse JSON response, returning raw text', { text, error: e.message });
-        return { results: [], summary: text, error: 'JSON_PARSE_ERROR' };
+
+        return {
+          ...parsed,
+          results: annotateResults(normalized.results, grounding),
+          summary: typeof parsed.summary === 'string' ? parsed.summary.trim() : '',
+          sources,
+          citations,
+          searchQueries,
+          warnings
+        };
       }
-    }
 
       return text;
     } catch (error) {
       this._log('error', 'Search failed', { error: error.message });
-      throw new Error(`Search failed: ${error.message}`);
+      throw prefixError(error, 'Search failed');
+    }
+  }
+
+  /**
+   * 以流式方式执行搜索，仅支持原始文本输出
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项，同 search()（json 选项被忽略）
+   * @returns {AsyncGenerator<Object>} text (增量文本) 与 done (完整文本) 事件
+   */
+  async *searchStream(query, options = {}) {
+    try {
+      this._log('info', 'Starting search stream', { query, options });
+
+      const { numResults = 10 } = options;
+      const validatedNumResults = Math.max(1, Math.min(100, parseInt(numResults) || 10));
+      const timeWindow = options.timeWindow || parseTimeRange(options.timeRange);
+      const prompt = this.buildSearchPrompt(query, validatedNumResults, { ...options, timeWindow }, false);
+
+      let content = '';
+      const stream = this.callGeminiStream([{ role: 'user', content: prompt }], [{ google_search: {} }]);
+      for await (const text of streamWithCallOptions({ fixtureAliases: timeWindowPlaceholders(timeWindow) }, stream)) {
+        content += text;
+        yield { type: 'text', text };
+      }
+
+      this._log('info', 'Search stream completed successfully');
+
+      yield { type: 'done', content };
+    } catch (error) {
+      this._log('error', 'Search stream failed', { error: error.message });
+      throw prefixError(error, 'Search failed');
     }
   }
 
   /**
    * 获取网页内容
+   * 先在本地下载并提取网页正文，再将正文连同提示词交给模型分析
    * @param {string} url - 目标网页 URL
    * @param {string} prompt - 分析提示词
+   * @param {Object} options - 获取选项
+   * @param {string} options.format - 发送给模型的正文格式 (markdown 或 text, 默认: markdown)
    * @returns {Promise<Object>} 网页分析结果
    */
-  async fetch(url, prompt = '') {
+  async fetch(url, prompt = '', options = {}) {
     try {
       this._log('info', 'Starting fetch', { url, hasPrompt: !!prompt });
 
-      // 验证 URL 格式
-      try {
-        new URL(url);
-      } catch (e) {
-        throw new Error(`Invalid URL format: ${url}`);
-      }
-
-      const fullPrompt = prompt
-        ? `Please fetch and analyze the content from ${url}. Task: ${prompt}`
-        : `Please fetch and summarize the content from ${url}`;
+      const page = await this.retrievePage(url, options);
 
-      const text = await this.callGemini([
-        { role: 'user', content: fullPrompt }
-      ]);
+      const { text } = await this.callGemini(this.buildFetchMessages(page, prompt));
 
       const result = {
-        url,
+        ...this.describePage(url, page),
         content: text,
         timestamp: new Date().toISOString()
       };
@@ -289,19 +654,368 @@ class GeminiSearch {
       return result;
     } catch (error) {
       this._log('error', 'Fetch failed', { url, error: error.message });
-      throw new Error(`Fetch failed: ${error.message}`);
+      throw prefixError(error, 'Fetch failed');
+    }
+  }
+
+  /**
+   * 基于会话历史回答追问
+   * @param {string} question - 追问
+   * @param {Array<{request: string, response: string}>} history - 已按 token 预算裁剪的会话历史 (按时间顺序)
+   * @param {Object} options - 追问选项
+   * @param {boolean} options.webSearch - 是否允许模型使用 Google 搜索补充历史中没有的信息 (默认: true)
+   * @returns {Promise<{answer: string, sources: Array, citations: Array, searchQueries: Array}>} 回答及搜索溯源信息
+   */
+  async ask(question, history = [], options = {}) {
+    const { webSearch = true } = options;
+
+    try {
+      this._log('info', 'Starting ask', { question, historyTurns: history.length, webSearch });
+
+      const { text, grounding } = await this.callGemini(
+        this.buildAskMessages(question, history, webSearch),
+        webSearch ? [{ google_search: {} }] : null
+      );
+
+      this._log('info', 'Ask completed successfully');
+
+      return {
+        answer: text,
+        sources: grounding ? grounding.sources : [],
+        citations: grounding ? grounding.citations : [],
+        searchQueries: grounding ? grounding.searchQueries : []
+      };
+    } catch (error) {
+      this._log('error', 'Ask failed', { error: error.message });
+      throw prefixError(error, 'Ask failed');
+    }
+  }
+
+  /**
+   * 构建追问消息：系统提示、历史轮次和追问
+   * @private
+   */
+  buildAskMessages(question, history, webSearch) {
+    return [
+      {
+        role: 'system',
+        content: 'You are continuing a conversation about web search results and web pages. ' +
+                 'Earlier turns contain searches and page analyses the user has already seen; ' +
+                 'search results are numbered [1], [2], ... within each search turn, so "result 3" refers to [3] of the most recent search unless the user says otherwise. ' +
+                 'Answer the follow-up using that context and mention the titles or URLs of the results you rely on. ' +
+                 (webSearch
+                   ? 'If the conversation does not contain enough information, search the web to fill the gap.'
+                   : 'If the conversation does not contain enough information, say so instead of guessing.')
+      },
+      ...history.flatMap(turn => [
+        { role: 'user', content: turn.request },
+        { role: 'assistant', content: turn.response }
+      ]),
+      { role: 'user', content: question }
+    ];
+  }
+
+  /**
+   * 根据网页两次检查之间的文本差异总结变化
+   * @param {string} url - 网页 URL
+   * @param {string} diff - unified 格式的文本差异
+   * @param {Object} options - 总结选项
+   * @param {string} options.title - 网页标题
+   * @returns {Promise<string>} 变化总结
+   */
+  async summarizeChanges(url, diff, options = {}) {
+    try {
+      this._log('info', 'Starting change summary', { url });
+
+      const { text } = await this.callGemini(this.buildChangeSummaryMessages(url, diff, options.title));
+
+      this._log('info', 'Change summary completed successfully');
+
+      return text;
+    } catch (error) {
+      this._log('error', 'Change summary failed', { url, error: error.message });
+      throw prefixError(error, 'Change summary failed');
+    }
+  }
+
+  /**
+   * 构建变化总结消息，差异超过上限时截断
+   * @private
+   */
+  buildChangeSummaryMessages(url, diff, title) {
+    const content = diff.length > this.maxContentLength
+      ? `${diff.slice(0, this.maxContentLength)}\n\n[Diff truncated]`
+      : diff;
+
+    return [
+      {
+        role: 'system',
+        content: 'You summarize how a web page changed between two checks. ' +
+                 'You are given a line diff of the page text: lines starting with "-" were removed and lines starting with "+" were added. ' +
+                 'Describe the meaningful content changes in a few short bullet points and ignore navigation, formatting and timestamp noise. ' +
+                 'If nothing meaningful changed, say so in one sentence.'
+      },
+      {
+        role: 'user',
+        content: `URL: ${url}\n` +
+                 (title ? `Title: ${title}\n` : '') +
+                 `\n--- DIFF START ---\n${content}\n--- DIFF END ---`
+      }
+    ];
+  }
+
+  /**
+   * 按 JSON Schema 从网页中提取结构化数据
+   * 与 fetch 共用页面获取流程；本地校验模型输出，不符合时附带校验错误重试
+   * @param {string} url - 目标网页 URL
+   * @param {Object} schema - 期望输出的 JSON Schema
+   * @param {Object} options - 提取选项
+   * @param {string} options.prompt - 额外的提取说明
+   * @param {number} options.maxAttempts - 最多尝试次数 (默认: 3)
+   * @returns {Promise<Object>} 页面信息与符合 schema 的数据
+   */
+  async extract(url, schema, options = {}) {
+    const { prompt = '', maxAttempts = 3 } = options;
+
+    try {
+      this._log('info', 'Starting extract', { url, hasPrompt: !!prompt });
+
+      const page = await this.retrievePage(url, { format: 'markdown' });
+      const messages = this.buildExtractMessages(page, schema, prompt);
+      let errors = [];
+
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const { text } = await this.callGeminiStructured(messages, null, 'extraction', schema, { strict: false });
+
+        let data;
+        try {
+          ({ value: data } = parseJsonLoose(text));
+        } catch (e) {
+          errors = [`response is not valid JSON: ${e.message}`];
+        }
+        if (data !== undefined) {
+          errors = validateAgainstSchema(data, schema);
+        }
+
+        if (errors.length === 0) {
+          this._log('info', 'Extract completed successfully', { attempts: attempt });
+          return {
+            ...this.describePage(url, page),
+            data,
+            attempts: attempt,
+            timestamp: new Date().toISOString()
+          };
+        }
+
+        this._log('warn', `Extracted data failed validation (attempt ${attempt}/${maxAttempts})`, { errors });
+
+        // 将校验错误反馈给模型后重试
+        messages.push(
+          { role: 'assistant', content: text },
+          {
+            role: 'user',
+            content: 'The JSON you returned does not conform to the schema:\n' +
+                     errors.map(error => `- ${error}`).join('\n') +
+                     '\nReturn the corrected JSON object only.'
+          }
+        );
+      }
+
+      const error = new UpstreamError(`Extracted data failed schema validation after ${maxAttempts} attempts: ${errors.join('; ')}`, {
+        code: 'SCHEMA_MISMATCH',
+        attempts: maxAttempts
+      });
+      error.validationErrors = errors;
+      throw error;
+    } catch (error) {
+      this._log('error', 'Extract failed', { url, error: error.message });
+      throw prefixError(error, 'Extract failed');
+    }
+  }
+
+  /**
+   * 构建结构化提取消息
+   * @private
+   */
+  buildExtractMessages(page, schema, prompt) {
+    const [, user] = this.buildFetchMessages(page, prompt || 'Extract the data described by the JSON Schema below.');
+
+    return [
+      {
+        role: 'system',
+        content: 'You extract structured data from web pages that have already been retrieved for you. ' +
+                 'Use only information present in the page content. ' +
+                 'Respond with a single JSON object that conforms to the given JSON Schema and nothing else. ' +
+                 'Use null for values the page does not contain when the schema allows it.'
+      },
+      {
+        role: 'user',
+        content: `${user.content}\n\nJSON Schema:\n${JSON.stringify(schema, null, 2)}`
+      }
+    ];
+  }
+
+  /**
+   * 以流式方式获取并分析网页
+   * 依次产出 page (页面信息)、text (增量文本) 和 done (完整结果) 事件
+   * @param {string} url - 目标网页 URL
+   * @param {string} prompt - 分析提示词
+   * @param {Object} options - 获取选项，同 fetch()
+   * @returns {AsyncGenerator<Object>} 流式事件
+   */
+  async *fetchStream(url, prompt = '', options = {}) {
+    try {
+      this._log('info', 'Starting fetch stream', { url, hasPrompt: !!prompt });
+
+      const page = await this.retrievePage(url, options);
+      const pageInfo = this.describePage(url, page);
+      yield { type: 'page', ...pageInfo };
+
+      let content = '';
+      for await (const text of this.callGeminiStream(this.buildFetchMessages(page, prompt))) {
+        content += text;
+        yield { type: 'text', text };
+      }
+
+      this._log('info', 'Fetch stream completed successfully');
+
+      yield { type: 'done', ...pageInfo, content, timestamp: new Date().toISOString() };
+    } catch (error) {
+      this._log('error', 'Fetch stream failed', { url, error: error.message });
+      throw prefixError(error, 'Fetch failed');
+    }
+  }
+
+  /**
+   * 下载网页并提取正文，不调用模型
+   * @param {string} url - 目标网页 URL
+   * @param {Object} options - 下载选项
+   * @param {string} options.format - 正文格式 (markdown 或 text, 默认: markdown)
+   * @returns {Promise<Object>} 页面信息 (finalUrl、status、title、content 等)
+   */
+  async retrievePage(url, options = {}) {
+    // 验证 URL 格式
+    try {
+      new URL(url);
+    } catch (e) {
+      throw new ValidationError(`Invalid URL format: ${url}`);
+    }
+
+    const format = options.format || 'markdown';
+    const load = () => fetchPage(url, { timeout: this.resolveCallOptions().timeout, format, urlPolicy: this.urlPolicy });
+    const page = this.fixtures ? await this.fixtures.page(url, { format }, load) : await load();
+
+    this._log('debug', 'Page retrieved', {
+      finalUrl: page.finalUrl,
+      status: page.status,
+      contentType: page.contentType,
+      contentLength: page.contentLength
+    });
+
+    if (!page.content) {
+      throw new UpstreamError('No readable content found on page', { code: 'EMPTY_PAGE', status: page.status });
+    }
+
+    return page;
+  }
+
+  /**
+   * 解析 grounding 来源中的跳转链接，使搜索结果可以按真实 URL 匹配来源
+   * 跳转链接来自模型响应，请求前同样经过 URL 安全策略；录制 / 回放时经由 fixture；解析失败 (包括被策略拒绝) 只记录警告
+   * @param {Object|null} grounding - extractGrounding 的返回值
+   */
+  async resolveGroundingSources(grounding) {
+    const timeout = Math.min(this.resolveCallOptions().timeout, 10000);
+    const resolve = async (url) => {
+      const load = async () => ({ finalUrl: await resolveRedirect(url, { timeout, urlPolicy: this.urlPolicy }) });
+      const target = this.fixtures ? await this.fixtures.page(url, { redirect: true }, load) : await load();
+      return target.finalUrl;
+    };
+
+    const failures = await resolveGroundingSources(grounding, resolve);
+    if (failures.length > 0) {
+      this._log('warn', `Failed to resolve ${failures.length} grounding redirect URLs`, { failures });
     }
   }
 
+  /**
+   * 提取返回给调用方的页面信息
+   * @private
+   */
+  describePage(url, page) {
+    return {
+      url,
+      finalUrl: page.finalUrl,
+      status: page.status,
+      title: page.title,
+      contentType: page.contentType,
+      contentLength: page.contentLength,
+      truncated: page.truncated || page.contentLength > this.maxContentLength
+    };
+  }
+
+  /**
+   * 构建网页分析消息，正文超过上限时截断
+   * @private
+   */
+  buildFetchMessages(page, prompt) {
+    let pageContent = page.content;
+    if (pageContent.length > this.maxContentLength) {
+      pageContent = `${pageContent.slice(0, this.maxContentLength)}\n\n[Content truncated]`;
+    }
+
+    const task = prompt || 'Summarize the main content of this page.';
+
+    return [
+      {
+        role: 'system',
+        content: 'You analyze web pages that have already been retrieved for you. ' +
+                 'Base your answer only on the page content provided. ' +
+                 'If the content does not contain the requested information, say so instead of guessing.'
+      },
+      {
+        role: 'user',
+        content: `URL: ${page.finalUrl}\n` +
+                 (page.title ? `Title: ${page.title}\n` : '') +
+                 `\n--- PAGE CONTENT START ---\n${pageContent}\n--- PAGE CONTENT END ---\n\n` +
+                 `Task: ${task}`
+      }
+    ];
+  }
+
   /**
    * 构建搜索提示词
    * @private
    */
-  buildSearchPrompt(query, numResults, timeRange, json) {
+  buildSearchPrompt(query, numResults, filters, json) {
+    const { timeWindow, includeDomains = [], excludeDomains = [], language, region } = filters;
+
     let prompt = `请搜索"${query}"，返回约${numResults}个相关结果。`;
 
-    if (timeRange) {
-      prompt += ` 时间范围限制：${timeRange}。`;
+    // 模型不知道当前时间，相对时间范围需要换算为具体日期
+    if (timeWindow) {
+      const { from, to } = formatTimeWindow(timeWindow);
+      prompt += ` 当前时间为 ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC。` +
+                `时间范围限制：只返回发布时间在 ${from} 至 ${to} 之间的结果。`;
+    }
+
+    // 域名过滤转换为搜索运算符，返回后还会在本地再过滤一次
+    if (includeDomains.length > 0) {
+      const operators = includeDomains.map(domain => `site:${domain}`).join(' OR ');
+      prompt += ` 只搜索以下网站（搜索时使用 ${operators}），不要返回其他网站的结果：${includeDomains.join('、')}。`;
+    }
+
+    if (excludeDomains.length > 0) {
+      const operators = excludeDomains.map(domain => `-site:${domain}`).join(' ');
+      prompt += ` 排除以下网站（搜索时加上 ${operators}），不要返回这些网站的结果：${excludeDomains.join('、')}。`;
+    }
+
+    if (language) {
+      prompt += ` 只返回语言为 ${language} 的网页，标题和摘要使用该语言。`;
+    }
+
+    if (region) {
+      prompt += ` 优先返回面向国家/地区 ${region} 的结果。`;
     }
 
     if (json) {
@@ -313,7 +1027,8 @@ class GeminiSearch {
       "title": "网页标题",
       "snippet": "内容摘要",
       "url": "网址",
-      "source": "来源网站"
+      "source": "来源网站",
+      "publishedAt": "发布日期 (YYYY-MM-DD)，未知时为空字符串"
     }
   ],
   "summary": "对所有结果的简明总结"
@@ -0,0 +1,276 @@
+/**
+ * HTTP API 服务模块
+ * 以共享的密钥和模型配置对外提供 search / fetch / extract / research / ask 接口
+ */
+
+import http from 'http';
+import { timingSafeEqual } from 'crypto';
+import {
+  validateSearchParams,
+  validateFetchParams,
+  validateExtractParams,
+  validateResearchParams,
+  validateAskParams
+} from './validate.js';
+import { GeminiSearchError, RateLimitError, TimeoutError, CircuitOpenError, ValidationError, UrlBlockedError } from './errors.js';
+
+const VALIDATORS = {
+  search: validateSearchParams,
+  fetch: validateFetchParams,
+  extract: validateExtractParams,
+  research: validateResearchParams,
+  ask: validateAskParams
+};
+
+/**
+ * 带 HTTP 状态码与错误码的请求错误
+ * @private
+ */
+class HttpError extends Error {
+  constructor(status, code, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+/**
+ * 将命令执行错误映射为 HTTP 错误
+ * @private
+ */
+function toHttpError(error) {
+  const retryAfterHeader = error.retryAfter ? { 'Retry-After': String(Math.ceil(error.retryAfter / 1000)) } : {};
+
+  if (error instanceof ValidationError) {
+    return new HttpError(400, error.code, error.message);
+  }
+  if (error instanceof UrlBlockedError) {
+    return new HttpError(403, error.code, error.message);
+  }
+  if (error instanceof RateLimitError) {
+    return new HttpError(429, error.code, error.message, retryAfterHeader);
+  }
+  if (error instanceof CircuitOpenError) {
+    return new HttpError(503, error.code, error.message, retryAfterHeader);
+  }
+  if (error instanceof TimeoutError) {
+    return new HttpError(504, error.code, error.message);
+  }
+  if (error instanceof GeminiSearchError) {
+    return new HttpError(502, error.code, error.message);
+  }
+  return new HttpError(502, 'UPSTREAM_ERROR', error.message);
+}
+
+/**
+ * 发送 JSON 响应
+ * @private
+ */
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers
+  });
+  res.end(payload);
+}
+
+/**
+ * 读取并解析 JSON 请求体
+ * @private
+ */
+function readJsonBody(req, maxBodySize) {
+  return new Promise((resolve, reject) => {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType && contentType !== 'application/json') {
+      reject(new HttpError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Content-Type must be application/json'));
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > maxBodySize) {
+        // 丢弃剩余数据，以便仍能返回 413 响应
+        tooLarge = true;
+        reject(new HttpError(413, 'PAYLOAD_TOO_LARGE', `Request body too large (max ${maxBodySize} bytes)`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (tooLarge) return;
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(raw);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          reject(new HttpError(400, 'INVALID_BODY', 'Request body must be a JSON object'));
+          return;
+        }
+        resolve(body);
+      } catch (e) {
+        reject(new HttpError(400, 'INVALID_JSON', `Invalid JSON body: ${e.message}`));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 校验 Bearer Token
+ * @private
+ */
+function isAuthorized(req, token) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+
+  const provided = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+/**
+ * 创建 HTTP 服务
+ * @param {GeminiSearchSkill} skill - 用于执行命令的 skill 实例
+ * @param {Object} options - 服务选项
+ * @param {string} options.token - Bearer Token，设置后除 /health 外的接口均需认证
+ * @param {number} options.maxConcurrency - 每个客户端的最大并发请求数 (默认: 4)
+ * @param {number} options.maxBodySize - 请求体最大字节数 (默认: 1MB)
+ * @returns {http.Server} 未开始监听的 HTTP 服务
+ */
+export function createHttpServer(skill, options = {}) {
+  const {
+    token = null,
+    maxConcurrency = 4,
+    maxBodySize = 1024 * 1024
+  } = options;
+
+  // 每个客户端正在处理的请求数
+  const inFlight = new Map();
+
+  const handleCommand = async (req, res, command) => {
+    const client = req.socket.remoteAddress || 'unknown';
+    const active = inFlight.get(client) || 0;
+
+    if (active >= maxConcurrency) {
+      throw new HttpError(429, 'TOO_MANY_REQUESTS', `Too many concurrent requests (max ${maxConcurrency} per client)`);
+    }
+
+    inFlight.set(client, active + 1);
+
+    try {
+      const body = await readJsonBody(req, maxBodySize);
+
+      try {
+        VALIDATORS[command](body);
+      } catch (error) {
+        throw new HttpError(400, 'VALIDATION_ERROR', error.message);
+      }
+
+      let result;
+      try {
+        result = await skill.execute(command, body);
+      } catch (error) {
+        throw toHttpError(error);
+      }
+
+      sendJson(res, 200, result);
+    } finally {
+      const remaining = inFlight.get(client) - 1;
+      if (remaining > 0) {
+        inFlight.set(client, remaining);
+      } else {
+        inFlight.delete(client);
+      }
+    }
+  };
+
+  const routes = {
+    'GET /health': async (req, res) => {
+      sendJson(res, 200, { status: 'ok', uptime: Math.round(process.uptime()) });
+    },
+    'GET /info': async (req, res) => {
+      sendJson(res, 200, skill.getInfo());
+    },
+    'POST /search': (req, res) => handleCommand(req, res, 'search'),
+    'POST /fetch': (req, res) => handleCommand(req, res, 'fetch'),
+    'POST /extract': (req, res) => handleCommand(req, res, 'extract'),
+    'POST /research': (req, res) => handleCommand(req, res, 'research'),
+    'POST /ask': (req, res) => handleCommand(req, res, 'ask')
+  };
+
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const route = routes[`${req.method} ${pathname}`];
+
+    try {
+      if (!route) {
+        const methods = Object.keys(routes)
+          .filter(key => key.endsWith(` ${pathname}`))
+          .map(key => key.split(' ')[0]);
+        if (methods.length > 0) {
+          res.setHeader('Allow', methods.join(', '));
+          throw new HttpError(405, 'METHOD_NOT_ALLOWED', `Method ${req.method} not allowed for ${pathname}`);
+        }
+        throw new HttpError(404, 'NOT_FOUND', `Route not found: ${req.method} ${pathname}`);
+      }
+
+      if (token && pathname !== '/health' && !isAuthorized(req, token)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        throw new HttpError(401, 'UNAUTHORIZED', 'Missing or invalid bearer token');
+      }
+
+      await route(req, res);
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      const code = error instanceof HttpError ? error.code : 'INTERNAL_ERROR';
+      const headers = error instanceof HttpError ? error.headers : {};
+
+      if (!res.headersSent) {
+        sendJson(res, status, { success: false, error: { code, message: error.message } }, headers);
+      } else {
+        res.end();
+      }
+    }
+  });
+}
+
+/**
+ * 启动 HTTP 服务并在收到 SIGINT / SIGTERM 时优雅退出
+ * @param {GeminiSearchSkill} skill - 用于执行命令的 skill 实例
+ * @param {Object} options - 服务选项，除 createHttpServer 的选项外还包括
+ * @param {number} options.port - 监听端口 (默认: 8787)
+ * @param {string} options.host - 监听地址 (默认: 127.0.0.1)
+ * @returns {Promise<http.Server>} 开始监听后的 HTTP 服务
+ */
+export function startHttpServer(skill, options = {}) {
+  const { port = 8787, host = '127.0.0.1' } = options;
+  const server = createHttpServer(skill, options);
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      console.error(`Gemini Search HTTP server listening on http://${address.address}:${address.port}` +
+                    (options.token ? ' (bearer auth enabled)' : ''));
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,268 @@
+/**
+ * 会话模块
+ * 按 sessionId 在本地保存 search / fetch 等命令的请求与结果，供 ask 命令基于历史追问；
+ * 发送给模型前按 token 预算从最早的轮次开始裁剪历史
+ */
+
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ValidationError } from './errors.js';
+import { estimateTokens } from './usage.js';
+
+// 会话 ID 同时用作文件名，只允许字母、数字、点、下划线和连字符
+const SESSION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// 每个会话在磁盘上最多保留的轮次，超出时丢弃最早的轮次
+const MAX_STORED_TURNS = 200;
+
+// 每轮历史的消息格式开销 (估算 token)
+const TURN_OVERHEAD_TOKENS = 8;
+
+/**
+ * 默认的历史 token 预算
+ */
+export const DEFAULT_HISTORY_TOKENS = 32000;
+
+/**
+ * 验证会话 ID
+ * @param {string} sessionId - 会话 ID
+ * @returns {string} 会话 ID
+ * @throws {ValidationError} 格式无效时抛出
+ */
+export function validateSessionId(sessionId) {
+  if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+    throw new ValidationError('sessionId must be 1-64 characters of letters, digits, ".", "_" or "-", starting with a letter or digit');
+  }
+  return sessionId;
+}
+
+/**
+ * 将一次命令的请求与结果整理为写入会话历史的文本
+ * search 结果按 [n] 编号列出标题、URL 和摘要，便于之后用 "第 3 条结果" 追问
+ * @param {string} command - 命令名称
+ * @param {Object} params - 命令参数
+ * @param {Object} result - 命令结果
+ * @returns {{command: string, request: string, response: string}} 会话轮次
+ */
+export function describeTurn(command, params, result) {
+  switch (command) {
+    case 'search': {
+      const request = `Search: ${result.query || params.query}`;
+      const data = result.results;
+      if (!data || typeof data !== 'object' || !Array.isArray(data.results)) {
+        return { command, request, response: typeof data === 'string' ? data : (data && data.summary) || '' };
+      }
+
+      const lines = data.results.map((item, index) => [
+        `[${index + 1}] ${item.title}`,
+        `URL: ${item.url}`,
+        ...(item.publishedAt ? [`Published: ${item.publishedAt}`] : []),
+        ...(item.snippet ? [item.snippet] : [])
+      ].join('\n'));
+      if (data.summary) {
+        lines.push(`Summary: ${data.summary}`);
+      }
+      return { command, request, response: lines.join('\n\n') || 'No results.' };
+    }
+    case 'fetch':
+      return {
+        command,
+        request: `Fetch: ${result.url || params.url}${params.prompt ? `\nInstructions: ${params.prompt}` : ''}`,
+        response: `${result.title ? `Title: ${result.title}\n\n` : ''}${result.content || ''}`
+      };
+    case 'extract':
+      return {
+        command,
+        request: `Extract structured data from: ${result.url || params.url}${params.prompt ? `\nInstructions: ${params.prompt}` : ''}`,
+        response: JSON.stringify(result.data, null, 2)
+      };
+    case 'research': {
+      const sources = (result.sources || []).map(source => `[${source.index}] ${source.title || source.url} - ${source.url}`);
+      return {
+        command,
+        request: `Research: ${result.question || params.question}`,
+        response: [result.report || '', ...(sources.length > 0 ? ['Sources:', ...sources] : [])].join('\n')
+      };
+    }
+    case 'ask':
+      return { command, request: result.question, response: result.answer || '' };
+    default:
+      throw new ValidationError(`Command ${command} cannot be recorded in a session`);
+  }
+}
+
+/**
+ * 按 token 预算裁剪会话历史
+ * 从最近的轮次往前保留，放不下的更早轮次全部丢弃；最近一轮本身超出预算时截断其结果文本
+ * @param {Array<Object>} turns - 会话轮次 (按时间顺序)
+ * @param {number} maxTokens - token 预算
+ * @returns {{turns: Array<Object>, dropped: number, tokens: number}} 保留的轮次、丢弃的轮次数和估算的 token 数
+ */
+export function trimHistory(turns, maxTokens) {
+  const kept = [];
+  let tokens = 0;
+
+  for (let index = turns.length - 1; index >= 0; index--) {
+    const turn = turns[index];
+    const requestTokens = estimateTokens(turn.request) + TURN_OVERHEAD_TOKENS;
+    const cost = requestTokens + estimateTokens(turn.response);
+
+    if (tokens + cost <= maxTokens) {
+      kept.unshift(turn);
+      tokens += cost;
+      continue;
+    }
+
+    // 最近一轮放不下时保留其开头部分，保证追问至少能看到最近的结果
+    const remaining = maxTokens - tokens - requestTokens;
+    if (kept.length === 0 && remaining > 0) {
+      let response = turn.response;
+      while (response && estimateTokens(response) > remaining) {
+        response = response.slice(0, Math.floor(response.length * 0.8));
+      }
+      if (response) {
+        response = `${response}\n[truncated]`;
+        kept.unshift({ ...turn, response });
+        tokens += requestTokens + estimateTokens(response);
+      }
+    }
+    break;
+  }
+
+  return { turns: kept, dropped: turns.length - kept.length, tokens };
+}
+
+class SessionStore {
+  /**
+   * @param {Object} options - 会话存储选项
+   * @param {string} options.dir - 会话目录 (默认: ~/.local/share/gemini-search/sessions)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(os.homedir(), '.local', 'share', 'gemini-search', 'sessions');
+    // 每个会话最近一次写入的 Promise，同一会话的追加依次执行，避免并发读改写丢失轮次
+    this.writes = new Map();
+  }
+
+  /**
+   * 会话文件路径
+   * @private
+   */
+  _filePath(sessionId) {
+    return path.join(this.dir, `${validateSessionId(sessionId)}.json`);
+  }
+
+  /**
+   * 读取会话
+   * @param {string} sessionId - 会话 ID
+   * @returns {Promise<Object|null>} 会话 { id, createdAt, updatedAt, turns }，不存在时返回 null
+   */
+  async get(sessionId) {
+    const filePath = this._filePath(sessionId);
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Failed to read session ${sessionId}: ${e.message}`);
+    }
+  }
+
+  /**
+   * 向会话追加一轮，会话不存在时创建
+   * 同一实例内对同一会话的追加按调用顺序串行执行
+   * @param {string} sessionId - 会话 ID
+   * @param {{command: string, request: string, response: string}} turn - 会话轮次
+   * @returns {Promise<Object>} 更新后的会话
+   */
+  append(sessionId, turn) {
+    const previous = this.writes.get(sessionId) || Promise.resolve();
+    const write = previous.catch(() => {}).then(() => this._append(sessionId, turn));
+    this.writes.set(sessionId, write);
+    // 队列中最后一次写入完成后移除，避免 Map 随会话数增长
+    const cleanup = () => {
+      if (this.writes.get(sessionId) === write) {
+        this.writes.delete(sessionId);
+      }
+    };
+    write.then(cleanup, cleanup);
+    return write;
+  }
+
+  /**
+   * 读取会话、追加一轮并写回
+   * @private
+   */
+  async _append(sessionId, turn) {
+    const now = new Date().toISOString();
+    const session = (await this.get(sessionId)) || { id: sessionId, createdAt: now, updatedAt: now, turns: [] };
+
+    session.turns.push({ ...turn, createdAt: now });
+    if (session.turns.length > MAX_STORED_TURNS) {
+      session.turns.splice(0, session.turns.length - MAX_STORED_TURNS);
+    }
+    session.updatedAt = now;
+
+    // 先写临时文件再重命名，避免读取到不完整的内容；临时文件名唯一，多个进程同时写入也不会互相覆盖
+    await fs.mkdir(this.dir, { recursive: true });
+    const filePath = this._filePath(sessionId);
+    const tmpPath = `${filePath}.${process.pid}.${randomUUID()}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(session, null, 2), 'utf8');
+    await fs.rename(tmpPath, filePath);
+
+    return session;
+  }
+
+  /**
+   * 列出所有会话，最近更新的在前
+   * @returns {Promise<Array<Object>>} 会话概要 { id, turns, createdAt, updatedAt, title }
+   */
+  async list() {
+    let names;
+    try {
+      names = (await fs.readdir(this.dir)).filter(name => name.endsWith('.json'));
+    } catch (e) {
+      return [];
+    }
+
+    const sessions = [];
+    for (const name of names) {
+      try {
+        const session = JSON.parse(await fs.readFile(path.join(this.dir, name), 'utf8'));
+        const first = session.turns[0];
+        sessions.push({
+          id: session.id,
+          turns: session.turns.length,
+          createdAt: session.createdAt,
+          updatedAt: session.updatedAt,
+          title: first ? first.request.split('\n')[0].slice(0, 100) : ''
+        });
+      } catch (e) {
+        // 忽略损坏或正在写入的文件
+      }
+    }
+
+    return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * 删除会话
+   * @param {string} sessionId - 会话 ID
+   * @returns {Promise<boolean>} 会话是否存在
+   */
+  async delete(sessionId) {
+    try {
+      await fs.rm(this._filePath(sessionId));
+      return true;
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return false;
+      }
+      throw e;
+    }
+  }
+}
+
+export default SessionStore;
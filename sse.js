@@ -0,0 +1,65 @@
+/**
+ * SSE (Server-Sent Events) 解析模块
+ * 解析流式响应体中的 data 字段
+ */
+
+/**
+ * 逐条读取 SSE 事件的 data 内容
+ * @param {ReadableStream<Uint8Array>} body - fetch 响应体
+ * @param {Object} options - 解析选项
+ * @param {Function} options.onChunk - 每收到一块原始数据时调用（用于重置空闲超时）
+ * @returns {AsyncGenerator<string>} 每个事件的 data 字符串（多行 data 以换行连接）
+ */
+export async function* readSseData(body, options = {}) {
+  const { onChunk } = options;
+  const decoder = new TextDecoder('utf-8');
+  const reader = body.getReader();
+  let buffer = '';
+  let dataLines = [];
+
+  const flushEvent = () => {
+    const data = dataLines.join('\n');
+    dataLines = [];
+    return data;
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (onChunk) onChunk();
+
+      buffer += decoder.decode(value, { stream: true });
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.search(/\r\n|\r|\n/)) !== -1) {
+        // 块末尾的 \r 可能是被拆开的 \r\n，等下一块到达后再判断
+        if (newlineIndex === buffer.length - 1 && buffer[newlineIndex] === '\r') break;
+
+        const line = buffer.slice(0, newlineIndex);
+        buffer = buffer.slice(newlineIndex + (buffer.startsWith('\r\n', newlineIndex) ? 2 : 1));
+
+        if (line === '') {
+          // 空行表示一个事件结束
+          if (dataLines.length > 0) {
+            yield flushEvent();
+          }
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+        // 忽略 event / id / retry 字段和注释行
+      }
+    }
+
+    buffer = (buffer + decoder.decode()).replace(/\r$/, '');
+    if (buffer.startsWith('data:')) {
+      dataLines.push(buffer.slice(5).replace(/^ /, ''));
+    }
+    if (dataLines.length > 0) {
+      yield flushEvent();
+    }
+  } finally {
+    // 消费方提前结束时取消底层连接
+    await reader.cancel().catch(() => {});
+  }
+}
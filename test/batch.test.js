@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseJobs, runBatch } from '../batch.js';
+import { TimeoutError } from '../errors.js';
+import { tempDir } from './helpers.js';
+
+/**
+ * 记录调用并按查询返回结果的 skill 替身
+ */
+function fakeSkill(failures = {}) {
+  const calls = [];
+  return {
+    calls,
+    async execute(command, params) {
+      const target = params.query || params.url;
+      calls.push(target);
+      if (failures[target]) throw failures[target];
+      return { command, target };
+    }
+  };
+}
+
+async function readRecords(file) {
+  const text = await fs.readFile(file, 'utf8');
+  assert.ok(text.endsWith('\n'), 'output must end with a newline');
+  return text.trimEnd().split('\n').map(line => JSON.parse(line));
+}
+
+test('parseJobs reads JSONL and plain text lines', () => {
+  const jobs = parseJobs([
+    '# comment',
+    '{"id": "q1", "query": "vector databases"}',
+    '{"command": "extract", "url": "https://example.com"}',
+    '{broken',
+    'https://example.com/page',
+    'plain query'
+  ].join('\n'));
+
+  assert.deepEqual(jobs.map(job => [job.id, job.command, !!job.error]), [
+    ['q1', 'search', false],
+    ['line-3', 'extract', true],
+    ['line-4', null, true],
+    ['line-5', 'fetch', false],
+    ['line-6', 'search', false]
+  ]);
+});
+
+test('runBatch records typed error details for failed jobs', async (t) => {
+  const dir = await tempDir(t);
+  const input = path.join(dir, 'jobs.txt');
+  const output = path.join(dir, 'out.ndjson');
+  await fs.writeFile(input, 'a\nb\n');
+
+  const skill = fakeSkill({ b: new TimeoutError('Request timeout after 10ms') });
+  const stats = await runBatch(skill, { input, output, concurrency: 2, ratePerMinute: 60000 });
+
+  assert.equal(stats.succeeded, 1);
+  assert.equal(stats.failed, 1);
+  const failed = (await readRecords(output)).find(record => record.id === 'line-2');
+  assert.deepEqual(failed.error, { message: 'Request timeout after 10ms', code: 'TIMEOUT', retryable: true });
+});
+
+test('runBatch --resume skips succeeded jobs and drops a truncated last line', async (t) => {
+  const dir = await tempDir(t);
+  const input = path.join(dir, 'jobs.txt');
+  const output = path.join(dir, 'out.ndjson');
+  await fs.writeFile(input, 'a\nb\nc\n');
+  // 上次运行：a 成功，b 失败，写 c 时被中断
+  await fs.writeFile(output, [
+    JSON.stringify({ id: 'line-1', success: true }),
+    JSON.stringify({ id: 'line-2', success: false, error: { message: 'boom' } }),
+    '{"id":"line-3","succ'
+  ].join('\n'));
+
+  const skill = fakeSkill();
+  const stats = await runBatch(skill, { input, output, resume: true, concurrency: 1, ratePerMinute: 60000 });
+
+  assert.deepEqual(skill.calls, ['b', 'c']);
+  assert.deepEqual({ skipped: stats.skipped, succeeded: stats.succeeded, failed: stats.failed }, { skipped: 1, succeeded: 2, failed: 0 });
+
+  const records = await readRecords(output);
+  assert.deepEqual(records.map(record => [record.id, record.success]), [
+    ['line-1', true],
+    ['line-2', false],
+    ['line-2', true],
+    ['line-3', true]
+  ]);
+
+  // 再次续跑时所有任务都已完成
+  const again = fakeSkill();
+  const rerun = await runBatch(again, { input, output, resume: true, ratePerMinute: 60000 });
+  assert.equal(rerun.skipped, 3);
+  assert.deepEqual(again.calls, []);
+});
+
+test('runBatch rejects duplicate job ids', async (t) => {
+  const dir = await tempDir(t);
+  const input = path.join(dir, 'jobs.jsonl');
+  await fs.writeFile(input, '{"id": "x", "query": "a"}\n{"id": "x", "query": "b"}\n');
+  await assert.rejects(runBatch(fakeSkill(), { input, output: path.join(dir, 'out.ndjson') }), /Duplicate job id/);
+});
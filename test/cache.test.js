@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import ResponseCache, { buildCacheKey } from '../cache.js';
+import { tempDir } from './helpers.js';
+
+test('buildCacheKey normalizes queries, domain lists and URL fragments', () => {
+  assert.equal(
+    buildCacheKey('search', { query: '  Vector   Databases ', model: 'm', includeDomains: 'www.b.com, a.com' }),
+    buildCacheKey('search', { query: 'vector databases', model: 'm', includeDomains: ['a.com', 'b.com', 'a.com'] })
+  );
+  assert.notEqual(
+    buildCacheKey('search', { query: 'q', model: 'm', timeRange: '7d' }),
+    buildCacheKey('search', { query: 'q', model: 'm', timeRange: '1m' })
+  );
+  assert.equal(
+    buildCacheKey('fetch', { url: 'HTTPS://Example.com:443/page#intro', model: 'm' }),
+    buildCacheKey('fetch', { url: 'https://example.com/page', model: 'm' })
+  );
+  assert.notEqual(
+    buildCacheKey('fetch', { url: 'https://example.com/', model: 'm', prompt: 'a' }),
+    buildCacheKey('fetch', { url: 'https://example.com/', model: 'm', prompt: 'b' })
+  );
+});
+
+test('get returns stored values until the TTL expires and then removes the entry', async (t) => {
+  const dir = await tempDir(t);
+  const cache = new ResponseCache({ dir, ttl: { search: 0.05 } });
+  const params = { query: 'q', model: 'm' };
+
+  assert.equal(await cache.get('search', params), null);
+  await cache.set('search', params, { results: [1] });
+
+  const hit = await cache.get('search', params);
+  assert.deepEqual(hit.value, { results: [1] });
+  assert.equal(hit.age, 0);
+  assert.deepEqual(await fs.readdir(dir), [`${buildCacheKey('search', params)}.json`]);
+
+  await new Promise(resolve => setTimeout(resolve, 80));
+  assert.equal(await cache.get('search', params), null);
+  assert.deepEqual(await fs.readdir(dir), []);
+});
+
+test('stats counts entries per command and expired entries, clear removes them all', async (t) => {
+  const dir = await tempDir(t);
+  const cache = new ResponseCache({ dir, ttl: { search: 0, fetch: 3600 } });
+  await cache.set('search', { query: 'a', model: 'm' }, {});
+  await cache.set('fetch', { url: 'https://example.com/', model: 'm' }, {});
+  await fs.writeFile(`${dir}/broken.json`, '{');
+
+  const stats = await cache.stats();
+  assert.equal(stats.entries, 2);
+  assert.equal(stats.expired, 1);
+  assert.deepEqual(stats.commands, { search: 1, fetch: 1 });
+
+  assert.equal(await cache.clear(), 3);
+  assert.equal((await cache.stats()).entries, 0);
+});
+
+test('supports only commands with a TTL', () => {
+  const cache = new ResponseCache({ dir: '/nonexistent' });
+  assert.equal(cache.supports('search'), true);
+  assert.equal(cache.supports('fetch'), true);
+  assert.equal(cache.supports('research'), false);
+  assert.equal(cache.supports('toString'), false);
+});
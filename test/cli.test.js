@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { loadConfig, parseCommandLine, PROJECT_CONFIG_FILE, resolveFixtureOptions, resolveSettings } from '../cli.js';
+import { ValidationError } from '../errors.js';
+import { tempDir } from './helpers.js';
+
+test('parseCommandLine converts option types and names positionals', () => {
+  const parsed = parseCommandLine(['search', 'vector databases', '-n', '5', '--site', 'a.com', '--site', 'b.com', '--timeout', '5000', '-f', 'csv']);
+  assert.deepEqual(parsed, {
+    command: 'search',
+    help: false,
+    version: false,
+    args: { query: 'vector databases' },
+    options: { num: 5, site: ['a.com', 'b.com'], timeout: 5000, format: 'csv' }
+  });
+
+  assert.deepEqual(parseCommandLine(['fetch', 'https://example.com', '--', '-leading dash']).args, {
+    url: 'https://example.com',
+    prompt: '-leading dash'
+  });
+});
+
+test('parseCommandLine handles help and version flags', () => {
+  assert.deepEqual(parseCommandLine([]), { command: null, help: true, version: false, args: {}, options: {} });
+  assert.equal(parseCommandLine(['help', 'search']).command, 'search');
+  assert.equal(parseCommandLine(['search', '--help']).help, true);
+  assert.equal(parseCommandLine(['--version']).version, true);
+});
+
+test('parseCommandLine rejects unknown commands, options and invalid values', () => {
+  const cases = [
+    [['serch', 'q'], /Unknown command: serch/],
+    [['search', 'q', '--bogus'], /Unknown option for search: --bogus/],
+    [['search'], /Missing required argument <query>/],
+    [['search', 'a', 'b'], /Unexpected argument: b/],
+    [['search', 'q', '--num', '0'], /--num/],
+    [['search', 'q', '--format', 'xml'], /--format/],
+    [['cache', 'purge'], /Invalid action: purge/]
+  ];
+  for (const [argv, message] of cases) {
+    assert.throws(() => parseCommandLine(argv), (error) => error instanceof ValidationError && message.test(error.message), argv.join(' '));
+  }
+});
+
+test('resolveSettings prefers flags over environment variables over config file profiles', () => {
+  const config = {
+    settings: { model: 'file-model', timeout: 20000, retries: 1 },
+    profiles: { fast: { model: 'profile-model', temperature: 0.1 } },
+    defaultProfile: null
+  };
+
+  const { profile, settings } = resolveSettings(config, { profile: 'fast', timeout: 5000 }, { GEMINI_TIMEOUT: 'abc', GEMINI_RETRIES: '3' });
+  assert.equal(profile, 'fast');
+  // 命令行参数优先时不再解析无效的环境变量
+  assert.deepEqual(settings, { model: 'profile-model', timeout: 5000, retries: 3, temperature: 0.1 });
+
+  assert.equal(resolveSettings(config, {}, { GEMINI_MODEL: 'env-model' }).settings.model, 'env-model');
+  assert.equal(resolveSettings(config, { model: 'flag-model' }, { GEMINI_MODEL: 'env-model' }).settings.model, 'flag-model');
+  assert.equal(resolveSettings({ ...config, defaultProfile: 'fast' }, {}, {}).profile, 'fast');
+
+  assert.throws(() => resolveSettings(config, {}, { GEMINI_TIMEOUT: 'abc' }), /GEMINI_TIMEOUT/);
+  assert.throws(() => resolveSettings(config, { profile: 'slow' }, {}), /Unknown profile: slow\. Available profiles: fast/);
+});
+
+test('loadConfig merges user and project config files and validates their keys', async (t) => {
+  const dir = await tempDir(t);
+  const home = path.join(dir, 'home');
+  await fs.mkdir(path.join(home, 'gemini-search'), { recursive: true });
+  await fs.writeFile(path.join(home, 'gemini-search', 'config.json'), JSON.stringify({
+    model: 'user-model',
+    timeout: 10000,
+    profiles: { work: { model: 'work-model' } }
+  }));
+  await fs.writeFile(path.join(dir, PROJECT_CONFIG_FILE), JSON.stringify({ model: 'project-model', defaultProfile: 'work' }));
+
+  const saved = process.env.XDG_CONFIG_HOME;
+  process.env.XDG_CONFIG_HOME = home;
+  t.after(() => {
+    if (saved === undefined) delete process.env.XDG_CONFIG_HOME;
+    else process.env.XDG_CONFIG_HOME = saved;
+  });
+
+  const config = await loadConfig({ cwd: dir });
+  assert.equal(config.files.length, 2);
+  assert.deepEqual(config.settings, { model: 'project-model', timeout: 10000 });
+  assert.equal(config.defaultProfile, 'work');
+
+  const bad = path.join(dir, 'bad.json');
+  await fs.writeFile(bad, JSON.stringify({ modle: 'typo' }));
+  await assert.rejects(loadConfig({ file: bad }), /Unknown setting "modle"/);
+  await assert.rejects(loadConfig({ file: path.join(dir, 'missing.json') }), ValidationError);
+});
+
+test('resolveFixtureOptions maps --record, --replay and --strict', () => {
+  assert.deepEqual(resolveFixtureOptions({ record: 'fx' }, {}), { mode: 'record', dir: 'fx' });
+  assert.deepEqual(resolveFixtureOptions({ replay: 'fx', strict: true }, {}), { mode: 'replay', dir: 'fx', strict: true });
+  assert.equal(resolveFixtureOptions({}, {}), undefined);
+  assert.throws(() => resolveFixtureOptions({ record: 'a', replay: 'b' }, {}), /cannot be used together/);
+  assert.throws(() => resolveFixtureOptions({ strict: true }, {}), /--strict requires/);
+});
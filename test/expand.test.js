@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fuseResults, RRF_K } from '../expand.js';
+
+test('fuseResults ranks results found by more sub-queries first', () => {
+  const fused = fuseResults([
+    { query: 'a', results: [{ url: 'https://one.com/' }, { url: 'https://two.com/' }] },
+    { query: 'b', results: [{ url: 'https://two.com' }, { url: 'https://three.com/' }] }
+  ]);
+
+  assert.deepEqual(fused.map(item => item.url), ['https://two.com', 'https://one.com/', 'https://three.com/']);
+  assert.deepEqual(fused[0].subQueries, ['a', 'b']);
+  assert.equal(fused[0].fusionScore, Number((1 / (RRF_K + 2) + 1 / (RRF_K + 1)).toFixed(6)));
+});
+
+test('fuseResults keeps the best ranked copy and fills missing fields from the others', () => {
+  const fused = fuseResults([
+    { query: 'a', results: [{ url: 'https://x.com/a', title: 'Other' }, { url: 'https://www.x.com/page?utm_source=feed', title: 'Page', snippet: '' }] },
+    { query: 'b', results: [{ url: 'https://x.com/page', title: 'Page (best)', snippet: 'text', publishedAt: '2025-01-01' }] }
+  ]);
+
+  const page = fused.find(item => item.subQueries.length === 2);
+  assert.equal(page.title, 'Page (best)');
+  assert.equal(page.url, 'https://x.com/page');
+  assert.equal(page.snippet, 'text');
+  assert.equal(page.publishedAt, '2025-01-01');
+});
+
+test('fuseResults counts duplicates within one list only once', () => {
+  const fused = fuseResults([
+    { query: 'a', results: [{ url: 'https://x.com/' }, { url: 'https://x.com' }] }
+  ]);
+  assert.equal(fused.length, 1);
+  assert.equal(fused[0].fusionScore, Number((1 / (RRF_K + 1)).toFixed(6)));
+});
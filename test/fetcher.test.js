@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeEntities, extractReadableContent, fetchPage } from '../fetcher.js';
+import { UpstreamError } from '../errors.js';
+import { startServer } from './helpers.js';
+
+const ARTICLE = `<!doctype html>
+<html>
+<head><title>Release &amp; notes</title><style>body { color: red }</style></head>
+<body>
+  <nav><a href="/home">Home</a> <a href="/about">About</a></nav>
+  <script>console.log('tracking')</script>
+  <main>
+    <h1>Version 2.0</h1>
+    <p>This release adds <a href="/docs/streaming">streaming</a> and a new <code>--format</code> flag.
+       It also improves the handling of redirects, character sets and very long pages.</p>
+    <pre><code>npm install   gemini-search
+node index.js --help</code></pre>
+    <ul><li>First item</li><li>Second item</li></ul>
+    <a href="javascript:void(0)">Ignored target</a>
+  </main>
+  <footer>Copyright</footer>
+</body>
+</html>`;
+
+test('decodeEntities handles named, decimal and hex entities', () => {
+  assert.equal(decodeEntities('&lt;a&gt; &amp; &#20013;&#x6587; &nbsp;&unknown;'), '<a> & 中文  &unknown;');
+});
+
+test('extractReadableContent keeps the main content as markdown and drops boilerplate', () => {
+  const { title, content } = extractReadableContent(ARTICLE, { baseUrl: 'https://example.com/blog/post' });
+
+  assert.equal(title, 'Release & notes');
+  assert.match(content, /^# Version 2\.0/);
+  assert.match(content, /\[streaming\]\(https:\/\/example\.com\/docs\/streaming\)/);
+  assert.match(content, /`--format`/);
+  assert.match(content, /```\nnpm install {3}gemini-search\nnode index\.js --help\n```/);
+  assert.match(content, /^- First item$/m);
+  assert.match(content, /Ignored target/);
+  assert.doesNotMatch(content, /Home|tracking|Copyright|color: red|javascript:/);
+});
+
+test('extractReadableContent text format has no markdown syntax', () => {
+  const { content } = extractReadableContent(ARTICLE, { baseUrl: 'https://example.com/', format: 'text' });
+  assert.doesNotMatch(content, /\]\(|^#|```/m);
+  assert.match(content, /adds streaming and/);
+});
+
+test('extractReadableContent falls back to og:title and the body when there is no main element', () => {
+  const html = '<head><meta property="og:title" content="OG title"></head><body><div>Short body</div></body>';
+  assert.deepEqual(extractReadableContent(html), { title: 'OG title', content: 'Short body' });
+});
+
+test('fetchPage downloads HTML, decodes the declared charset and truncates large bodies', async () => {
+  const server = await startServer((req, res) => {
+    if (req.url === '/latin1') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(Buffer.from('<html><head><meta charset="iso-8859-1"><title>Café</title></head><body>naïve</body></html>', 'latin1'));
+    } else if (req.url === '/large') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('x'.repeat(1000));
+    } else if (req.url === '/image') {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end('png');
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('missing');
+    }
+  });
+
+  try {
+    const page = await fetchPage(`${server.baseUrl}/latin1`);
+    assert.equal(page.status, 200);
+    assert.equal(page.charset, 'iso-8859-1');
+    assert.equal(page.title, 'Café');
+    assert.equal(page.content, 'naïve');
+
+    const large = await fetchPage(`${server.baseUrl}/large`, { maxBytes: 100 });
+    assert.equal(large.truncated, true);
+    assert.equal(large.content.length, 100);
+
+    await assert.rejects(fetchPage(`${server.baseUrl}/image`), (error) => {
+      assert.ok(error instanceof UpstreamError);
+      assert.equal(error.code, 'UNSUPPORTED_CONTENT_TYPE');
+      return true;
+    });
+    await assert.rejects(fetchPage(`${server.baseUrl}/missing`), (error) => {
+      assert.equal(error.code, 'PAGE_HTTP_ERROR');
+      assert.equal(error.status, 404);
+      assert.equal(error.retryable, false);
+      return true;
+    });
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import GeminiSearch from '../search.js';
+import FixtureStore, { fixtureKey, fixtureOptionsFromEnv, normalizeRequest } from '../fixtures.js';
+import { FixtureMissError } from '../errors.js';
+import { parseTimeRange } from '../timerange.js';
+import { chatCompletion, silent, startApi, tempDir } from './helpers.js';
+
+const request = (body, url = 'https://api.test/v1beta/openai/chat/completions') => ({ url, headers: { authorization: 'Bearer k' }, body });
+
+/**
+ * 使用 fixture 存储的搜索引擎，失败时不重试
+ */
+function createEngine(baseUrl, fixtures) {
+  return new GeminiSearch(baseUrl, 'key', { logger: silent, retry: { attempts: 1 }, circuitBreaker: false, fixtures });
+}
+
+test('fixture keys ignore host, headers, key order and timestamps', () => {
+  const key = (req) => fixtureKey('model', normalizeRequest(req));
+  const base = key(request({ model: 'm', messages: [{ content: 'now 2025-06-01T08:30:00.000Z' }] }));
+
+  assert.equal(key({ ...request({ messages: [{ content: 'now 2025-07-02 09:15 UTC' }], model: 'm' }, 'http://other/proxy/chat/completions'), headers: {} }), base);
+  assert.notEqual(key(request({ model: 'm', messages: [{ content: 'now' }] })), base);
+  assert.notEqual(key(request({ model: 'other', messages: [{ content: 'now 2025-06-01T08:30:00.000Z' }] })), base);
+  assert.equal(normalizeRequest(request({}, 'https://g.test/v1beta/models/gemini-2.5-flash:generateContent?key=k')).path, 'models/gemini-2.5-flash:generateContent');
+});
+
+test('aliases replace literal text before hashing', () => {
+  const aliases = { '2025-03-24': '<7d:from>' };
+  assert.deepEqual(normalizeRequest(request({ text: 'from 2025-03-24 on' }), aliases).body, { text: 'from <7d:from> on' });
+  assert.deepEqual(normalizeRequest(request({ text: 'from 2025-03-24 on' })).body, { text: 'from 2025-03-24 on' });
+});
+
+test('fixtureOptionsFromEnv reads mode, directory and strict flag', () => {
+  assert.equal(fixtureOptionsFromEnv({}), null);
+  assert.equal(fixtureOptionsFromEnv({ GEMINI_SEARCH_MODE: 'live' }), null);
+  assert.deepEqual(fixtureOptionsFromEnv({ GEMINI_SEARCH_MODE: 'Replay', GEMINI_SEARCH_FIXTURES: 'fx', GEMINI_SEARCH_STRICT: 'yes' }), {
+    mode: 'replay',
+    dir: 'fx',
+    strict: true
+  });
+  assert.throws(() => new FixtureStore({ mode: 'live' }), /Invalid fixture mode: live/);
+});
+
+test('recorded responses replay without the network; misses throw in strict mode and go live otherwise', async (t) => {
+  const dir = await tempDir(t);
+  const api = await startApi([chatCompletion('recorded'), chatCompletion('live')]);
+  t.after(() => api.close());
+  const messages = [{ role: 'user', content: 'hello' }];
+
+  const recorder = new FixtureStore({ mode: 'record', dir, logger: silent });
+  assert.equal((await createEngine(api.baseUrl, recorder).callGemini(messages)).text, 'recorded');
+  await recorder.flush();
+  assert.equal((await fs.readdir(dir)).length, 1);
+
+  const strict = new FixtureStore({ mode: 'replay', dir, strict: true, logger: silent });
+  assert.equal((await createEngine('http://127.0.0.1:1', strict).callGemini(messages)).text, 'recorded');
+  await assert.rejects(createEngine(api.baseUrl, strict).callGemini([{ role: 'user', content: 'other' }]), FixtureMissError);
+  assert.equal(api.requests.length, 1);
+
+  const lenient = new FixtureStore({ mode: 'replay', dir, logger: silent });
+  assert.equal((await createEngine(api.baseUrl, lenient).callGemini([{ role: 'user', content: 'other' }])).text, 'live');
+  assert.equal(api.requests.length, 2);
+});
+
+test('pages are recorded and replayed by URL and options', async (t) => {
+  const dir = await tempDir(t);
+  let loads = 0;
+  const load = async () => ({ url: 'https://a.test/', content: `page ${++loads}` });
+
+  await new FixtureStore({ mode: 'record', dir }).page('https://a.test/', { format: 'text' }, load);
+  const replay = new FixtureStore({ mode: 'replay', dir, strict: true });
+  assert.deepEqual(await replay.page('https://a.test/', { format: 'text' }, load), { url: 'https://a.test/', content: 'page 1' });
+  await assert.rejects(replay.page('https://a.test/', { format: 'markdown' }, load), FixtureMissError);
+  assert.equal(loads, 1);
+});
+
+test('a relative time range recorded on one day replays strictly on another', async (t) => {
+  const dir = await tempDir(t);
+  const api = await startApi([chatCompletion('{"results": [], "summary": "ok"}')]);
+  t.after(() => api.close());
+  const windowOn = (date, range = '7d') => parseTimeRange(range, new Date(date));
+
+  const recorder = new FixtureStore({ mode: 'record', dir, logger: silent });
+  await createEngine(api.baseUrl, recorder).search('news', { timeWindow: windowOn('2025-03-31T12:00:00Z') });
+  for await (const event of createEngine(api.baseUrl, recorder).searchStream('news', { timeWindow: windowOn('2025-03-31T12:00:00Z') })) {
+    assert.ok(event);
+  }
+  await recorder.flush();
+  assert.match(api.requests[0].body.messages[0].content, /2025-03-24 至 2025-03-31/);
+
+  const replay = createEngine('http://127.0.0.1:1', new FixtureStore({ mode: 'replay', dir, strict: true, logger: silent }));
+  assert.equal((await replay.search('news', { timeWindow: windowOn('2025-04-02T08:00:00Z') })).summary, 'ok');
+  const events = [];
+  for await (const event of replay.searchStream('news', { timeWindow: windowOn('2025-04-02T08:00:00Z') })) {
+    events.push(event.type);
+  }
+  assert.equal(events.at(-1), 'done');
+
+  // 绝对范围的日期不随时间变化，仍然参与匹配
+  await assert.rejects(replay.search('news', { timeWindow: windowOn('2025-04-02T08:00:00Z', '2025-03-01..2025-03-31') }), FixtureMissError);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatResult, shouldUseColor } from '../format.js';
+
+const ANSI_PATTERN = /\u001b\[/;
+
+const searchResult = {
+  command: 'search',
+  query: 'q',
+  results: {
+    results: [
+      { title: 'Say "hi", [then] leave', url: 'https://a.com/x?y=1,2', source: 'A', snippet: 'line one\nline two', publishedAt: '2025-01-01' },
+      { title: '中文标题', url: 'https://b.com/', source: 'B', snippet: '', publishedAt: null }
+    ],
+    summary: 'Summary text'
+  }
+};
+
+test('csv escapes quotes, commas and newlines (RFC 4180)', () => {
+  const lines = formatResult(searchResult, 'csv').split('\r\n');
+  assert.equal(lines[0], 'title,url,source,snippet');
+  assert.equal(lines[1], '"Say ""hi"", [then] leave","https://a.com/x?y=1,2",A,"line one\nline two"');
+  assert.equal(lines[2], '中文标题,https://b.com/,B,');
+});
+
+test('markdown never contains ANSI codes and keeps link targets as plain URLs', () => {
+  const markdown = formatResult(searchResult, 'markdown', { color: true });
+  assert.doesNotMatch(markdown, ANSI_PATTERN);
+  assert.match(markdown, /^1\. \*\*\[Say "hi", \\\[then\\\] leave\]\(https:\/\/a\.com\/x\?y=1,2\)\*\* — A · 2025-01-01$/m);
+
+  const fetched = formatResult({ command: 'fetch', url: 'https://a.com/', title: 'T', timestamp: 't', content: 'body', truncated: true }, 'markdown', { color: true });
+  assert.doesNotMatch(fetched, ANSI_PATTERN);
+});
+
+test('text and table use ANSI styles only when color is enabled', () => {
+  assert.match(formatResult(searchResult, 'text', { color: true }), ANSI_PATTERN);
+  assert.doesNotMatch(formatResult(searchResult, 'text'), ANSI_PATTERN);
+  assert.match(formatResult(searchResult, 'table', { color: true }), ANSI_PATTERN);
+  assert.doesNotMatch(formatResult(searchResult, 'table'), ANSI_PATTERN);
+});
+
+test('table aligns wide characters and shrinks to the terminal width', () => {
+  const table = formatResult(searchResult, 'table', { width: 50 }).split('\n');
+  assert.match(table[0], /^# {2}title/);
+  assert.ok(table.every(line => [...line].reduce((width, char) => width + (/[一-鿿]/.test(char) ? 2 : 1), 0) <= 50));
+  assert.equal(formatResult({ command: 'search', query: 'q', results: { results: [] } }, 'table'), '(no results)');
+});
+
+test('ndjson writes one line per list item', () => {
+  const lines = formatResult(searchResult, 'ndjson').split('\n');
+  assert.equal(lines.length, 2);
+  assert.equal(JSON.parse(lines[1]).url, 'https://b.com/');
+  assert.equal(formatResult({ command: 'fetch', url: 'u' }, 'ndjson'), '{"command":"fetch","url":"u"}');
+});
+
+test('unknown formats are rejected', () => {
+  assert.throws(() => formatResult(searchResult, 'xml'), /Unknown output format: xml/);
+});
+
+test('shouldUseColor honours NO_COLOR, FORCE_COLOR and TTY detection', (t) => {
+  const saved = { NO_COLOR: process.env.NO_COLOR, FORCE_COLOR: process.env.FORCE_COLOR };
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+  delete process.env.NO_COLOR;
+  delete process.env.FORCE_COLOR;
+
+  assert.equal(shouldUseColor({ isTTY: true }), true);
+  assert.equal(shouldUseColor({ isTTY: false }), false);
+  process.env.FORCE_COLOR = '1';
+  assert.equal(shouldUseColor({ isTTY: false }), true);
+  process.env.NO_COLOR = '1';
+  assert.equal(shouldUseColor({ isTTY: true }), false);
+});
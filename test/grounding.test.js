@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { annotateResults, extractGrounding, isGroundingRedirect, resolveGroundingSources } from '../grounding.js';
+
+const REDIRECT = 'https://vertexaisearch.cloud.google.com/grounding-api-redirect/abc';
+
+function geminiResponse() {
+  return {
+    candidates: [{
+      groundingMetadata: {
+        groundingChunks: [{ web: { uri: REDIRECT, title: 'wikipedia.org' } }],
+        groundingSupports: [{ segment: { text: 'fact', startIndex: 0, endIndex: 4 }, groundingChunkIndices: [0], confidenceScores: [0.4, 0.9] }],
+        webSearchQueries: ['query']
+      }
+    }]
+  };
+}
+
+test('extractGrounding parses Gemini grounding metadata', () => {
+  const grounding = extractGrounding(geminiResponse());
+  assert.deepEqual(grounding.sources, [{ index: 1, url: REDIRECT, title: 'wikipedia.org', domain: 'wikipedia.org', resolvedUrl: null }]);
+  assert.deepEqual(grounding.citations, [{ text: 'fact', startIndex: 0, endIndex: 4, sourceIndices: [1], confidence: 0.9 }]);
+  assert.deepEqual(grounding.searchQueries, ['query']);
+  assert.equal(extractGrounding({ choices: [{ message: { content: 'x' } }] }), null);
+});
+
+test('isGroundingRedirect only matches the grounding redirect endpoint', () => {
+  assert.equal(isGroundingRedirect(REDIRECT), true);
+  assert.equal(isGroundingRedirect('https://vertexaisearch.cloud.google.com/other'), false);
+  assert.equal(isGroundingRedirect('not a url'), false);
+});
+
+test('only results whose URL matches a resolved source exactly are grounded', async () => {
+  const grounding = extractGrounding(geminiResponse());
+  const failures = await resolveGroundingSources(grounding, async () => 'https://en.wikipedia.org/wiki/Real?utm_source=gemini');
+  assert.deepEqual(failures, []);
+
+  const [made, real, other] = annotateResults([
+    { url: 'https://en.wikipedia.org/wiki/Nonexistent' },
+    { url: 'https://www.en.wikipedia.org/wiki/Real/' },
+    { url: 'https://example.com/' }
+  ], grounding);
+
+  assert.deepEqual([made.grounded, made.domainMatch, made.sourceIndices], [false, true, []]);
+  assert.deepEqual([real.grounded, real.domainMatch, real.sourceIndices], [true, true, [1]]);
+  assert.deepEqual([other.grounded, other.domainMatch], [false, false]);
+});
+
+test('unresolved redirect sources never ground a result', async () => {
+  const grounding = extractGrounding(geminiResponse());
+  const failures = await resolveGroundingSources(grounding, async () => { throw new Error('offline'); });
+  assert.deepEqual(failures, [{ url: REDIRECT, error: 'offline' }]);
+
+  const [result] = annotateResults([{ url: 'https://en.wikipedia.org/wiki/Real' }], grounding);
+  assert.equal(result.grounded, false);
+  assert.equal(result.domainMatch, true);
+});
+
+test('url_citation annotations are matched by their own URL', () => {
+  const grounding = extractGrounding({
+    choices: [{ message: { annotations: [{ type: 'url_citation', url_citation: { url: 'https://docs.example.com/a', title: 'A' } }] } }]
+  });
+  const [result] = annotateResults([{ url: 'https://docs.example.com/a#intro' }], grounding);
+  assert.equal(result.grounded, true);
+});
@@ -0,0 +1,77 @@
+import http from 'http';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { Logger } from '../logger.js';
+
+/** 测试中使用的静默日志 */
+export const silent = new Logger({ level: 'silent' });
+
+/**
+ * 在随机端口启动本地 HTTP 服务
+ * @param {Function} handler - (req, res, body) 请求处理函数，body 为请求体文本
+ * @returns {Promise<{baseUrl: string, server: http.Server, close: Function}>}
+ */
+export async function startServer(handler) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => handler(req, res, body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    server,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * 启动模拟上游 API 的本地服务
+ *
+ * responses 为数组时按请求顺序返回 (超出后重复最后一个)；为函数时以
+ * (request, index) 调用并返回 { status, headers, body }。
+ * @param {Array|Function} responses
+ * @returns {Promise<{baseUrl: string, requests: Array, close: Function}>}
+ */
+export async function startApi(responses) {
+  const requests = [];
+  const api = await startServer((req, res, text) => {
+    let body = null;
+    try { body = text ? JSON.parse(text) : null; } catch { body = text; }
+    const request = { method: req.method, url: req.url, authorization: req.headers.authorization, body };
+    requests.push(request);
+    const index = requests.length - 1;
+    const response = typeof responses === 'function'
+      ? responses(request, index)
+      : responses[Math.min(index, responses.length - 1)];
+    const { status = 200, headers = {} } = response;
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(response.body || {}));
+  });
+  return { ...api, requests };
+}
+
+/**
+ * OpenAI 兼容接口的成功响应
+ * @param {string} content - 模型回复文本
+ * @param {Object} [usage] - usage 字段
+ */
+export function chatCompletion(content, usage = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }) {
+  return { status: 200, body: { choices: [{ message: { content } }], usage } };
+}
+
+/**
+ * 创建测试结束后自动删除的临时目录
+ * @param {import('node:test').TestContext} t
+ * @param {string} [prefix]
+ */
+export async function tempDir(t, prefix = 'gemini-search-test-') {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+const run = promisify(execFile);
+const entry = fileURLToPath(new URL('../index.js', import.meta.url));
+
+/**
+ * 在给定环境变量下运行命令行
+ */
+function cli(args, env) {
+  return run(process.execPath, [entry, ...args], {
+    env: { PATH: process.env.PATH, LOG_LEVEL: 'silent', ...env },
+    timeout: 20000
+  });
+}
+
+test('invalid environment variables do not break importing the module or --help', async () => {
+  const env = { GEMINI_TIMEOUT: 'abc', GEMINI_SEARCH_MODE: 'replya', GEMINI_URL_ALLOWLIST: 'http://x' };
+  const { stdout } = await cli(['--help'], env);
+  assert.match(stdout, /search/);
+
+  await run(process.execPath, ['--input-type=module', '-e', `await import(${JSON.stringify(entry)});`], {
+    env: { PATH: process.env.PATH, LOG_LEVEL: 'silent', ...env },
+    timeout: 20000
+  });
+});
+
+test('invalid environment variables are reported when the skill initializes', async () => {
+  const { createSkill, ValidationError } = await import('../index.js');
+  const saved = process.env.GEMINI_TIMEOUT;
+  process.env.GEMINI_TIMEOUT = 'abc';
+  try {
+    const skill = createSkill({ baseUrl: 'http://127.0.0.1:1', apiKey: 'key', cache: false, fixtures: false });
+    await assert.rejects(skill.initialize(), ValidationError);
+
+    const flagged = createSkill({ baseUrl: 'http://127.0.0.1:1', apiKey: 'key', cache: false, fixtures: false, timeout: 5000 });
+    await flagged.initialize();
+    assert.equal(flagged.timeout, 5000);
+  } finally {
+    if (saved === undefined) delete process.env.GEMINI_TIMEOUT;
+    else process.env.GEMINI_TIMEOUT = saved;
+  }
+});
+
+test('explicit options are still validated by the constructor', async () => {
+  const { createSkill, ValidationError } = await import('../index.js');
+  assert.throws(() => createSkill({ timeout: 10 }), ValidationError);
+  assert.throws(() => createSkill({ retries: 11 }), ValidationError);
+});
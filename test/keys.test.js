@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import KeyPool, { loadApiKeys, maskKey } from '../keys.js';
+import GeminiSearch from '../search.js';
+import { AuthError } from '../errors.js';
+import { chatCompletion, silent, startApi } from './helpers.js';
+
+test('loadApiKeys splits, trims and de-duplicates keys', () => {
+  assert.deepEqual(loadApiKeys(' key-a, key-b,key-a ,'), ['key-a', 'key-b']);
+  assert.deepEqual(loadApiKeys(''), []);
+});
+
+test('maskKey keeps only the first and last four characters', () => {
+  assert.equal(maskKey('AIzaSyExampleKey1234'), 'AIza…1234');
+  assert.equal(maskKey('short'), '****');
+});
+
+test('round-robin rotates keys and skips cooling-down keys', () => {
+  const pool = new KeyPool(['a', 'b', 'c'], { cooldown: 60000 });
+  assert.deepEqual([pool.acquire(), pool.acquire(), pool.acquire(), pool.acquire()].map(entry => entry.key), ['a', 'b', 'c', 'a']);
+
+  pool.reportFailure(pool.entries[1], 429);
+  assert.deepEqual([pool.acquire(), pool.acquire()].map(entry => entry.key), ['c', 'a']);
+  assert.equal(pool.stats()[1].coolingDown, true);
+});
+
+test('least-used picks the key with the fewest requests', () => {
+  const pool = new KeyPool(['a', 'b'], { strategy: 'least-used' });
+  pool.entries[0].requests = 5;
+  assert.equal(pool.acquire().key, 'b');
+});
+
+test('401 disables a key and AuthError is thrown once all keys are disabled', () => {
+  const pool = new KeyPool(['a', 'b']);
+  pool.reportFailure(pool.acquire(), 401);
+  assert.equal(pool.acquire().key, 'b');
+  pool.reportFailure(pool.entries[1], 401);
+  assert.equal(pool.hasAvailable(), false);
+  assert.throws(() => pool.acquire(), AuthError);
+});
+
+test('when every key is cooling down the one that recovers first is used', () => {
+  const pool = new KeyPool(['a', 'b']);
+  pool.entries[0].cooldownUntil = Date.now() + 5000;
+  pool.entries[1].cooldownUntil = Date.now() + 1000;
+  assert.equal(pool.hasAvailable(), false);
+  assert.equal(pool.acquire().key, 'b');
+});
+
+test('unknown rotation strategies are rejected', () => {
+  assert.throws(() => new KeyPool(['a'], { strategy: 'random' }), /Unknown key rotation strategy/);
+  assert.throws(() => new KeyPool([]), /At least one API key/);
+});
+
+test('callGemini switches to the next key when one is rejected', async () => {
+  const api = await startApi([{ status: 401 }, chatCompletion('hello')]);
+  try {
+    const engine = new GeminiSearch(api.baseUrl, ['key-a', 'key-b'], { logger: silent, retry: { attempts: 1 } });
+    const { text } = await engine.callGemini([{ role: 'user', content: 'hi' }]);
+    assert.equal(text, 'hello');
+    assert.deepEqual(api.requests.map(request => request.authorization), ['Bearer key-a', 'Bearer key-b']);
+    assert.deepEqual(engine.keyPool.stats().map(entry => entry.disabled), [true, false]);
+  } finally {
+    await api.close();
+  }
+});
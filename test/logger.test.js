@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequestId, currentRequestId, Logger, redact, withRequestId } from '../logger.js';
+
+/**
+ * 把日志记录收集到数组中的日志器
+ */
+function capture(options = {}) {
+  const records = [];
+  const logger = new Logger({ level: 'debug', ...options, sink: record => records.push(record) });
+  return { logger, records };
+}
+
+test('redact masks sensitive fields, bearer tokens, key parameters and registered secrets', () => {
+  const value = {
+    headers: { Authorization: 'Bearer abc', 'x-goog-api-key': 'k' },
+    url: 'https://api.test/v1?alt=sse&key=secret-key',
+    message: 'failed with my-registered-secret and AIzaSyA1234567890abcdefghij',
+    apiKey: '',
+    nested: [{ token: 't' }]
+  };
+  value.self = value;
+
+  assert.deepEqual(redact(value, ['my-registered-secret']), {
+    headers: { Authorization: '[REDACTED]', 'x-goog-api-key': '[REDACTED]' },
+    url: 'https://api.test/v1?alt=sse&key=[REDACTED]',
+    message: 'failed with [REDACTED] and [REDACTED]',
+    apiKey: '',
+    nested: [{ token: '[REDACTED]' }],
+    self: '[Circular]'
+  });
+
+  const error = redact(new Error('Bearer xyz rejected'));
+  assert.equal(error.message, 'Bearer [REDACTED] rejected');
+});
+
+test('log records respect the level and carry the component and request ID', async () => {
+  const { logger, records } = capture({ level: 'info' });
+  const child = logger.child('search');
+
+  child.debug('hidden');
+  await withRequestId('req-1', async () => {
+    await Promise.resolve();
+    child.warn('retrying', { attempt: 2 });
+  });
+  logger.addSecret('secret-value-123');
+  logger.error('key secret-value-123 failed');
+
+  assert.deepEqual(records.map(({ level, component, requestId, message, data }) => ({ level, component, requestId, message, data })), [
+    { level: 'warn', component: 'search', requestId: 'req-1', message: 'retrying', data: { attempt: 2 } },
+    { level: 'error', component: undefined, requestId: undefined, message: 'key [REDACTED] failed', data: undefined }
+  ]);
+});
+
+test('configure is shared with child loggers and rejects invalid options', () => {
+  const { logger, records } = capture({ level: 'error' });
+  const child = logger.child('fetch');
+  logger.configure({ level: 'debug' });
+  child.debug('now visible');
+  assert.equal(records.length, 1);
+
+  assert.throws(() => logger.configure({ level: 'verbose' }), /Invalid log level/);
+  assert.throws(() => logger.configure({ format: 'xml' }), /Log format/);
+});
+
+test('request IDs are short, unique and scoped', () => {
+  const id = createRequestId();
+  assert.match(id, /^[0-9a-f]{12}$/);
+  assert.notEqual(id, createRequestId());
+  assert.equal(currentRequestId(), null);
+  assert.equal(withRequestId(id, () => currentRequestId()), id);
+});
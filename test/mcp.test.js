@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import { buildToolDefinitions, startMcpServer, toInputSchema } from '../mcp.js';
+
+/**
+ * 向 MCP 服务发送消息并收集全部响应
+ */
+async function exchange(skill, lines) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let text = '';
+  output.on('data', chunk => { text += chunk; });
+
+  const done = startMcpServer(skill, { input, output });
+  for (const line of lines) {
+    input.write(`${typeof line === 'string' ? line : JSON.stringify(line)}\n`);
+  }
+  input.end();
+  await done;
+
+  return text.trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+const skill = {
+  calls: [],
+  async execute(name, args) {
+    this.calls.push([name, args]);
+    if (args.query === 'fail') throw new Error('upstream down');
+    return { query: args.query };
+  }
+};
+
+test('toInputSchema maps skill.json parameters to JSON Schema', () => {
+  assert.deepEqual(toInputSchema({
+    query: { type: 'string', required: true, description: 'Query' },
+    num: { type: 'number', min: 1, max: 10, default: 5 }
+  }), {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Query' },
+      num: { type: 'number', default: 5, minimum: 1, maximum: 10 }
+    },
+    required: ['query'],
+    additionalProperties: false
+  });
+});
+
+test('buildToolDefinitions exposes every skill.json command', () => {
+  const tools = buildToolDefinitions({ commands: [{ name: 'search', description: 'd', parameters: {} }] });
+  assert.deepEqual(tools, [{ name: 'search', description: 'd', inputSchema: { type: 'object', properties: {}, additionalProperties: false } }]);
+});
+
+test('the server negotiates the protocol version and lists tools', async () => {
+  const [init, list] = await exchange(skill, [
+    { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05' } },
+    { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+    { jsonrpc: '2.0', method: 'notifications/initialized' }
+  ]);
+
+  assert.equal(init.id, 1);
+  assert.equal(init.result.protocolVersion, '2024-11-05');
+  assert.equal(init.result.serverInfo.name, 'gemini-search');
+  assert.ok(list.result.tools.some(tool => tool.name === 'search'));
+});
+
+test('tool calls return results and report tool failures as isError results', async () => {
+  const responses = await exchange(skill, [
+    { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'search', arguments: { query: 'q' } } },
+    { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'search', arguments: { query: 'fail' } } },
+    { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'rm', arguments: {} } }
+  ]);
+  const byId = Object.fromEntries(responses.map(response => [response.id, response]));
+
+  assert.deepEqual(JSON.parse(byId[1].result.content[0].text), { query: 'q' });
+  assert.equal(byId[1].result.isError, false);
+  assert.deepEqual(byId[2].result, { content: [{ type: 'text', text: 'Error: upstream down' }], isError: true });
+  assert.equal(byId[3].error.code, -32602);
+});
+
+test('malformed messages get JSON-RPC errors', async () => {
+  const responses = await exchange(skill, [
+    '{not json',
+    { jsonrpc: '1.0', id: 7, method: 'ping' },
+    { jsonrpc: '2.0', id: 8, method: 'resources/list' },
+    { jsonrpc: '2.0', id: 9, result: {} }
+  ]);
+
+  assert.deepEqual(responses.map(response => [response.id, response.error.code]), [
+    [null, -32700],
+    [7, -32600],
+    [8, -32601]
+  ]);
+});
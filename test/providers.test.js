@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProvider, GeminiProvider, OpenAIProvider } from '../providers.js';
+import GeminiSearch from '../search.js';
+import { silent, startApi } from './helpers.js';
+
+const messages = [
+  { role: 'system', content: 'Be brief.' },
+  { role: 'user', content: 'hi' },
+  { role: 'assistant', content: 'hello' }
+];
+
+test('OpenAIProvider builds chat completion requests and parses usage', () => {
+  const provider = new OpenAIProvider({ baseUrl: 'https://api.test' });
+  const request = provider.buildRequest({ apiKey: 'k', model: 'm', messages, temperature: 0.1, responseFormat: { type: 'json_object' }, stream: true });
+
+  assert.equal(request.url, 'https://api.test/v1/chat/completions');
+  assert.equal(request.headers.Authorization, 'Bearer k');
+  assert.equal(request.headers.Accept, 'text/event-stream');
+  assert.deepEqual(request.body, { model: 'm', messages, temperature: 0.1, response_format: { type: 'json_object' }, stream: true });
+
+  assert.deepEqual(provider.parseResponse({ choices: [{ message: { content: 'x' } }], usage: { prompt_tokens: 2, completion_tokens: 3 } }), {
+    text: 'x',
+    usage: { promptTokens: 2, completionTokens: 3, totalTokens: 5 },
+    grounding: null
+  });
+  assert.throws(() => provider.parseResponse({}), /missing choices/);
+});
+
+test('GeminiProvider converts messages, output format and key location', () => {
+  const provider = new GeminiProvider({ baseUrl: 'https://generativelanguage.googleapis.com/v1beta/openai', apiKeyLocation: 'query' });
+  const request = provider.buildRequest({
+    apiKey: 'k',
+    model: 'gemini-2.5-flash',
+    messages,
+    temperature: 0.2,
+    responseFormat: { type: 'json_schema', json_schema: { schema: { type: 'object' } } }
+  });
+
+  assert.equal(request.url, 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=k');
+  assert.equal(request.headers['x-goog-api-key'], undefined);
+  assert.deepEqual(request.body, {
+    contents: [{ role: 'user', parts: [{ text: 'hi' }] }, { role: 'model', parts: [{ text: 'hello' }] }],
+    generationConfig: { temperature: 0.2, responseMimeType: 'application/json', responseJsonSchema: { type: 'object' } },
+    systemInstruction: { parts: [{ text: 'Be brief.' }] }
+  });
+
+  const withTools = new GeminiProvider({ baseUrl: 'https://proxy.test' }).buildRequest({
+    apiKey: 'k', model: 'm', messages, tools: [{ google_search: {} }], responseFormat: { type: 'json_object' }, stream: true
+  });
+  assert.equal(withTools.url, 'https://proxy.test/v1beta/models/m:streamGenerateContent?alt=sse');
+  assert.equal(withTools.headers['x-goog-api-key'], 'k');
+  assert.equal(withTools.body.generationConfig.responseMimeType, undefined, 'JSON mode cannot be combined with tools');
+});
+
+test('GeminiProvider skips thought parts and counts thinking tokens as output', () => {
+  const provider = new GeminiProvider({ baseUrl: 'https://api.test/v1' });
+  const parsed = provider.parseResponse({
+    candidates: [{ content: { parts: [{ text: 'thinking', thought: true }, { text: 'Hel' }, { text: 'lo' }] } }],
+    usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 2, thoughtsTokenCount: 10 }
+  });
+  assert.equal(parsed.text, 'Hello');
+  assert.deepEqual(parsed.usage, { promptTokens: 4, completionTokens: 12, totalTokens: 16 });
+  assert.throws(() => provider.parseResponse({ promptFeedback: { blockReason: 'SAFETY' } }), /blocked by Gemini: SAFETY/);
+});
+
+test('createProvider rejects unknown backends', () => {
+  assert.ok(createProvider('gemini', { baseUrl: 'https://x.test' }) instanceof GeminiProvider);
+  assert.throws(() => createProvider('anthropic'), /Unknown provider/);
+  assert.throws(() => new GeminiProvider({ baseUrl: 'https://x.test', apiKeyLocation: 'cookie' }), /apiKeyLocation/);
+});
+
+test('callGemini talks to the native generateContent endpoint', async () => {
+  const api = await startApi([{
+    status: 200,
+    body: { candidates: [{ content: { parts: [{ text: 'native' }] } }], usageMetadata: { promptTokenCount: 1, candidatesTokenCount: 1, totalTokenCount: 2 } }
+  }]);
+  try {
+    const engine = new GeminiSearch(api.baseUrl, 'key', { logger: silent, provider: 'gemini', model: 'gemini-test' });
+    const { text, usage } = await engine.callGemini([{ role: 'user', content: 'hi' }]);
+    assert.equal(text, 'native');
+    assert.equal(usage.totalTokens, 2);
+    assert.equal(api.requests[0].url, '/v1beta/models/gemini-test:generateContent');
+    assert.deepEqual(api.requests[0].body.contents, [{ role: 'user', parts: [{ text: 'hi' }] }]);
+  } finally {
+    await api.close();
+  }
+});
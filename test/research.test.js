@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runResearch } from '../research.js';
+import UsageTracker, { withUsageScope } from '../usage.js';
+
+const usageOf = (totalTokens) => ({ promptTokens: totalTokens, completionTokens: 0, totalTokens });
+
+/**
+ * 按固定用量记账的 skill 替身；tokens 为 null 时模拟后端不返回用量
+ */
+function fakeSkill({ pages = 6, tokens = { plan: 100, search: 100, fetch: 500, report: 100 } } = {}) {
+  const tracker = new UsageTracker();
+  const record = (kind) => tracker.record('m', tokens && usageOf(tokens[kind]));
+  const fetched = [];
+
+  return {
+    fetched,
+    searchEngine: {
+      maxContentLength: 1000,
+      async callGeminiStructured() {
+        record('plan');
+        return { text: JSON.stringify({ queries: ['first', 'second'] }) };
+      },
+      async callGemini() {
+        record('report');
+        return { text: 'Findings [1] and [9].' };
+      }
+    },
+    async execute(command, params) {
+      if (command === 'search') {
+        const { usage } = await withUsageScope(async () => record('search'));
+        const offset = params.query === 'first' ? 0 : pages / 2;
+        const results = Array.from({ length: pages / 2 }, (_, i) => ({ url: `https://site${offset + i}.com/`, title: `Page ${offset + i}` }));
+        return { results: { results }, usage };
+      }
+      fetched.push(params.url);
+      const { usage } = await withUsageScope(async () => record('fetch'));
+      return { content: `facts from ${params.url}`, finalUrl: params.url, contentLength: 100, usage };
+    }
+  };
+}
+
+const params = { question: 'q', depth: 1, maxQueries: 2, maxPages: 6, numResults: 3 };
+
+test('research stops fetching once actual usage reaches the budget', async () => {
+  const skill = fakeSkill();
+  const { result } = await withUsageScope(() => runResearch(skill, { ...params, maxTokens: 1000 }));
+
+  // 规划 100 + 搜索 2 × 100 = 300，第一批 3 个网页后达到 1800
+  assert.equal(skill.fetched.length, 3);
+  assert.deepEqual(result.steps.fetches.map(step => !!step.skipped), [false, false, false, true, true, true]);
+  assert.equal(result.steps.fetches[0].tokens, 500);
+  assert.equal(result.tokensUsed, 1900);
+  assert.deepEqual(result.sources.map(source => source.cited), [true, false, false]);
+});
+
+test('research fetches every selected page while under budget', async () => {
+  const skill = fakeSkill();
+  const { result } = await withUsageScope(() => runResearch(skill, { ...params, maxTokens: 100000 }));
+  assert.equal(skill.fetched.length, 6);
+  assert.equal(result.sources.length, 6);
+  assert.equal(result.tokensUsed, 3400);
+});
+
+test('research falls back to character estimates when usage is not reported', async () => {
+  const skill = fakeSkill({ tokens: null });
+  const { result } = await withUsageScope(() => runResearch(skill, { ...params, maxTokens: 100000 }));
+  assert.ok(result.tokensUsed > 0);
+  assert.equal(result.steps.fetches[0].tokens > 0, true);
+});
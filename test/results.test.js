@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalizeUrl, normalizeSearchResults, parseJsonLoose } from '../results.js';
+
+test('parseJsonLoose repairs code fences, surrounding text and trailing commas', () => {
+  assert.deepEqual(parseJsonLoose('{"a": 1}'), { value: { a: 1 }, repairs: [] });
+  assert.deepEqual(parseJsonLoose('```json\n{"a": [1, 2,],}\n```'), {
+    value: { a: [1, 2] },
+    repairs: ['stripped markdown code fence', 'removed trailing commas']
+  });
+  assert.deepEqual(parseJsonLoose('Here you go: {"text": "a } b"} hope it helps').value, { text: 'a } b' });
+  assert.throws(() => parseJsonLoose('no json here'), SyntaxError);
+});
+
+test('canonicalizeUrl drops tracking parameters, www, fragments and trailing slashes', () => {
+  assert.equal(
+    canonicalizeUrl('https://WWW.Example.com/Docs/?utm_source=x&b=2&a=1#top'),
+    'https://example.com/Docs?a=1&b=2'
+  );
+  assert.equal(canonicalizeUrl('https://example.com/'), 'https://example.com/');
+  assert.equal(canonicalizeUrl('ftp://example.com/'), null);
+  assert.equal(canonicalizeUrl('not a url'), null);
+});
+
+test('normalizeSearchResults repairs fields, drops invalid and duplicate results and truncates', () => {
+  const { results, warnings } = normalizeSearchResults([
+    { title: ' A \n title ', snippet: 'text', url: 'example.com/a', source: '', publishedAt: '2025-03-01' },
+    'not an object',
+    { title: 'Missing url' },
+    { title: 'Duplicate', url: 'https://www.example.com/a/?utm_medium=feed' },
+    { title: '', snippet: '  ', url: 'https://other.org/b', publishedAt: 'yesterday-ish' },
+    { title: 'Extra', url: 'https://third.net/' }
+  ], { numResults: 2 });
+
+  assert.deepEqual(results.map(result => [result.url, result.title, result.source, result.publishedAt]), [
+    ['https://example.com/a', 'A title', 'example.com', '2025-03-01'],
+    ['https://other.org/b', 'other.org', 'other.org', null]
+  ]);
+  assert.deepEqual(results[0].warnings, ['added missing https:// scheme to url', 'missing source, derived from url']);
+  assert.deepEqual(results[1].warnings, ['missing title, used domain', 'missing snippet', 'missing source, derived from url', 'unrecognized publishedAt: yesterday-ish']);
+  assert.deepEqual(warnings, [
+    'dropped result #2: not an object',
+    'dropped result #3: missing or invalid url',
+    'dropped result #4: duplicate of result #1',
+    'truncated 1 extra results to numResults=2'
+  ]);
+});
+
+test('normalizeSearchResults truncates long snippets', () => {
+  const { results } = normalizeSearchResults([{ title: 't', url: 'https://a.com/', snippet: 'x'.repeat(600), source: 's' }]);
+  assert.equal(results[0].snippet.length, 500);
+  assert.ok(results[0].snippet.endsWith('…'));
+});
@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GeminiSearch from '../search.js';
+import { CircuitBreaker, computeRetryDelay, parseRetryAfter, resolveRetryPolicy } from '../retry.js';
+import { CircuitOpenError, FixtureMissError, RateLimitError, UpstreamError } from '../errors.js';
+import { chatCompletion, silent, startApi } from './helpers.js';
+
+const ok = chatCompletion('hello');
+
+test('resolveRetryPolicy rejects invalid attempts and jitter', () => {
+  assert.throws(() => resolveRetryPolicy({ attempts: 0 }), /attempts/);
+  assert.throws(() => resolveRetryPolicy({ jitter: 2 }), /jitter/);
+  assert.equal(resolveRetryPolicy({ attempts: 5, baseDelay: null }).baseDelay, 1000);
+});
+
+test('computeRetryDelay backs off exponentially and prefers Retry-After', () => {
+  const policy = resolveRetryPolicy({ baseDelay: 100, factor: 2, maxDelay: 350, jitter: 0 });
+  assert.deepEqual([1, 2, 3, 4].map(attempt => computeRetryDelay(policy, attempt)), [100, 200, 350, 350]);
+  assert.equal(computeRetryDelay(policy, 1, 5000), 5000);
+});
+
+test('parseRetryAfter accepts seconds and HTTP dates', () => {
+  const now = Date.parse('2025-01-01T00:00:00Z');
+  assert.equal(parseRetryAfter('2', now), 2000);
+  assert.equal(parseRetryAfter('Wed, 01 Jan 2025 00:00:10 GMT', now), 10000);
+  assert.equal(parseRetryAfter('soon', now), null);
+});
+
+test('circuit breaker opens after threshold, half-opens after the reset timeout and lets one probe through', async () => {
+  const breaker = new CircuitBreaker({ threshold: 2, resetTimeout: 30 });
+  breaker.check();
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'closed');
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'open');
+  assert.throws(() => breaker.check(), CircuitOpenError);
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(breaker.state, 'half-open');
+  breaker.check();
+  assert.throws(() => breaker.check(), CircuitOpenError, 'only one probe is allowed while half-open');
+
+  // 试探失败后重新打开
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'open');
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  breaker.check();
+  breaker.recordSuccess();
+  assert.deepEqual(breaker.stats(), { state: 'closed', failures: 0 });
+});
+
+test('callGemini retries 5xx responses and succeeds', async () => {
+  const api = await startApi([{ status: 503 }, { status: 502 }, ok]);
+  try {
+    const engine = new GeminiSearch(api.baseUrl, 'key', { logger: silent, retry: { attempts: 3, baseDelay: 1, jitter: 0 } });
+    const { text } = await engine.callGemini([{ role: 'user', content: 'hi' }]);
+    assert.equal(text, 'hello');
+    assert.equal(api.requests.length, 3);
+    assert.equal(engine.circuitBreaker.state, 'closed');
+  } finally {
+    await api.close();
+  }
+});
+
+test('callGemini gives up after the configured attempts with a typed error', async () => {
+  const api = await startApi([{ status: 500 }]);
+  try {
+    const engine = new GeminiSearch(api.baseUrl, 'key', { logger: silent, retry: { attempts: 2, baseDelay: 1, jitter: 0 } });
+    await assert.rejects(engine.callGemini([{ role: 'user', content: 'hi' }]), (error) => {
+      assert.ok(error instanceof UpstreamError);
+      assert.equal(error.status, 500);
+      assert.equal(error.retryable, true);
+      assert.equal(error.attempts, 2);
+      return true;
+    });
+    assert.equal(api.requests.length, 2);
+  } finally {
+    await api.close();
+  }
+});
+
+test('callGemini does not wait when Retry-After exceeds maxRetryAfter', async () => {
+  const api = await startApi([{ status: 429, headers: { 'Retry-After': '120' } }]);
+  try {
+    const engine = new GeminiSearch(api.baseUrl, 'key', { logger: silent, retry: { attempts: 3, maxRetryAfter: 1000 } });
+    await assert.rejects(engine.callGemini([{ role: 'user', content: 'hi' }]), (error) => {
+      assert.ok(error instanceof RateLimitError);
+      assert.equal(error.retryAfter, 120000);
+      return true;
+    });
+    assert.equal(api.requests.length, 1);
+  } finally {
+    await api.close();
+  }
+});
+
+test('callGemini fails fast once the circuit breaker is open', async () => {
+  const api = await startApi([{ status: 503 }]);
+  try {
+    const engine = new GeminiSearch(api.baseUrl, 'key', {
+      logger: silent,
+      retry: { attempts: 1 },
+      circuitBreaker: { threshold: 2, resetTimeout: 60000 }
+    });
+    const messages = [{ role: 'user', content: 'hi' }];
+    await assert.rejects(engine.callGemini(messages), UpstreamError);
+    await assert.rejects(engine.callGemini(messages), UpstreamError);
+    await assert.rejects(engine.callGemini(messages), CircuitOpenError);
+    assert.equal(api.requests.length, 2);
+  } finally {
+    await api.close();
+  }
+});
+
+test('errors that never reached the upstream neither reset nor trip the circuit breaker', async () => {
+  const api = await startApi([{ status: 503 }]);
+  let replayMiss = false;
+  const fixtures = {
+    async model(request, send) {
+      if (replayMiss) throw new FixtureMissError('no fixture');
+      return send();
+    }
+  };
+
+  try {
+    const engine = new GeminiSearch(api.baseUrl, 'key', {
+      logger: silent,
+      fixtures,
+      retry: { attempts: 1 },
+      circuitBreaker: { threshold: 2, resetTimeout: 40 }
+    });
+    const messages = [{ role: 'user', content: 'hi' }];
+
+    await assert.rejects(engine.callGemini(messages), UpstreamError);
+    replayMiss = true;
+    await assert.rejects(engine.callGemini(messages), FixtureMissError);
+    assert.deepEqual(engine.circuitBreaker.stats(), { state: 'closed', failures: 1 });
+    assert.equal(engine.keyPool.stats()[0].errors, 1);
+
+    replayMiss = false;
+    await assert.rejects(engine.callGemini(messages), UpstreamError);
+    assert.equal(engine.circuitBreaker.state, 'open');
+
+    // 半开状态下的试探请求没有到达上游时，释放试探名额但保持熔断计数
+    await new Promise(resolve => setTimeout(resolve, 50));
+    replayMiss = true;
+    await assert.rejects(engine.callGemini(messages), FixtureMissError);
+    assert.equal(engine.circuitBreaker.state, 'half-open');
+    engine.circuitBreaker.check();
+  } finally {
+    await api.close();
+  }
+});
+
+test('4xx responses do not reset consecutive upstream failures', async () => {
+  const api = await startApi([{ status: 500 }, { status: 400 }, { status: 500 }]);
+  try {
+    const engine = new GeminiSearch(api.baseUrl, 'key', {
+      logger: silent,
+      retry: { attempts: 1 },
+      circuitBreaker: { threshold: 2, resetTimeout: 60000 }
+    });
+    const messages = [{ role: 'user', content: 'hi' }];
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(engine.callGemini(messages), UpstreamError);
+    }
+    assert.equal(engine.circuitBreaker.state, 'open');
+  } finally {
+    await api.close();
+  }
+});
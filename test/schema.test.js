@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertValidSchema, validateAgainstSchema } from '../schema.js';
+import { ValidationError } from '../errors.js';
+
+const product = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    price: { type: 'number', minimum: 0 },
+    sku: { type: 'string', pattern: '^[A-Z]{3}-\\d+$' },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+    released: { type: 'string', format: 'date' },
+    status: { enum: ['active', 'retired'] }
+  },
+  required: ['name', 'price'],
+  additionalProperties: false
+};
+
+test('validateAgainstSchema accepts conforming data', () => {
+  assert.deepEqual(validateAgainstSchema({ name: 'Kettle', price: 29.9, sku: 'KTL-1', tags: ['home'], released: '2025-01-31', status: 'active' }, product), []);
+});
+
+test('validateAgainstSchema reports every violation with its path', () => {
+  const errors = validateAgainstSchema({ price: -1, sku: 'ktl', tags: ['a', 'b', 3], released: '2025-13-40', extra: true }, product);
+  assert.deepEqual(errors, [
+    '$.name: is required',
+    '$.price: must be >= 0',
+    '$.sku: must match pattern ^[A-Z]{3}-\\d+$',
+    '$.tags: must contain at most 2 items',
+    '$.tags[2]: expected string, got integer',
+    '$.released: must be a valid date',
+    '$.extra: is not allowed'
+  ]);
+});
+
+test('validateAgainstSchema handles integer, anyOf and oneOf', () => {
+  assert.deepEqual(validateAgainstSchema(3, { type: 'number' }), []);
+  assert.deepEqual(validateAgainstSchema(3.5, { type: 'integer' }), ['$: expected integer, got number']);
+  assert.deepEqual(validateAgainstSchema(null, { anyOf: [{ type: 'string' }, { type: 'null' }] }), []);
+  assert.deepEqual(validateAgainstSchema(1, { oneOf: [{ type: 'number' }, { type: 'integer' }] }),
+    ['$: must match exactly one schema in oneOf (matched 2)']);
+});
+
+test('assertValidSchema rejects invalid patterns in nested subschemas', () => {
+  const schema = { type: 'object', properties: { items: { type: 'array', items: { type: 'string', pattern: '([a-z]' } } } };
+  assert.throws(() => assertValidSchema(schema), (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.match(error.message, /\$\.properties\.items\.items/);
+    return true;
+  });
+  assert.throws(() => assertValidSchema({ anyOf: [{ type: 'string' }, { type: 'string', pattern: '*' }] }), /\$\.anyOf\[1\]/);
+});
+
+test('assertValidSchema rejects unsupported keywords instead of ignoring them', () => {
+  assert.throws(() => assertValidSchema({ type: 'object', properties: { a: { $ref: '#/$defs/a' } } }), /Unsupported keyword "\$ref"/);
+  assert.throws(() => assertValidSchema({ type: 'array', uniqueItems: true }), /uniqueItems/);
+  assert.throws(() => assertValidSchema({ type: 'array', items: [{ type: 'string' }] }), /Tuple-form/);
+});
+
+test('assertValidSchema rejects malformed keywords', () => {
+  assert.throws(() => assertValidSchema([]), ValidationError);
+  assert.throws(() => assertValidSchema({ description: 'nothing to validate' }), ValidationError);
+  assert.throws(() => assertValidSchema({ type: 'text' }), /Invalid type "text"/);
+  assert.throws(() => assertValidSchema({ type: 'object', required: 'name' }), /"required"/);
+  assert.doesNotThrow(() => assertValidSchema({ ...product, title: 'Product', description: 'A product' }));
+});
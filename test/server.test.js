@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHttpServer } from '../server.js';
+import { CircuitOpenError, RateLimitError, TimeoutError, UpstreamError, UrlBlockedError, ValidationError } from '../errors.js';
+
+/**
+ * 按查询内容抛出指定错误的 skill 替身
+ */
+function fakeSkill(errors = {}) {
+  return {
+    getInfo: () => ({ name: 'gemini-search' }),
+    async execute(command, params) {
+      const target = params.query || params.url;
+      if (errors[target]) throw errors[target];
+      if (target === 'slow') await new Promise(resolve => setTimeout(resolve, 300));
+      return { command, target };
+    }
+  };
+}
+
+async function listen(skill, options) {
+  const server = createHttpServer(skill, options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return {
+    request: (path, { body, headers = {}, method = body === undefined ? 'GET' : 'POST' } = {}) => fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: typeof body === 'string' ? body : body && JSON.stringify(body)
+    }),
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+test('a configured token is required everywhere except /health', async () => {
+  const api = await listen(fakeSkill(), { token: 'secret' });
+  try {
+    assert.equal((await api.request('/health')).status, 200);
+
+    const missing = await api.request('/search', { body: { query: 'q' } });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+    assert.equal((await missing.json()).error.code, 'UNAUTHORIZED');
+
+    const wrong = await api.request('/info', { headers: { Authorization: 'Bearer secreT' } });
+    assert.equal(wrong.status, 401);
+
+    const ok = await api.request('/search', { body: { query: 'q' }, headers: { Authorization: 'Bearer secret' } });
+    assert.equal(ok.status, 200);
+    assert.deepEqual(await ok.json(), { command: 'search', target: 'q' });
+  } finally {
+    await api.close();
+  }
+});
+
+test('command errors map to HTTP status codes', async () => {
+  const api = await listen(fakeSkill({
+    invalid: new ValidationError('bad input'),
+    blocked: new UrlBlockedError('blocked'),
+    limited: new RateLimitError('slow down', { retryAfter: 1500 }),
+    open: new CircuitOpenError('open', { retryAfter: 2000 }),
+    timeout: new TimeoutError('timeout'),
+    upstream: new UpstreamError('bad gateway', { status: 500 }),
+    plain: new Error('boom')
+  }));
+
+  try {
+    const expected = {
+      invalid: [400, 'VALIDATION_ERROR'],
+      blocked: [403, 'URL_BLOCKED'],
+      limited: [429, 'RATE_LIMITED'],
+      open: [503, 'CIRCUIT_OPEN'],
+      timeout: [504, 'TIMEOUT'],
+      upstream: [502, 'UPSTREAM_ERROR'],
+      plain: [502, 'UPSTREAM_ERROR']
+    };
+    for (const [query, [status, code]] of Object.entries(expected)) {
+      const response = await api.request('/search', { body: { query } });
+      const body = await response.json();
+      assert.deepEqual([response.status, body.success, body.error.code], [status, false, code], query);
+    }
+
+    const limited = await api.request('/search', { body: { query: 'limited' } });
+    assert.equal(limited.headers.get('retry-after'), '2');
+  } finally {
+    await api.close();
+  }
+});
+
+test('requests are validated before the command runs', async () => {
+  const api = await listen(fakeSkill(), { maxBodySize: 64 });
+  try {
+    const cases = [
+      [await api.request('/search', { body: {} }), 400, 'VALIDATION_ERROR'],
+      [await api.request('/search', { body: '{oops' }), 400, 'INVALID_JSON'],
+      [await api.request('/search', { body: '[1]' }), 400, 'INVALID_BODY'],
+      [await api.request('/search', { body: { query: 'x'.repeat(100) } }), 413, 'PAYLOAD_TOO_LARGE'],
+      [await api.request('/search', { body: 'q', headers: { 'Content-Type': 'text/plain' } }), 415, 'UNSUPPORTED_MEDIA_TYPE'],
+      [await api.request('/missing'), 404, 'NOT_FOUND'],
+      [await api.request('/search'), 405, 'METHOD_NOT_ALLOWED']
+    ];
+    for (const [response, status, code] of cases) {
+      assert.deepEqual([response.status, (await response.json()).error.code], [status, code]);
+    }
+  } finally {
+    await api.close();
+  }
+});
+
+test('concurrent requests from one client are limited', async () => {
+  const api = await listen(fakeSkill(), { maxConcurrency: 1 });
+  try {
+    const [first, second] = await Promise.all([
+      api.request('/search', { body: { query: 'slow' } }),
+      new Promise(resolve => setTimeout(resolve, 20)).then(() => api.request('/search', { body: { query: 'fast' } }))
+    ]);
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 429);
+    assert.equal((await second.json()).error.code, 'TOO_MANY_REQUESTS');
+
+    assert.equal((await api.request('/search', { body: { query: 'fast' } })).status, 200);
+  } finally {
+    await api.close();
+  }
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import SessionStore, { describeTurn, trimHistory, validateSessionId } from '../sessions.js';
+import { createSkill } from '../index.js';
+import { ValidationError } from '../errors.js';
+import { chatCompletion, silent, startApi, tempDir } from './helpers.js';
+
+const turn = (request, response) => ({ command: 'search', request, response });
+
+test('validateSessionId accepts file-safe IDs only', () => {
+  assert.equal(validateSessionId('db-2025.v1_a'), 'db-2025.v1_a');
+  for (const id of ['', '-x', '../etc', 'a/b', 'x'.repeat(65), 42]) {
+    assert.throws(() => validateSessionId(id), ValidationError, String(id));
+  }
+});
+
+test('trimHistory keeps the most recent turns that fit and truncates an oversized last turn', () => {
+  const turns = [turn('one', 'a'.repeat(400)), turn('two', 'b'.repeat(400)), turn('three', 'c'.repeat(400))];
+
+  const all = trimHistory(turns, 10000);
+  assert.deepEqual([all.turns.length, all.dropped], [3, 0]);
+
+  const recent = trimHistory(turns, 250);
+  assert.deepEqual(recent.turns.map(t => t.request), ['two', 'three']);
+  assert.equal(recent.dropped, 1);
+  assert.ok(recent.tokens <= 250);
+
+  const truncated = trimHistory(turns, 50);
+  assert.equal(truncated.turns.length, 1);
+  assert.match(truncated.turns[0].response, /^c+\n\[truncated\]$/);
+  assert.ok(truncated.tokens <= 50);
+
+  assert.deepEqual(trimHistory(turns, 5).turns, []);
+});
+
+test('describeTurn numbers search results so follow-ups can refer to them', () => {
+  const described = describeTurn('search', { query: 'q' }, {
+    query: 'q',
+    results: { results: [{ title: 'A', url: 'https://a.com/', snippet: 'about a', publishedAt: '2025-01-01' }], summary: 'sum' }
+  });
+  assert.equal(described.request, 'Search: q');
+  assert.equal(described.response, '[1] A\nURL: https://a.com/\nPublished: 2025-01-01\nabout a\n\nSummary: sum');
+  assert.equal(describeTurn('fetch', { url: 'u', prompt: 'p' }, { title: 'T', content: 'body' }).request, 'Fetch: u\nInstructions: p');
+  assert.throws(() => describeTurn('watch', {}, {}), ValidationError);
+});
+
+test('concurrent appends to one session keep every turn and leave no temp files', async (t) => {
+  const dir = await tempDir(t);
+  const store = new SessionStore({ dir });
+
+  await Promise.all(Array.from({ length: 20 }, (_, index) => store.append('s1', turn(`q${index}`, 'r'))));
+
+  const session = await store.get('s1');
+  assert.deepEqual(session.turns.map(t => t.request), Array.from({ length: 20 }, (_, index) => `q${index}`));
+  assert.deepEqual(await fs.readdir(dir), ['s1.json']);
+  assert.equal(store.writes.size, 0);
+  assert.deepEqual((await store.list()).map(s => [s.id, s.turns, s.title]), [['s1', 20, 'q0']]);
+  assert.equal(await store.delete('s1'), true);
+  assert.equal(await store.get('s1'), null);
+});
+
+test('a failed append does not block later appends to the same session', async (t) => {
+  const dir = await tempDir(t);
+  const store = new SessionStore({ dir });
+  await fs.writeFile(path.join(dir, 's1.json'), '{broken');
+
+  await assert.rejects(store.append('s1', turn('q1', 'r')), /Failed to read session s1/);
+  await fs.rm(path.join(dir, 's1.json'));
+  assert.equal((await store.append('s1', turn('q2', 'r'))).turns.length, 1);
+});
+
+test('a command that succeeded still returns its result when saving the session fails', async (t) => {
+  const dir = await tempDir(t);
+  const blocked = path.join(dir, 'not-a-directory');
+  await fs.writeFile(blocked, '');
+  const api = await startApi([chatCompletion('{"results": [], "summary": "ok"}')]);
+  t.after(() => api.close());
+
+  const skill = createSkill({ baseUrl: api.baseUrl, apiKey: 'key', cache: false, fixtures: false, sessions: { dir: blocked } });
+  skill.logger = silent.child('skill');
+
+  const result = await skill.execute('search', { query: 'q', sessionId: 's1' });
+  assert.equal(result.success, true);
+  assert.equal(result.sessionId, 's1');
+  assert.match(result.sessionWarning, /^Failed to save session turn: /);
+});
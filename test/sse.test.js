@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readSseData } from '../sse.js';
+import GeminiSearch from '../search.js';
+import { silent, startServer } from './helpers.js';
+
+/**
+ * 把字符串按给定分块构造为响应体
+ */
+function streamOf(chunks) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) {
+        controller.enqueue(typeof chunk === 'string' ? encoder.encode(chunk) : chunk);
+      }
+      controller.close();
+    }
+  });
+}
+
+async function collect(chunks) {
+  const events = [];
+  for await (const data of readSseData(streamOf(chunks))) {
+    events.push(data);
+  }
+  return events;
+}
+
+test('readSseData joins multi-line data and ignores comments and other fields', async () => {
+  const events = await collect([': keep-alive\n\nevent: message\nid: 1\ndata: first\ndata: second\n\ndata:third\n\n']);
+  assert.deepEqual(events, ['first\nsecond', 'third']);
+});
+
+test('readSseData handles \\r\\n split across chunks', async () => {
+  const events = await collect(['data: a\r', '\ndata: b\r\n\r', '\ndata: c\r\n\r\n']);
+  assert.deepEqual(events, ['a\nb', 'c']);
+});
+
+test('readSseData accepts bare \\r line endings and a final event without a blank line', async () => {
+  assert.deepEqual(await collect(['data: a\r\rdata: b\r']), ['a', 'b']);
+});
+
+test('readSseData decodes multi-byte characters split across chunks', async () => {
+  const bytes = new TextEncoder().encode('data: 中文\n\n');
+  assert.deepEqual(await collect([bytes.subarray(0, 8), bytes.subarray(8)]), ['中文']);
+});
+
+test('callGeminiStream yields the text deltas of a streamed response', async () => {
+  const chunks = [
+    { choices: [{ delta: { content: 'Hel' } }] },
+    { choices: [{ delta: { content: 'lo' } }], usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } }
+  ];
+  const server = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const chunk of chunks) {
+      res.write(`data: ${JSON.stringify(chunk)}\r\n\r\n`);
+    }
+    res.end('data: [DONE]\r\n\r\n');
+  });
+
+  try {
+    const engine = new GeminiSearch(server.baseUrl, 'key', { logger: silent });
+    let text = '';
+    for await (const delta of engine.callGeminiStream([{ role: 'user', content: 'hi' }])) {
+      text += delta;
+    }
+    assert.equal(text, 'Hello');
+    assert.equal(engine.usage.summary().totalTokens, 5);
+  } finally {
+    await server.close();
+  }
+});
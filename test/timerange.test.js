@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTimeWindow, isWithinTimeWindow, normalizePublishedAt, parseTimeRange } from '../timerange.js';
+import { normalizeSearchResults } from '../results.js';
+import { ValidationError } from '../errors.js';
+
+const now = new Date('2025-03-31T12:30:00Z');
+
+test('parseTimeRange resolves relative ranges against the current time', () => {
+  assert.deepEqual(parseTimeRange('24h', now), { input: '24h', from: '2025-03-30T12:30:00.000Z', to: '2025-03-31T12:30:00.000Z', precision: 'hour' });
+  assert.equal(parseTimeRange('7d', now).from, '2025-03-24T12:30:00.000Z');
+  assert.equal(parseTimeRange('2w', now).from, '2025-03-17T12:30:00.000Z');
+  // 按日历月计算，3 月 31 日的一个月前是 2 月 28 日
+  assert.equal(parseTimeRange('1m', now).from, '2025-02-28T12:30:00.000Z');
+  assert.equal(parseTimeRange('1y', now).from, '2024-03-31T12:30:00.000Z');
+  assert.equal(parseTimeRange('', now), null);
+});
+
+test('parseTimeRange accepts absolute and open ranges that include whole days', () => {
+  assert.deepEqual(parseTimeRange('2025-01-01..2025-01-31', now), {
+    input: '2025-01-01..2025-01-31',
+    from: '2025-01-01T00:00:00.000Z',
+    to: '2025-01-31T23:59:59.999Z',
+    precision: 'day'
+  });
+  assert.equal(parseTimeRange('since:2025-03-01', now).from, '2025-03-01T00:00:00.000Z');
+});
+
+test('parseTimeRange rejects invalid ranges with a ValidationError', () => {
+  for (const value of ['week', '0d', '1001d', '2025-02-30..2025-03-01', '2025-03-02..2025-03-01', 'since:2026-01-01', 42]) {
+    assert.throws(() => parseTimeRange(value, now), ValidationError, String(value));
+  }
+});
+
+test('formatTimeWindow shows dates for day precision and minutes for hour precision', () => {
+  assert.deepEqual(formatTimeWindow(parseTimeRange('7d', now)), { from: '2025-03-24', to: '2025-03-31' });
+  assert.deepEqual(formatTimeWindow(parseTimeRange('2h', now)), { from: '2025-03-31 10:30 UTC', to: '2025-03-31 12:30 UTC' });
+});
+
+test('normalizePublishedAt keeps dates and converts timestamps to ISO', () => {
+  assert.equal(normalizePublishedAt('2025-03-01'), '2025-03-01');
+  assert.equal(normalizePublishedAt('2025-03-01T08:00:00+08:00'), '2025-03-01T00:00:00.000Z');
+  assert.equal(normalizePublishedAt('2025-02-30'), null);
+  assert.equal(normalizePublishedAt('recently'), null);
+  assert.equal(normalizePublishedAt(null), null);
+});
+
+test('date-only publish dates count as inside the window when the day overlaps it', () => {
+  const window = parseTimeRange('24h', now);
+  assert.equal(isWithinTimeWindow('2025-03-30', window), true);
+  assert.equal(isWithinTimeWindow('2025-03-29', window), false);
+  assert.equal(isWithinTimeWindow('2025-03-30T12:00:00.000Z', window), false);
+  assert.equal(isWithinTimeWindow(null, window), null);
+});
+
+test('search results outside the window are kept but flagged', () => {
+  const { results } = normalizeSearchResults([
+    { title: 'new', url: 'https://a.com/', snippet: 's', source: 'a', publishedAt: '2025-03-30' },
+    { title: 'old', url: 'https://b.com/', snippet: 's', source: 'b', publishedAt: '2024-01-01' },
+    { title: 'undated', url: 'https://c.com/', snippet: 's', source: 'c', publishedAt: '' }
+  ], { timeWindow: parseTimeRange('7d', now) });
+
+  assert.deepEqual(results.map(result => result.withinTimeRange), [true, false, null]);
+  assert.deepEqual(results[1].warnings, ['publishedAt 2024-01-01 is outside timeRange 7d']);
+});
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import UrlPolicy, { classifyAddress, parseDomainList } from '../url-policy.js';
+import { fetchPage, resolveRedirect } from '../fetcher.js';
+import { createSkill } from '../index.js';
+import { UrlBlockedError, ValidationError } from '../errors.js';
+import { chatCompletion, silent, startApi, startServer, tempDir } from './helpers.js';
+
+/**
+ * 固定解析结果的 DNS 查询函数
+ */
+const resolvesTo = (...addresses) => async () => addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+test('classifyAddress blocks private, loopback, link-local and reserved ranges', () => {
+  assert.equal(classifyAddress('127.0.0.1'), 'loopback');
+  assert.equal(classifyAddress('10.1.2.3'), 'private');
+  assert.equal(classifyAddress('172.31.255.255'), 'private');
+  assert.equal(classifyAddress('192.168.0.1'), 'private');
+  assert.equal(classifyAddress('169.254.169.254'), 'link-local');
+  assert.equal(classifyAddress('100.64.0.1'), 'carrier-grade NAT');
+  assert.equal(classifyAddress('0.0.0.0'), 'unspecified');
+  assert.equal(classifyAddress('::1'), 'loopback');
+  assert.equal(classifyAddress('fd00::1'), 'private');
+  assert.equal(classifyAddress('fe80::1%eth0'), 'link-local');
+  assert.equal(classifyAddress('8.8.8.8'), null);
+  assert.equal(classifyAddress('172.32.0.1'), null);
+  assert.equal(classifyAddress('2606:4700::1111'), null);
+});
+
+test('classifyAddress checks the IPv4 address embedded in mapped and NAT64 IPv6 addresses', () => {
+  assert.equal(classifyAddress('::ffff:127.0.0.1'), 'loopback');
+  assert.equal(classifyAddress('::ffff:a9fe:a9fe'), 'link-local');
+  assert.equal(classifyAddress('64:ff9b::10.0.0.1'), 'private');
+  assert.equal(classifyAddress('::ffff:8.8.8.8'), null);
+});
+
+test('parseDomainList normalizes entries and rejects URLs', () => {
+  assert.deepEqual(parseDomainList(' Example.com ,*.docs.python.org,example.com.'), ['example.com', 'docs.python.org']);
+  assert.throws(() => parseDomainList('http://x'), ValidationError);
+});
+
+test('check rejects non-http protocols', async () => {
+  const policy = new UrlPolicy({ lookup: resolvesTo('93.184.216.34') });
+  await assert.rejects(policy.check('file:///etc/passwd'), UrlBlockedError);
+  await assert.rejects(policy.check('ftp://example.com/'), UrlBlockedError);
+});
+
+test('check rejects hosts when any resolved address is private', async () => {
+  const policy = new UrlPolicy({ lookup: resolvesTo('93.184.216.34', '10.0.0.5') });
+  await assert.rejects(policy.check('https://example.com/'), (error) => {
+    assert.ok(error instanceof UrlBlockedError);
+    assert.match(error.reason, /resolves to private address 10\.0\.0\.5/);
+    return true;
+  });
+});
+
+test('check rejects literal and mapped IPv6 addresses without resolving them', async () => {
+  const policy = new UrlPolicy({ lookup: () => assert.fail('literal addresses must not be resolved') });
+  await assert.rejects(policy.check('http://[::ffff:127.0.0.1]/'), UrlBlockedError);
+  await assert.rejects(policy.check('http://169.254.169.254/latest/meta-data/'), UrlBlockedError);
+});
+
+test('check applies the denylist before the allowlist and matches subdomains', async () => {
+  const policy = new UrlPolicy({
+    allowDomains: 'example.com',
+    denyDomains: 'internal.example.com',
+    lookup: resolvesTo('93.184.216.34')
+  });
+  await policy.check('https://docs.example.com/');
+  await assert.rejects(policy.check('https://internal.example.com./'), /denylist/);
+  await assert.rejects(policy.check('https://example.org/'), /allowlist/);
+});
+
+test('allowPrivateNetworks skips the address check but keeps domain lists', async () => {
+  const policy = new UrlPolicy({ allowPrivateNetworks: '1', denyDomains: 'blocked.test' });
+  await policy.check('http://127.0.0.1/');
+  await assert.rejects(policy.check('http://blocked.test/'), UrlBlockedError);
+});
+
+test('fetchPage checks every redirect hop against the policy', async () => {
+  const server = await startServer((req, res) => {
+    const targets = {
+      '/to-denied': 'http://blocked.test/',
+      '/to-file': 'file:///etc/passwd',
+      '/to-page': '/page'
+    };
+    if (targets[req.url]) {
+      res.writeHead(302, { Location: targets[req.url] });
+      res.end('redirect body');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('hello');
+  });
+  const base = server.baseUrl;
+  // 测试服务在本机，因此允许内网地址，只用黑名单验证重定向检查
+  const urlPolicy = new UrlPolicy({ allowPrivateNetworks: true, denyDomains: 'blocked.test' });
+
+  try {
+    await assert.rejects(fetchPage(`${base}/to-denied`, { urlPolicy }), (error) => {
+      assert.ok(error instanceof UrlBlockedError);
+      assert.equal(error.url, 'http://blocked.test/');
+      return true;
+    });
+    await assert.rejects(fetchPage(`${base}/to-file`, { urlPolicy }), UrlBlockedError);
+
+    const page = await fetchPage(`${base}/to-page`, { urlPolicy });
+    assert.equal(page.content, 'hello');
+    assert.deepEqual(page.redirects, [`${base}/to-page`]);
+
+    await assert.rejects(fetchPage(`${base}/`, { urlPolicy: new UrlPolicy() }), /loopback/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('resolveRedirect checks the redirect link before requesting it', async (t) => {
+  const server = await startServer((req, res) => {
+    res.writeHead(302, { Location: 'http://10.0.0.1/internal' });
+    res.end();
+  });
+  t.after(() => server.close());
+  let requests = 0;
+  server.server.on('request', () => { requests++; });
+
+  await assert.rejects(resolveRedirect(`${server.baseUrl}/r`, { urlPolicy: new UrlPolicy() }), /loopback/);
+  assert.equal(requests, 0);
+
+  // Location 只解析不访问，因此不检查
+  assert.equal(await resolveRedirect(`${server.baseUrl}/r`, { urlPolicy: new UrlPolicy({ allowPrivateNetworks: true }) }), 'http://10.0.0.1/internal');
+});
+
+test('cached fetch results are not returned for URLs the policy now blocks', async (t) => {
+  const dir = await tempDir(t);
+  const site = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('internal page');
+  });
+  const api = await startApi([chatCompletion('analysis')]);
+  t.after(() => Promise.all([site.close(), api.close()]));
+
+  const skill = (options) => {
+    const created = createSkill({ baseUrl: api.baseUrl, apiKey: 'key', fixtures: false, cache: { dir }, ...options });
+    created.logger = silent.child('skill');
+    return created;
+  };
+  const params = { url: `${site.baseUrl}/doc`, prompt: 'summarize' };
+
+  assert.equal((await skill({ allowPrivateUrls: true }).execute('fetch', params)).cached, false);
+  assert.equal((await skill({ allowPrivateUrls: true }).execute('fetch', params)).cached, true);
+  await assert.rejects(skill({ allowPrivateUrls: false }).execute('fetch', params), UrlBlockedError);
+  assert.equal(api.requests.length, 1);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import UsageTracker, { currentUsage, DEFAULT_PRICES, estimateTokens, loadPrices, withUsageScope } from '../usage.js';
+import { tempDir } from './helpers.js';
+
+const usage = (promptTokens, completionTokens) => ({ promptTokens, completionTokens, totalTokens: promptTokens + completionTokens });
+
+test('loadPrices merges JSON or @file price tables with the defaults', async (t) => {
+  assert.deepEqual(loadPrices(''), DEFAULT_PRICES);
+  assert.deepEqual(loadPrices('{"custom": {"input": 1, "output": 2}}').custom, { input: 1, output: 2 });
+
+  const file = path.join(await tempDir(t), 'prices.json');
+  await fs.writeFile(file, '{"gemini-2.5-flash": {"input": 9, "output": 9}}');
+  assert.deepEqual(loadPrices(`@${file}`)['gemini-2.5-flash'], { input: 9, output: 9 });
+
+  assert.throws(() => loadPrices('{oops'), /Invalid price table JSON/);
+  assert.throws(() => loadPrices('{"m": {"input": "1"}}'), /Invalid price for model m/);
+  assert.throws(() => loadPrices('@/nonexistent/prices.json'), /Failed to read price table/);
+});
+
+test('priceFor matches exact names first and then the longest prefix', () => {
+  const tracker = new UsageTracker();
+  assert.equal(tracker.priceFor('models/gemini-2.5-flash'), DEFAULT_PRICES['gemini-2.5-flash']);
+  assert.equal(tracker.priceFor('gemini-2.5-flash-lite-preview-06-17'), DEFAULT_PRICES['gemini-2.5-flash-lite']);
+  assert.equal(tracker.priceFor('gpt-4o'), null);
+  assert.equal(tracker.estimateCost('gemini-2.5-flash', usage(1e6, 1e6)), 2.8);
+});
+
+test('record adds to the session, the model and every enclosing scope', async () => {
+  const tracker = new UsageTracker();
+  tracker.record('gemini-2.5-flash', usage(1000, 0));
+
+  const outer = await withUsageScope(async () => {
+    tracker.record('gemini-2.5-flash', usage(100, 10));
+    const inner = await withUsageScope(async () => {
+      tracker.record('unknown-model', usage(5, 5));
+      tracker.record('unknown-model', null);
+      return currentUsage();
+    });
+    assert.deepEqual([inner.result.calls, inner.result.unreportedCalls], [2, 1]);
+    assert.equal(inner.usage.cost, null, 'cost is unknown when a model has no price');
+    return currentUsage().totalTokens;
+  });
+
+  assert.equal(outer.result, 120);
+  assert.deepEqual([outer.usage.calls, outer.usage.totalTokens, outer.usage.cost], [3, 120, null]);
+
+  const summary = tracker.summary();
+  assert.deepEqual([summary.calls, summary.unreportedCalls, summary.totalTokens], [4, 1, 1120]);
+  assert.equal(summary.models['gemini-2.5-flash'].cost, 0.000355);
+  assert.equal(currentUsage(), null);
+});
+
+test('estimateTokens counts CJK characters individually', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('abcdefgh'), 2);
+  assert.equal(estimateTokens('中文abcd'), 3);
+});
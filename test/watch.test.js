@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { diffLines, parseInterval, runWatch } from '../watch.js';
+import { createSkill } from '../index.js';
+import { UrlBlockedError, ValidationError } from '../errors.js';
+import { silent, startServer, tempDir } from './helpers.js';
+
+/**
+ * 日志静默、不使用缓存和 fixture 的 Skill
+ */
+function quietSkill(options = {}) {
+  const skill = createSkill({ baseUrl: 'http://127.0.0.1:1', apiKey: 'key', cache: false, fixtures: false, ...options });
+  skill.logger = silent.child('skill');
+  return skill;
+}
+
+test('diffLines reports no changes for identical text', () => {
+  assert.deepEqual(diffLines('a\nb', 'a\nb'), { added: 0, removed: 0, text: '', truncated: false });
+});
+
+test('diffLines produces unified hunks with context', () => {
+  const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9'].join('\n');
+  const after = ['1', '2', '3', 'four', '5', '6', '7', '8', '9', '10'].join('\n');
+  const diff = diffLines(before, after, { context: 1 });
+
+  assert.equal(diff.added, 2);
+  assert.equal(diff.removed, 1);
+  assert.equal(diff.text, [
+    '@@ -3,3 +3,3 @@',
+    ' 3',
+    '-4',
+    '+four',
+    ' 5',
+    '@@ -9,1 +9,2 @@',
+    ' 9',
+    '+10'
+  ].join('\n'));
+});
+
+test('diffLines merges nearby changes into one hunk', () => {
+  const diff = diffLines('a\nb\nc\nd', 'A\nb\nc\nD', { context: 1 });
+  assert.equal(diff.text.split('\n').filter(line => line.startsWith('@@')).length, 1);
+});
+
+test('diffLines truncates long diffs', () => {
+  const before = Array.from({ length: 50 }, (_, i) => `old ${i}`).join('\n');
+  const after = Array.from({ length: 50 }, (_, i) => `new ${i}`).join('\n');
+  const diff = diffLines(before, after, { maxLines: 10 });
+
+  assert.equal(diff.truncated, true);
+  assert.equal(diff.added, 50);
+  assert.equal(diff.removed, 50);
+  assert.deepEqual(diff.text.split('\n').slice(10), ['... 91 more diff lines']);
+});
+
+test('parseInterval accepts seconds and unit suffixes', () => {
+  assert.equal(parseInterval('90'), 90000);
+  assert.equal(parseInterval('15m'), 900000);
+  assert.throws(() => parseInterval('5s'));
+});
+
+test('page watches report text diffs with a request ID and usage, bypassing the cache', async (t) => {
+  const dir = await tempDir(t);
+  let price = '$10';
+  const site = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(`<html><head><title>Pricing</title></head><body><main><h1>Plans</h1><p>Pro costs ${price} per month.</p></main></body></html>`);
+  });
+  t.after(() => site.close());
+  const skill = quietSkill({ allowPrivateUrls: true, cache: { dir: path.join(dir, 'cache') } });
+  const target = `${site.baseUrl}/pricing`;
+
+  const first = await runWatch(skill, { target, dir });
+  assert.deepEqual([first.kind, first.firstRun, first.changed, first.title], ['page', true, false, 'Pricing']);
+  assert.match(first.requestId, /^[0-9a-f]{12}$/);
+  assert.equal(first.usage.calls, 0);
+
+  price = '$20';
+  const second = await runWatch(skill, { target, dir });
+  assert.equal(second.changed, true);
+  assert.deepEqual([second.diff.added, second.diff.removed], [1, 1]);
+  assert.notEqual(second.requestId, first.requestId);
+  await assert.rejects(fs.access(path.join(dir, 'cache')), { code: 'ENOENT' });
+});
+
+test('page watches go through the URL policy and reject invalid URLs', async (t) => {
+  const dir = await tempDir(t);
+  await assert.rejects(runWatch(quietSkill(), { target: 'http://127.0.0.1:1/', dir }), UrlBlockedError);
+  await assert.rejects(runWatch(quietSkill(), { target: 'http://exa mple.com/', kind: 'page', dir }), ValidationError);
+});
@@ -0,0 +1,202 @@
+/**
+ * 时间范围模块
+ * 解析 timeRange 参数并按当前时间换算为具体的 UTC 时间窗口，供搜索提示词和结果检查使用
+ */
+
+import { ValidationError } from './errors.js';
+
+// 相对时间单位对应的毫秒数，m / y 按日历月、年计算
+const UNIT_MS = {
+  h: 3600 * 1000,
+  d: 24 * 3600 * 1000,
+  w: 7 * 24 * 3600 * 1000
+};
+
+const MAX_RELATIVE_AMOUNT = 1000;
+
+const TIME_RANGE_FORMATS = '1h, 7d, 2w, 3m, 1y, YYYY-MM-DD..YYYY-MM-DD or since:YYYY-MM-DD';
+
+/**
+ * 解析 YYYY-MM-DD 日期，返回当天 00:00 UTC
+ * @private
+ */
+function parseDate(text, input) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (match) {
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // 拒绝 2025-02-30 这类会被 Date 自动进位的日期
+    if (date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day) {
+      return date;
+    }
+  }
+  throw new ValidationError(`Invalid date in timeRange "${input}": ${text} (expected YYYY-MM-DD)`);
+}
+
+/**
+ * 按日历月向前推移，日期超出目标月份天数时取该月最后一天
+ * @private
+ */
+function subtractMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() - months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+/**
+ * 当天 23:59:59.999 UTC
+ * @private
+ */
+function endOfDay(date) {
+  return new Date(date.getTime() + UNIT_MS.d - 1);
+}
+
+/**
+ * 解析时间范围
+ * 支持相对范围 Nh / Nd / Nw / Nm / Ny（N 小时、天、周、月、年内）、
+ * 绝对范围 YYYY-MM-DD..YYYY-MM-DD（包含首尾两天）和开放范围 since:YYYY-MM-DD，日期均按 UTC 计算
+ * @param {string} value - timeRange 参数
+ * @param {Date} now - 当前时间 (默认: new Date())
+ * @returns {{input: string, from: string, to: string, precision: string}|null} 时间窗口 (from / to 为 ISO 时间，precision 为 hour 或 day)，未设置时返回 null
+ * @throws {ValidationError} 格式无效时抛出
+ */
+export function parseTimeRange(value, now = new Date()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (typeof value !== 'string') {
+    throw new ValidationError('timeRange must be a string');
+  }
+
+  const input = value.trim();
+  let from;
+  let to = now;
+  let precision = 'day';
+
+  const relative = /^(\d+)\s*([hdwmy])$/i.exec(input);
+  const since = /^since:\s*(.+)$/i.exec(input);
+  const range = /^(.+?)\s*\.\.\s*(.+)$/.exec(input);
+
+  if (relative) {
+    const amount = parseInt(relative[1], 10);
+    const unit = relative[2].toLowerCase();
+
+    if (amount < 1 || amount > MAX_RELATIVE_AMOUNT) {
+      throw new ValidationError(`timeRange amount must be between 1 and ${MAX_RELATIVE_AMOUNT}: ${input}`);
+    }
+
+    if (unit === 'm') {
+      from = subtractMonths(now, amount);
+    } else if (unit === 'y') {
+      from = subtractMonths(now, amount * 12);
+    } else {
+      from = new Date(now.getTime() - amount * UNIT_MS[unit]);
+    }
+
+    if (unit === 'h') {
+      precision = 'hour';
+    }
+  } else if (since) {
+    from = parseDate(since[1].trim(), input);
+    if (from > now) {
+      throw new ValidationError(`timeRange start date is in the future: ${input}`);
+    }
+  } else if (range) {
+    from = parseDate(range[1], input);
+    to = endOfDay(parseDate(range[2], input));
+    if (from > to) {
+      throw new ValidationError(`timeRange start date is after end date: ${input}`);
+    }
+  } else {
+    throw new ValidationError(`Invalid timeRange: ${input}. Supported formats: ${TIME_RANGE_FORMATS}`);
+  }
+
+  return {
+    input,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    precision
+  };
+}
+
+/**
+ * 将时间窗口格式化为提示词中的文字，按天精度时只显示日期
+ * @param {Object} window - parseTimeRange 返回的时间窗口
+ * @returns {{from: string, to: string}} 格式化后的起止时间
+ */
+export function formatTimeWindow(window) {
+  const format = (iso) => (window.precision === 'hour'
+    ? `${iso.slice(0, 16).replace('T', ' ')} UTC`
+    : iso.slice(0, 10));
+
+  return { from: format(window.from), to: format(window.to) };
+}
+
+/**
+ * 时间窗口中由当前时间换算出的边界
+ * 相对范围的起止时间和 since: 范围的结束时间每天都在变化，返回其提示词文字到占位符 (如 <7d:from>) 的映射，
+ * 录制 / 回放按占位符计算 fixture 键，同一相对范围在不同日期回放时仍能命中
+ * @param {Object|null} window - parseTimeRange 返回的时间窗口
+ * @returns {Object|null} 文字到占位符的映射，没有随时间变化的边界时返回 null
+ */
+export function timeWindowPlaceholders(window) {
+  if (!window) {
+    return null;
+  }
+
+  const relative = /^\d+\s*[hdwmy]$/i.test(window.input);
+  const since = /^since:/i.test(window.input);
+  if (!relative && !since) {
+    return null;
+  }
+
+  const { from, to } = formatTimeWindow(window);
+  return relative
+    ? { [from]: `<${window.input}:from>`, [to]: `<${window.input}:to>` }
+    : { [to]: `<${window.input}:to>` };
+}
+
+/**
+ * 规范化发布日期
+ * 只有日期的值保留为 YYYY-MM-DD，带时间的值转换为 ISO 时间
+ * @param {any} value - 模型返回的发布日期
+ * @returns {string|null} 规范化后的日期，缺失或无法解析时返回 null
+ */
+export function normalizePublishedAt(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+
+  const text = value.trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    try {
+      return parseDate(text, text).toISOString().slice(0, 10);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const time = Date.parse(text);
+  return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * 检查发布日期是否在时间窗口内
+ * 只有日期的发布日期按整天计算，与窗口有重叠即视为在窗口内
+ * @param {string|null} publishedAt - normalizePublishedAt 的结果
+ * @param {Object} window - parseTimeRange 返回的时间窗口
+ * @returns {boolean|null} 无发布日期时返回 null
+ */
+export function isWithinTimeWindow(publishedAt, window) {
+  if (!publishedAt) return null;
+
+  const start = Date.parse(publishedAt);
+  const end = publishedAt.length === 10 ? start + UNIT_MS.d - 1 : start;
+
+  return end >= Date.parse(window.from) && start <= Date.parse(window.to);
+}
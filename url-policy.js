@@ -0,0 +1,204 @@
+/**
+ * URL 安全策略模块
+ * 在下载网页前 (以及每次重定向后) 检查目标 URL，防止通过 fetch 访问本机和内网服务 (SSRF)：
+ * 只允许 http / https，按域名白名单和黑名单过滤，解析 DNS 后拒绝私有、回环和链路本地等地址
+ */
+
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { UrlBlockedError, UpstreamError, ValidationError } from './errors.js';
+import { matchesDomain } from './results.js';
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+// 禁止访问的地址段及原因
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4', 'unspecified'],
+  ['10.0.0.0', 8, 'ipv4', 'private'],
+  ['100.64.0.0', 10, 'ipv4', 'carrier-grade NAT'],
+  ['127.0.0.0', 8, 'ipv4', 'loopback'],
+  ['169.254.0.0', 16, 'ipv4', 'link-local'],
+  ['172.16.0.0', 12, 'ipv4', 'private'],
+  ['192.0.0.0', 24, 'ipv4', 'reserved'],
+  ['192.168.0.0', 16, 'ipv4', 'private'],
+  ['198.18.0.0', 15, 'ipv4', 'reserved'],
+  ['224.0.0.0', 4, 'ipv4', 'multicast'],
+  ['240.0.0.0', 4, 'ipv4', 'reserved'],
+  ['::', 128, 'ipv6', 'unspecified'],
+  ['::1', 128, 'ipv6', 'loopback'],
+  ['fc00::', 7, 'ipv6', 'private'],
+  ['fe80::', 10, 'ipv6', 'link-local'],
+  ['fec0::', 10, 'ipv6', 'private'],
+  ['ff00::', 8, 'ipv6', 'multicast']
+];
+
+const BLOCKED_RULES = BLOCKED_RANGES.map(([network, prefix, type, reason]) => {
+  const list = new BlockList();
+  list.addSubnet(network, prefix, type);
+  return { list, type, reason };
+});
+
+// 内嵌 IPv4 地址的 IPv6 前缀 (前 6 组)：IPv4 映射地址 ::ffff:0:0/96 和 NAT64 地址 64:ff9b::/96
+const EMBEDDED_IPV4_PREFIXES = [
+  [0, 0, 0, 0, 0, 0xffff],
+  [0x64, 0xff9b, 0, 0, 0, 0]
+];
+
+/**
+ * 将 IPv6 地址展开为 8 个 16 位整数
+ * @private
+ */
+function expandIPv6(address) {
+  let text = address;
+  // 末尾为点分十进制的 IPv4 时先转换为两组十六进制
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail ? tail.split(':') : [];
+  const missing = tail !== undefined ? 8 - headGroups.length - tailGroups.length : 0;
+
+  return [...headGroups, ...Array(missing).fill('0'), ...tailGroups].map(group => parseInt(group, 16));
+}
+
+/**
+ * 判断 IP 地址是否属于禁止访问的地址段
+ * IPv4 映射和 NAT64 形式的 IPv6 地址按其内嵌的 IPv4 地址判断
+ * @param {string} address - IPv4 或 IPv6 地址
+ * @returns {string|null} 禁止的原因 (如 loopback、private、link-local)，允许访问时返回 null
+ */
+export function classifyAddress(address) {
+  const plain = address.replace(/%.*$/, '');
+  const family = isIP(plain);
+  if (family === 0) {
+    return 'invalid';
+  }
+
+  if (family === 6) {
+    const groups = expandIPv6(plain);
+    const embedded = EMBEDDED_IPV4_PREFIXES.some(prefix => prefix.every((value, i) => groups[i] === value));
+    if (embedded) {
+      return classifyAddress([groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.'));
+    }
+  }
+
+  const type = family === 4 ? 'ipv4' : 'ipv6';
+  const rule = BLOCKED_RULES.find(item => item.type === type && item.list.check(plain, type));
+  return rule ? rule.reason : null;
+}
+
+/**
+ * 解析域名列表：接受数组或逗号分隔的字符串，统一为小写并去除 *. 前缀和首尾的点
+ * @param {string|Array<string>} value - 域名列表
+ * @param {string} name - 用于错误信息的设置名称
+ * @returns {Array<string>} 域名列表
+ * @throws {ValidationError} 列表中含有无效的项时抛出
+ */
+export function parseDomainList(value, name = 'domain list') {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  const domains = [];
+  for (const item of items) {
+    if (typeof item !== 'string') {
+      throw new ValidationError(`${name} must contain strings`);
+    }
+    const domain = item.trim().toLowerCase().replace(/^\*\./, '').replace(/^\.+|\.+$/g, '');
+    if (!domain) continue;
+    if (/[\s/:@]/.test(domain) && !isIP(domain)) {
+      throw new ValidationError(`Invalid entry in ${name}: ${item}. Use host names such as example.com`);
+    }
+    domains.push(domain);
+  }
+  return [...new Set(domains)];
+}
+
+/**
+ * 解析布尔设置：接受布尔值或 1 / true / on / yes
+ * @private
+ */
+function parseFlag(value) {
+  return value === true || ['1', 'true', 'on', 'yes'].includes(String(value ?? '').toLowerCase());
+}
+
+class UrlPolicy {
+  /**
+   * @param {Object} options - 策略选项
+   * @param {string|Array<string>} options.allowDomains - 域名白名单 (含子域名)，设置后只允许访问这些域名 (默认: 不限制)
+   * @param {string|Array<string>} options.denyDomains - 域名黑名单 (含子域名)，优先于白名单 (默认: 无)
+   * @param {boolean} options.allowPrivateNetworks - 允许访问私有、回环和链路本地地址 (默认: false)
+   * @param {Function} options.lookup - DNS 解析函数，同 dns.promises.lookup (默认: dns.promises.lookup)
+   */
+  constructor(options = {}) {
+    this.allowDomains = parseDomainList(options.allowDomains, 'URL allowlist');
+    this.denyDomains = parseDomainList(options.denyDomains, 'URL denylist');
+    this.allowPrivateNetworks = parseFlag(options.allowPrivateNetworks);
+    this.lookup = options.lookup || lookup;
+  }
+
+  /**
+   * 解析主机名的全部地址
+   * @private
+   */
+  async _resolve(host) {
+    try {
+      const records = await this.lookup(host, { all: true, verbatim: true });
+      return records.map(record => record.address);
+    } catch (error) {
+      throw new UpstreamError(`Failed to resolve host ${host}: ${error.code || error.message}`, {
+        code: 'DNS_ERROR',
+        retryable: error.code === 'EAI_AGAIN',
+        cause: error
+      });
+    }
+  }
+
+  /**
+   * 检查 URL 是否允许访问
+   * 主机名解析出的任一地址被禁止时拒绝整个请求；下载时每次重定向都要重新检查
+   * 注意：连接时 fetch 会重新解析主机名，不会固定到这里检查过的地址，无法防御 DNS rebinding (见 README)
+   * @param {string|URL} url - 目标 URL
+   * @returns {Promise<void>}
+   * @throws {UrlBlockedError} URL 被策略拒绝时抛出
+   */
+  async check(url) {
+    const parsed = url instanceof URL ? url : new URL(url);
+    const blocked = (reason) => new UrlBlockedError(`URL blocked: ${parsed.href} (${reason})`, { url: parsed.href, reason });
+
+    if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+      throw blocked(`protocol ${parsed.protocol} is not allowed, only http and https`);
+    }
+
+    // 去掉 IPv6 的方括号和末尾的点，避免 example.com. 绕过域名匹配
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.+$/, '').toLowerCase();
+
+    if (matchesDomain(host, this.denyDomains)) {
+      throw blocked(`host ${host} is on the denylist`);
+    }
+    if (this.allowDomains.length > 0 && !matchesDomain(host, this.allowDomains)) {
+      throw blocked(`host ${host} is not on the allowlist`);
+    }
+
+    if (this.allowPrivateNetworks) {
+      return;
+    }
+
+    const addresses = isIP(host) ? [host] : await this._resolve(host);
+    for (const address of addresses) {
+      const reason = classifyAddress(address);
+      if (reason) {
+        throw blocked(address === host
+          ? `${reason} address`
+          : `host ${host} resolves to ${reason} address ${address}`);
+      }
+    }
+  }
+}
+
+export default UrlPolicy;
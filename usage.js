@@ -0,0 +1,216 @@
+/**
+ * Token 用量统计模块
+ * 记录每次模型调用的 token 用量，按 execute 调用和整个会话汇总，并按价格表估算费用
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { readFileSync } from 'fs';
+
+/**
+ * 默认价格表，单位为美元 / 百万 token
+ */
+export const DEFAULT_PRICES = {
+  'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 }
+};
+
+// 当前 execute 调用的用量作用域
+const scopeStorage = new AsyncLocalStorage();
+
+/**
+ * 解析价格表配置
+ * 支持 JSON 字符串或 @path 形式的 JSON 文件，格式为 {"模型名": {"input": 0.1, "output": 0.4}}
+ * @param {string} value - 配置值
+ * @returns {Object} 与默认价格表合并后的价格表
+ * @throws {Error} 配置无法解析时抛出
+ */
+export function loadPrices(value) {
+  if (!value) return { ...DEFAULT_PRICES };
+
+  let text = String(value).trim();
+  if (text.startsWith('@')) {
+    const file = text.slice(1);
+    try {
+      text = readFileSync(file, 'utf8');
+    } catch (e) {
+      throw new Error(`Failed to read price table ${file}: ${e.message}`);
+    }
+  }
+
+  let prices;
+  try {
+    prices = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid price table JSON: ${e.message}`);
+  }
+
+  for (const [model, price] of Object.entries(prices)) {
+    if (!price || typeof price.input !== 'number' || typeof price.output !== 'number') {
+      throw new Error(`Invalid price for model ${model}: expected {"input": number, "output": number}`);
+    }
+  }
+
+  return { ...DEFAULT_PRICES, ...prices };
+}
+
+/**
+ * 创建空的用量汇总
+ * @private
+ */
+function emptyTotals() {
+  return { calls: 0, unreportedCalls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+/**
+ * 将一次调用的用量累加到汇总
+ * @private
+ */
+function addTo(totals, usage, cost) {
+  totals.calls++;
+  if (!usage) {
+    totals.unreportedCalls++;
+    return;
+  }
+  totals.promptTokens += usage.promptTokens;
+  totals.completionTokens += usage.completionTokens;
+  totals.totalTokens += usage.totalTokens;
+  // 任一调用的模型不在价格表中时，总费用无法估算
+  totals.cost = totals.cost === null || cost === null ? null : totals.cost + cost;
+}
+
+/**
+ * 输出用量汇总，费用保留 6 位小数
+ * @private
+ */
+function formatTotals(totals) {
+  return {
+    ...totals,
+    cost: totals.cost === null ? null : Number(totals.cost.toFixed(6))
+  };
+}
+
+/**
+ * 粗略估算 token 数：CJK 字符按 1 个 token，其余按 4 个字符 1 个 token
+ * @param {string} text - 文本
+ * @returns {number} 估算的 token 数
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const cjk = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+/**
+ * 在独立的用量作用域中执行函数
+ * 作用域内的所有模型调用都会计入该作用域，嵌套作用域的用量同时计入外层作用域
+ * @param {Function} fn - 要执行的异步函数
+ * @returns {Promise<{result: any, usage: Object}>} 函数返回值及作用域内的用量汇总
+ */
+export async function withUsageScope(fn) {
+  const scope = { parent: scopeStorage.getStore() || null, totals: emptyTotals() };
+  const result = await scopeStorage.run(scope, fn);
+  return { result, usage: formatTotals(scope.totals) };
+}
+
+/**
+ * 当前用量作用域到目前为止的用量汇总，包括已完成的嵌套作用域
+ * 只有成功返回的模型调用会被记录，失败或被重试的请求不计入
+ * @returns {Object|null} 用量汇总，不在作用域中时返回 null
+ */
+export function currentUsage() {
+  const scope = scopeStorage.getStore();
+  return scope ? formatTotals(scope.totals) : null;
+}
+
+/**
+ * 空的用量汇总，用于缓存命中等未调用模型的结果
+ * @returns {Object}
+ */
+export function emptyUsage() {
+  return emptyTotals();
+}
+
+class UsageTracker {
+  /**
+   * @param {Object} options - 统计选项
+   * @param {Object} options.prices - 价格表，单位为美元 / 百万 token (默认: DEFAULT_PRICES)
+   */
+  constructor(options = {}) {
+    this.prices = options.prices || DEFAULT_PRICES;
+    this.session = emptyTotals();
+    this.models = {};
+    this.startedAt = new Date();
+  }
+
+  /**
+   * 查找模型价格：先精确匹配，再按最长前缀匹配 (如 gemini-2.5-flash-lite-preview 匹配 gemini-2.5-flash-lite)
+   * @param {string} model - 模型名称
+   * @returns {{input: number, output: number}|null} 价格，未配置时返回 null
+   */
+  priceFor(model) {
+    const name = String(model || '').replace(/^models\//, '');
+    if (this.prices[name]) {
+      return this.prices[name];
+    }
+
+    const prefix = Object.keys(this.prices)
+      .filter(key => name.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? this.prices[prefix] : null;
+  }
+
+  /**
+   * 估算一次调用的费用
+   * @param {string} model - 模型名称
+   * @param {Object} usage - 规范化的用量 { promptTokens, completionTokens, totalTokens }
+   * @returns {number|null} 费用 (美元)，模型未配置价格时返回 null
+   */
+  estimateCost(model, usage) {
+    const price = this.priceFor(model);
+    if (!price) return null;
+    if (!usage) return 0;
+    return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+  }
+
+  /**
+   * 记录一次模型调用
+   * 同时计入会话汇总、按模型汇总以及当前所有嵌套的 execute 作用域
+   * @param {string} model - 模型名称
+   * @param {Object|null} usage - 规范化的用量，后端未返回时为 null
+   */
+  record(model, usage) {
+    const cost = this.estimateCost(model, usage);
+
+    addTo(this.session, usage, cost);
+
+    if (!this.models[model]) {
+      this.models[model] = emptyTotals();
+    }
+    addTo(this.models[model], usage, cost);
+
+    for (let scope = scopeStorage.getStore(); scope; scope = scope.parent) {
+      addTo(scope.totals, usage, cost);
+    }
+  }
+
+  /**
+   * 会话用量汇总
+   * @returns {Object} 总用量、按模型的用量及统计开始时间
+   */
+  summary() {
+    return {
+      ...formatTotals(this.session),
+      currency: 'USD',
+      models: Object.fromEntries(
+        Object.entries(this.models).map(([model, totals]) => [model, formatTotals(totals)])
+      ),
+      since: this.startedAt.toISOString()
+    };
+  }
+}
+
+export default UsageTracker;
@@ -0,0 +1,347 @@
+/**
+ * 参数验证模块
+ * 各命令的参数校验，供 skill 与 HTTP 服务共用
+ */
+
+import { assertValidSchema } from './schema.js';
+import { ValidationError } from './errors.js';
+import { parseTimeRange } from './timerange.js';
+import { validateSessionId, DEFAULT_HISTORY_TOKENS } from './sessions.js';
+import { MAX_EXPANSIONS } from './expand.js';
+
+/**
+ * 验证 search 参数
+ * @param {Object} params - 命令参数
+ * @returns {{query: string, numResults: number, timeRange: string|undefined, timeWindow: Object|null, includeDomains: Array<string>, excludeDomains: Array<string>, language: string|undefined, region: string|undefined, json: boolean, expand: number}} 规范化后的参数
+ */
+export function validateSearchParams(params = {}) {
+  const { query, numResults = 10, timeRange, includeDomains, excludeDomains, language, region, json = true, expand = 0 } = params;
+
+  // 验证 query 参数
+  if (!query) {
+    throw new ValidationError('Query parameter is required for search');
+  }
+
+  if (typeof query !== 'string') {
+    throw new ValidationError('Query must be a string');
+  }
+
+  const trimmedQuery = query.trim();
+  if (trimmedQuery.length === 0) {
+    throw new ValidationError('Query cannot be empty');
+  }
+
+  if (trimmedQuery.length > 1000) {
+    throw new ValidationError('Query too long (max 1000 characters)');
+  }
+
+  // 验证 numResults
+  const validatedNumResults = parseInt(numResults);
+  if (isNaN(validatedNumResults) || validatedNumResults < 1 || validatedNumResults > 100) {
+    throw new ValidationError('numResults must be a number between 1 and 100');
+  }
+
+  // 验证 timeRange 并按当前时间换算为具体的时间窗口
+  const timeWindow = parseTimeRange(timeRange);
+
+  // 验证 language，如 zh、en、zh-CN
+  if (language !== undefined && language !== null && language !== '' &&
+      (typeof language !== 'string' || !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(language))) {
+    throw new ValidationError('language must be a language code such as "en" or "zh-CN"');
+  }
+
+  // 验证 region，ISO 3166-1 两位国家/地区代码
+  if (region !== undefined && region !== null && region !== '' &&
+      (typeof region !== 'string' || !/^[a-z]{2}$/i.test(region))) {
+    throw new ValidationError('region must be a two-letter country code such as "US" or "CN"');
+  }
+
+  // 验证 expand：改写查询数，0 表示不扩展
+  const validatedExpand = Number(expand);
+  if (!Number.isInteger(validatedExpand) || validatedExpand < 0 || validatedExpand > MAX_EXPANSIONS) {
+    throw new ValidationError(`expand must be an integer between 0 and ${MAX_EXPANSIONS}`);
+  }
+  if (validatedExpand > 0 && json === false) {
+    throw new ValidationError('expand requires structured results and cannot be combined with json: false');
+  }
+
+  const validatedIncludeDomains = validateDomainList(includeDomains, 'includeDomains');
+  const validatedExcludeDomains = validateDomainList(excludeDomains, 'excludeDomains');
+
+  const overlap = validatedIncludeDomains.filter(domain => validatedExcludeDomains.includes(domain));
+  if (overlap.length > 0) {
+    throw new ValidationError(`Domains cannot be both included and excluded: ${overlap.join(', ')}`);
+  }
+
+  return {
+    query: trimmedQuery,
+    numResults: validatedNumResults,
+    timeRange: timeWindow ? timeWindow.input : undefined,
+    timeWindow,
+    includeDomains: validatedIncludeDomains,
+    excludeDomains: validatedExcludeDomains,
+    language: language || undefined,
+    region: region ? region.toUpperCase() : undefined,
+    json: json !== false,
+    expand: validatedExpand
+  };
+}
+
+/**
+ * 验证并规范化域名列表
+ * 接受数组或逗号分隔的字符串，允许带协议或路径的写法 (如 https://www.example.com/docs)，统一为小写域名
+ * @private
+ */
+function validateDomainList(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const items = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+    throw new ValidationError(`${name} must be an array of domains or a comma-separated string`);
+  }
+
+  const domains = [];
+  for (const item of items) {
+    const domain = item.trim().toLowerCase()
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+      .replace(/[/?#].*$/, '')
+      .replace(/^www\./, '')
+      .replace(/\.$/, '');
+
+    if (!domain) continue;
+
+    if (!/^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z0-9-]{2,}$/.test(domain)) {
+      throw new ValidationError(`Invalid domain in ${name}: ${item}`);
+    }
+
+    if (!domains.includes(domain)) {
+      domains.push(domain);
+    }
+  }
+
+  if (domains.length > 20) {
+    throw new ValidationError(`${name} can contain at most 20 domains`);
+  }
+
+  return domains;
+}
+
+/**
+ * 验证 fetch 参数
+ * @param {Object} params - 命令参数
+ * @returns {{url: string, prompt: string, format: string}} 规范化后的参数
+ */
+export function validateFetchParams(params = {}) {
+  const { url, prompt = '', format = 'markdown' } = params;
+
+  // 验证 URL 参数
+  if (!url) {
+    throw new ValidationError('URL parameter is required for fetch');
+  }
+
+  if (typeof url !== 'string') {
+    throw new ValidationError('URL must be a string');
+  }
+
+  // 验证 URL 格式
+  try {
+    new URL(url);
+  } catch (e) {
+    throw new ValidationError(`Invalid URL format: ${url}`);
+  }
+
+  // 验证 prompt
+  if (typeof prompt !== 'string') {
+    throw new ValidationError('Prompt must be a string');
+  }
+
+  if (prompt.length > 2000) {
+    throw new ValidationError('Prompt too long (max 2000 characters)');
+  }
+
+  // 验证 format 参数
+  if (!['markdown', 'text'].includes(format)) {
+    throw new ValidationError('format must be either "markdown" or "text"');
+  }
+
+  return { url, prompt, format };
+}
+
+/**
+ * 验证整数参数的范围
+ * @private
+ */
+function validateInteger(value, name, min, max) {
+  const parsed = parseInt(value);
+  if (isNaN(parsed) || parsed < min || parsed > max) {
+    throw new ValidationError(`${name} must be a number between ${min} and ${max}`);
+  }
+  return parsed;
+}
+
+/**
+ * 验证单次调用的配置覆盖，适用于所有命令
+ * @param {Object} params - 命令参数
+ * @returns {{model: string|undefined, timeout: number|undefined, temperature: number|undefined}} 规范化后的覆盖，未设置的字段为 undefined
+ */
+export function validateCallOptions(params = {}) {
+  const { model, timeout, temperature } = params;
+  const isSet = value => value !== undefined && value !== null && value !== '';
+
+  if (isSet(model) && (typeof model !== 'string' || !model.trim() || model.length > 100)) {
+    throw new ValidationError('model must be a non-empty string (max 100 characters)');
+  }
+
+  let validatedTemperature;
+  if (isSet(temperature)) {
+    validatedTemperature = Number(temperature);
+    if (isNaN(validatedTemperature) || validatedTemperature < 0 || validatedTemperature > 2) {
+      throw new ValidationError('temperature must be a number between 0 and 2');
+    }
+  }
+
+  return {
+    model: isSet(model) ? model.trim() : undefined,
+    timeout: isSet(timeout) ? validateInteger(timeout, 'timeout', 1000, 600000) : undefined,
+    temperature: validatedTemperature
+  };
+}
+
+/**
+ * 验证 research 参数
+ * @param {Object} params - 命令参数
+ * @returns {Object} 规范化后的参数
+ */
+export function validateResearchParams(params = {}) {
+  const {
+    question = params.query,
+    depth = 1,
+    maxQueries = 3,
+    maxPages = 5,
+    maxTokens = 100000,
+    numResults = 5
+  } = params;
+
+  // 验证 question 参数
+  if (!question) {
+    throw new ValidationError('Question parameter is required for research');
+  }
+
+  if (typeof question !== 'string') {
+    throw new ValidationError('Question must be a string');
+  }
+
+  const trimmedQuestion = question.trim();
+  if (trimmedQuestion.length === 0) {
+    throw new ValidationError('Question cannot be empty');
+  }
+
+  if (trimmedQuestion.length > 1000) {
+    throw new ValidationError('Question too long (max 1000 characters)');
+  }
+
+  return {
+    question: trimmedQuestion,
+    depth: validateInteger(depth, 'depth', 1, 3),
+    maxQueries: validateInteger(maxQueries, 'maxQueries', 1, 10),
+    maxPages: validateInteger(maxPages, 'maxPages', 1, 20),
+    maxTokens: validateInteger(maxTokens, 'maxTokens', 1000, 1000000),
+    numResults: validateInteger(numResults, 'numResults', 1, 20)
+  };
+}
+
+/**
+ * 验证 ask 参数
+ * @param {Object} params - 命令参数
+ * @returns {{sessionId: string, question: string, maxHistoryTokens: number, webSearch: boolean}} 规范化后的参数
+ */
+export function validateAskParams(params = {}) {
+  const { sessionId, question, maxHistoryTokens = DEFAULT_HISTORY_TOKENS, webSearch = true } = params;
+
+  if (!sessionId) {
+    throw new ValidationError('sessionId parameter is required for ask');
+  }
+
+  // 验证 question 参数
+  if (!question) {
+    throw new ValidationError('Question parameter is required for ask');
+  }
+
+  if (typeof question !== 'string') {
+    throw new ValidationError('Question must be a string');
+  }
+
+  const trimmedQuestion = question.trim();
+  if (trimmedQuestion.length === 0) {
+    throw new ValidationError('Question cannot be empty');
+  }
+
+  if (trimmedQuestion.length > 2000) {
+    throw new ValidationError('Question too long (max 2000 characters)');
+  }
+
+  return {
+    sessionId: validateSessionId(sessionId),
+    question: trimmedQuestion,
+    maxHistoryTokens: validateInteger(maxHistoryTokens, 'maxHistoryTokens', 1000, 1000000),
+    webSearch: webSearch !== false
+  };
+}
+
+/**
+ * 验证 extract 参数
+ * @param {Object} params - 命令参数
+ * @returns {{url: string, schema: Object, prompt: string, maxAttempts: number}} 规范化后的参数
+ */
+export function validateExtractParams(params = {}) {
+  const { url, prompt = '', maxAttempts = 3 } = params;
+  let { schema } = params;
+
+  // 验证 URL 参数
+  if (!url) {
+    throw new ValidationError('URL parameter is required for extract');
+  }
+
+  if (typeof url !== 'string') {
+    throw new ValidationError('URL must be a string');
+  }
+
+  try {
+    new URL(url);
+  } catch (e) {
+    throw new ValidationError(`Invalid URL format: ${url}`);
+  }
+
+  // 验证 prompt
+  if (typeof prompt !== 'string') {
+    throw new ValidationError('Prompt must be a string');
+  }
+
+  if (prompt.length > 2000) {
+    throw new ValidationError('Prompt too long (max 2000 characters)');
+  }
+
+  // 验证 schema 参数，允许传入 JSON 字符串
+  if (!schema) {
+    throw new ValidationError('Schema parameter is required for extract');
+  }
+
+  if (typeof schema === 'string') {
+    try {
+      schema = JSON.parse(schema);
+    } catch (e) {
+      throw new ValidationError(`Schema is not valid JSON: ${e.message}`);
+    }
+  }
+
+  assertValidSchema(schema);
+
+  return {
+    url,
+    schema,
+    prompt,
+    maxAttempts: validateInteger(maxAttempts, 'maxAttempts', 1, 5)
+  };
+}
@@ -0,0 +1,474 @@
+/**
+ * 监控模块
+ * 定期重新执行搜索或下载网页，与本地状态文件中上一次的结果比较，只报告变化：
+ * 搜索报告新出现的结果 URL，网页报告文本差异 (可选由模型总结变化)，有变化时调用 webhook / 命令钩子
+ */
+
+import { createHash } from 'crypto';
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { ValidationError } from './errors.js';
+import { canonicalizeUrl } from './results.js';
+
+export const WATCH_KINDS = ['search', 'page'];
+
+/**
+ * 检测到变化时 CLI 的退出码 (0 表示没有变化，1 表示出错)
+ */
+export const WATCH_CHANGED_EXIT_CODE = 2;
+
+// 状态文件中最多记住的已见结果 URL，超出时丢弃最早见到的
+const MAX_SEEN_URLS = 1000;
+
+// 逐行比较的单元格上限 (旧行数 x 新行数)，超出时把中间不同的部分整体视为删除 + 新增
+const MAX_DIFF_CELLS = 4000000;
+
+// 钩子的超时时间 (毫秒)
+const WEBHOOK_TIMEOUT = 10000;
+const EXEC_TIMEOUT = 60000;
+
+const INTERVAL_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// 最短监控间隔，避免过于频繁地调用模型
+const MIN_INTERVAL = 10000;
+
+/**
+ * 解析监控间隔
+ * @param {string|number} value - 间隔，如 90 (秒)、30s、15m、2h、1d
+ * @returns {number} 毫秒数
+ * @throws {ValidationError} 格式无效或小于 10 秒时抛出
+ */
+export function parseInterval(value) {
+  const match = /^(\d+(?:\.\d+)?)([smhd]?)$/i.exec(String(value).trim());
+  const ms = match ? Number(match[1]) * INTERVAL_UNITS[(match[2] || 's').toLowerCase()] : NaN;
+  if (!(ms >= MIN_INTERVAL)) {
+    throw new ValidationError('interval must be a duration of at least 10s, such as 90, 30s, 15m, 2h or 1d');
+  }
+  return ms;
+}
+
+/**
+ * 计算监控 ID：相同的目标和过滤条件共用同一份状态
+ * @param {string} kind - 监控类型 (search 或 page)
+ * @param {string} target - 搜索查询或网页 URL
+ * @param {Object} search - 搜索过滤条件
+ * @returns {string} 16 位十六进制 ID
+ */
+export function watchId(kind, target, search = {}) {
+  const data = kind === 'search'
+    ? {
+        kind,
+        query: target.trim().replace(/\s+/g, ' ').toLowerCase(),
+        search: Object.fromEntries(Object.entries(search).filter(([, value]) => value != null).sort(([a], [b]) => a.localeCompare(b)))
+      }
+    : { kind, url: canonicalizeUrl(target) || target.trim() };
+
+  return createHash('sha256').update(JSON.stringify(data)).digest('hex').slice(0, 16);
+}
+
+/**
+ * 计算两组行的编辑序列
+ * 先去掉相同的首尾行，再对中间部分求最长公共子序列
+ * @private
+ * @returns {Array<[string, string]>} [操作, 行]，操作为 ' ' (相同)、'-' (删除) 或 '+' (新增)
+ */
+function diffOps(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(line => [' ', line]);
+  const oldLines = a.slice(start, endA);
+  const newLines = b.slice(start, endB);
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    ops.push(...oldLines.map(line => ['-', line]), ...newLines.map(line => ['+', line]));
+  } else {
+    // lcs[i * width + j] 为 oldLines[i..] 与 newLines[j..] 的最长公共子序列长度
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = oldLines[i] === newLines[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (oldLines[i] === newLines[j]) {
+        ops.push([' ', oldLines[i]]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        ops.push(['-', oldLines[i++]]);
+      } else {
+        ops.push(['+', newLines[j++]]);
+      }
+    }
+    while (i < n) ops.push(['-', oldLines[i++]]);
+    while (j < m) ops.push(['+', newLines[j++]]);
+  }
+
+  ops.push(...a.slice(endA).map(line => [' ', line]));
+  return ops;
+}
+
+/**
+ * 逐行比较两段文本，生成 unified 格式的差异
+ * @param {string} before - 旧文本
+ * @param {string} after - 新文本
+ * @param {Object} options - 比较选项
+ * @param {number} options.context - 每处变化前后保留的上下文行数 (默认: 2)
+ * @param {number} options.maxLines - 差异文本的最多行数，超出时截断 (默认: 200)
+ * @returns {{added: number, removed: number, text: string, truncated: boolean}} 新增行数、删除行数和差异文本
+ */
+export function diffLines(before, after, options = {}) {
+  const { context = 2, maxLines = 200 } = options;
+  const ops = diffOps(before.split('\n'), after.split('\n'));
+
+  // 标记需要输出的行：变化的行及其上下文
+  const visible = new Uint8Array(ops.length);
+  ops.forEach(([op], index) => {
+    if (op === ' ') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(ops.length - 1, index + context); k++) {
+      visible[k] = 1;
+    }
+  });
+
+  const lines = [];
+  let oldLine = 1;
+  let newLine = 1;
+  ops.forEach(([op, line], index) => {
+    if (visible[index] && (index === 0 || !visible[index - 1])) {
+      let oldCount = 0;
+      let newCount = 0;
+      for (let end = index; end < ops.length && visible[end]; end++) {
+        if (ops[end][0] !== '+') oldCount++;
+        if (ops[end][0] !== '-') newCount++;
+      }
+      lines.push(`@@ -${oldLine},${oldCount} +${newLine},${newCount} @@`);
+    }
+    if (visible[index]) {
+      lines.push(`${op}${line}`);
+    }
+    if (op !== '+') oldLine++;
+    if (op !== '-') newLine++;
+  });
+
+  const truncated = lines.length > maxLines;
+  return {
+    added: ops.filter(([op]) => op === '+').length,
+    removed: ops.filter(([op]) => op === '-').length,
+    text: (truncated ? [...lines.slice(0, maxLines), `... ${lines.length - maxLines} more diff lines`] : lines).join('\n'),
+    truncated
+  };
+}
+
+/**
+ * 规范化网页正文：去除行尾空白并折叠连续空行，避免排版差异被报告为变化
+ * @private
+ */
+function normalizeContent(content) {
+  return content.split('\n').map(line => line.trimEnd()).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * 读取状态文件，不存在时返回 null
+ * @private
+ */
+async function readState(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read watch state ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * 写入状态文件，先写临时文件再重命名
+ * @private
+ */
+async function writeState(file, state) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmpPath = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(state, null, 2), 'utf8');
+  await fs.rename(tmpPath, file);
+}
+
+/**
+ * 执行搜索并找出之前没有见过的结果
+ * 与所有见过的 URL 比较，而不只是上一次的结果，避免结果在排名边缘进出时被反复报告
+ * @private
+ */
+async function checkSearch(skill, target, search, state) {
+  // 监控必须拿到最新结果，不读取也不写入缓存
+  const result = await skill.execute('search', { query: target, ...search, noCache: true });
+  const items = result.results && Array.isArray(result.results.results) ? result.results.results : null;
+  if (!items) {
+    throw new Error('Search did not return structured results, cannot compare with the previous check');
+  }
+
+  const seen = new Set(state ? state.seenUrls : []);
+  const newResults = [];
+  const newUrls = [];
+  for (const item of items) {
+    const url = canonicalizeUrl(item.url) || item.url;
+    if (!url || seen.has(url)) continue;
+    seen.add(url);
+    newUrls.push(url);
+    newResults.push(item);
+  }
+
+  return {
+    report: {
+      totalResults: items.length,
+      // 第一次检查只建立基线，不把所有结果都报告为新结果
+      newResults: state ? newResults : [],
+      usage: result.usage,
+      requestId: result.requestId
+    },
+    state: {
+      seenUrls: [...newUrls, ...(state ? state.seenUrls : [])].slice(0, MAX_SEEN_URLS),
+      results: items.map(item => ({ title: item.title, url: item.url }))
+    },
+    changed: !!state && newResults.length > 0
+  };
+}
+
+/**
+ * 下载网页并与上一次的正文比较
+ * @private
+ */
+async function checkPage(skill, target, state, summarize) {
+  // 与 execute 相同的作用域 (请求 ID、用量统计、fixture 写入)；下载经过 URL 安全策略，不读取也不写入缓存
+  const { result, usage, requestId } = await skill.runTask('watch', async () => {
+    const page = await skill.searchEngine.retrievePage(target, { format: 'text' });
+    const content = normalizeContent(page.content);
+    const contentHash = createHash('sha256').update(content).digest('hex');
+
+    const report = { title: page.title, finalUrl: page.finalUrl };
+    const changed = !!state && state.contentHash !== contentHash;
+
+    if (changed) {
+      report.diff = diffLines(state.content, content);
+      if (summarize) {
+        report.summary = await skill.searchEngine.summarizeChanges(page.finalUrl, report.diff.text, { title: page.title });
+      }
+    }
+
+    return {
+      report,
+      state: { title: page.title, finalUrl: page.finalUrl, contentHash, content },
+      changed
+    };
+  });
+
+  return { ...result, report: { ...result.report, usage, requestId } };
+}
+
+/**
+ * 将变化报告 POST 到 webhook
+ * @private
+ */
+async function callWebhook(url, report) {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(report),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    });
+    return response.ok
+      ? { ok: true, status: response.status }
+      : { ok: false, status: response.status, error: `Webhook responded with HTTP ${response.status}` };
+  } catch (error) {
+    return { ok: false, error: `Webhook request failed: ${error.message}` };
+  }
+}
+
+/**
+ * 执行命令钩子：变化报告以 JSON 写入命令的 stdin，命令的输出转到 stderr
+ * @private
+ */
+function runCommandHook(command, report) {
+  return new Promise(resolve => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', process.stderr, process.stderr],
+      env: {
+        ...process.env,
+        GEMINI_WATCH_ID: report.id,
+        GEMINI_WATCH_KIND: report.kind,
+        GEMINI_WATCH_TARGET: report.target
+      }
+    });
+
+    const timer = setTimeout(() => child.kill(), EXEC_TIMEOUT);
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      resolve({ ok: false, error: `Command hook failed: ${error.message}` });
+    });
+    child.on('close', (exitCode, signal) => {
+      clearTimeout(timer);
+      resolve(exitCode === 0
+        ? { ok: true, exitCode }
+        : { ok: false, exitCode, error: signal ? `Command hook was killed by ${signal}` : `Command hook exited with code ${exitCode}` });
+    });
+
+    // 命令不读取 stdin 时忽略 EPIPE
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(report));
+  });
+}
+
+/**
+ * 检查一次监控目标
+ * @param {GeminiSearchSkill} skill - Skill 实例
+ * @param {Object} options - 监控选项
+ * @param {string} options.target - 搜索查询或网页 URL
+ * @param {string} options.kind - 监控类型 (search 或 page, 默认: 以 http(s):// 开头为 page，否则为 search)
+ * @param {Object} options.search - 搜索过滤条件 (numResults、timeRange、includeDomains、excludeDomains、language、region)
+ * @param {boolean} options.summarize - 网页变化时由模型总结变化 (默认: false)
+ * @param {string} options.stateFile - 状态文件路径 (默认: <dir>/<监控 ID>.json)
+ * @param {string} options.dir - 状态目录 (默认: ~/.local/share/gemini-search/watch)
+ * @param {string} options.webhook - 有变化时 POST 变化报告的 URL
+ * @param {string} options.exec - 有变化时执行的 shell 命令，变化报告以 JSON 写入其 stdin
+ * @returns {Promise<Object>} 变化报告，changed 表示与上一次检查相比是否有变化
+ */
+export async function runWatch(skill, options) {
+  const { target, search = {}, summarize = false, webhook, exec } = options;
+
+  if (typeof target !== 'string' || !target.trim()) {
+    throw new ValidationError('watch target must be a non-empty search query or URL');
+  }
+  const kind = options.kind || (/^https?:\/\//i.test(target.trim()) ? 'page' : 'search');
+  if (!WATCH_KINDS.includes(kind)) {
+    throw new ValidationError(`Invalid watch kind: ${kind}. Supported kinds: ${WATCH_KINDS.join(', ')}`);
+  }
+  if (kind === 'page') {
+    try {
+      new URL(target);
+    } catch (e) {
+      throw new ValidationError(`Invalid URL format: ${target}`);
+    }
+  }
+
+  const id = watchId(kind, target, search);
+  const dir = options.dir || path.join(os.homedir(), '.local', 'share', 'gemini-search', 'watch');
+  const stateFile = path.resolve(options.stateFile || path.join(dir, `${id}.json`));
+
+  const previous = await readState(stateFile);
+  if (previous && (previous.kind !== kind || previous.target !== target)) {
+    throw new ValidationError(`State file ${stateFile} belongs to a different watch (${previous.kind}: ${previous.target})`);
+  }
+
+  if (!skill.initialized) {
+    await skill.initialize();
+  }
+
+  const checkedAt = new Date().toISOString();
+  const check = kind === 'search'
+    ? await checkSearch(skill, target, search, previous)
+    : await checkPage(skill, target, previous, summarize);
+
+  await writeState(stateFile, {
+    id,
+    kind,
+    target,
+    ...(kind === 'search' && { search }),
+    createdAt: previous ? previous.createdAt : checkedAt,
+    checkedAt,
+    changedAt: check.changed ? checkedAt : (previous ? previous.changedAt : null),
+    checks: (previous ? previous.checks : 0) + 1,
+    ...check.state
+  });
+
+  const report = {
+    success: true,
+    command: 'watch',
+    id,
+    kind,
+    target,
+    changed: check.changed,
+    firstRun: !previous,
+    checkedAt,
+    previousCheckAt: previous ? previous.checkedAt : null,
+    ...check.report,
+    stateFile
+  };
+
+  if (check.changed && (webhook || exec)) {
+    report.hooks = {};
+    if (webhook) {
+      report.hooks.webhook = await callWebhook(webhook, report);
+    }
+    if (exec) {
+      report.hooks.exec = await runCommandHook(exec, report);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * 按固定间隔反复检查监控目标，直到 signal 被中止
+ * 单次检查失败 (网络或后端错误) 时通过 onError 报告并在下一个间隔重试；参数错误直接抛出
+ * @param {GeminiSearchSkill} skill - Skill 实例
+ * @param {Object} options - 监控选项，同 runWatch，另外包括:
+ * @param {number} options.interval - 检查间隔 (毫秒)
+ * @param {AbortSignal} options.signal - 中止信号，当前检查完成后停止
+ * @param {Function} options.onReport - 每次检查完成后调用，参数为变化报告
+ * @param {Function} options.onError - 单次检查失败时调用，参数为错误
+ * @returns {Promise<{checks: number, changes: number, errors: number}>} 检查统计
+ */
+export async function watchLoop(skill, options) {
+  const { interval, signal, onReport, onError, ...watchOptions } = options;
+  const stats = { checks: 0, changes: 0, errors: 0 };
+
+  while (!(signal && signal.aborted)) {
+    try {
+      const report = await runWatch(skill, watchOptions);
+      stats.checks++;
+      if (report.changed) {
+        stats.changes++;
+      }
+      if (onReport) {
+        await onReport(report);
+      }
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      stats.errors++;
+      if (onError) {
+        onError(error);
+      }
+    }
+
+    try {
+      await sleep(interval, undefined, { signal });
+    } catch (e) {
+      break;
+    }
+  }
+
+  return stats;
+}